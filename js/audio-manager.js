@@ -2,8 +2,19 @@
  * 3D Audio Manager with Tone.js
  * Handles all game sound effects with spatial audio support
  */
+
+// Voices each polyphonic synth gets, as a share of maxVoices (at least one);
+// 16 voices, the high quality tier, gives each its full polyphony
+const SYNTH_VOICE_SHARES = {
+    miniLaser: 1,
+    powerupActivate: 0.25,
+    levelComplete: 0.25,
+    ambient: 0.2
+};
+
 class AudioManager {
-    constructor() {
+    constructor(events) {
+        this.events = events;
         this.isInitialized = false;
         this.isMuted = false;
         this.masterVolume = 0.7;
@@ -21,6 +32,7 @@ class AudioManager {
         
         // Quality settings based on device
         this.audioQuality = DeviceUtils.isMobile() ? 'low' : 'high';
+        this.maxVoices = null; // Set by the quality manager; defaults to the device setting
         
         // Audio settings
         this.settings = {
@@ -35,6 +47,38 @@ class AudioManager {
                 delayTime: 0.2
             }
         };
+        
+        this.subscribe();
+    }
+    
+    // Game sounds are driven entirely by game events
+    subscribe() {
+        const events = this.events;
+        
+        events.on(GameEvents.POINTER_PRESSED, () => this.play('tap'));
+        events.on(GameEvents.BALLOON_POPPED, ({ balloon, position }) => {
+            this.play3D('pop', position, { pitch: balloon.getPitchBySize() });
+            if (balloon.penalty > 0) this.play('penalty');
+        });
+        events.on(GameEvents.BALLOON_EXPLODED, ({ position }) => this.play3D('enemyExplosion', position));
+        events.on(GameEvents.BALLOON_SPLIT, ({ position }) => this.play3D('splitterSplit', position));
+        events.on(GameEvents.BALLOON_DASHED, ({ balloon }) => this.play3D('kamikazeDive', balloon.position));
+        events.on(GameEvents.PLAYER_HEALED, () => this.play('heal'));
+        events.on(GameEvents.DEPTH_BONUS, ({ multiplier }) => this.play('depthBonus', { multiplier }));
+        events.on(GameEvents.ENEMY_HIT, ({ position }) => this.play3D('enemyHit', position));
+        events.on(GameEvents.ENEMY_DESTROYED, ({ position }) => this.play3D('enemyExplosion', position));
+        events.on(GameEvents.ENEMY_FIRED, ({ position }) => this.play3D('laser', position));
+        events.on(GameEvents.ENEMY_DIVING, ({ enemy }) => this.play3D('kamikazeDive', enemy.position));
+        events.on(GameEvents.ENEMY_RAMMED, () => this.play('kamikazeImpact'));
+        events.on(GameEvents.ENEMY_SPLIT, ({ position }) => this.play3D('splitterSplit', position));
+        events.on(GameEvents.ENEMY_LAUNCHED, ({ carrier }) => this.play3D('carrierLaunch', carrier.position));
+        events.on(GameEvents.MINI_SHIP_FIRED, () => this.play('miniLaser'));
+        events.on(GameEvents.BEAM_FIRED, () => this.play('laser'));
+        events.on(GameEvents.VORTEX_CREATED, ({ position }) => this.play('vortexChain', { position }));
+        events.on(GameEvents.POWER_UP_ACTIVATED, () => this.play('powerupActivate'));
+        events.on(GameEvents.BOSS_WAVE_STARTED, () => this.play('bossAppear'));
+        events.on(GameEvents.BOSS_ATTACK_TELEGRAPHED, () => this.play('bossWarning'));
+        events.on(GameEvents.LEVEL_COMPLETED, () => this.play('levelComplete'));
     }
     
     async init() {
@@ -94,8 +138,6 @@ class AudioManager {
     }
     
     createSynths() {
-        const quality = this.settings[this.audioQuality];
-        
         // Tap/Click sound - crisp and immediate
         this.synths.tap = new Tone.Synth({
             oscillator: { type: 'fmsine' },
@@ -161,7 +203,7 @@ class AudioManager {
         
         // Mini-ship lasers - higher pitched rapid fire
         this.synths.miniLaser = new Tone.PolySynth(Tone.Synth, {
-            maxPolyphony: quality.maxVoices,
+            maxPolyphony: this.getVoices('miniLaser'),
             oscillator: { type: 'triangle' },
             envelope: { 
                 attack: 0.005, 
@@ -173,7 +215,7 @@ class AudioManager {
         
         // Power-up activation - ascending musical phrase
         this.synths.powerupActivate = new Tone.PolySynth(Tone.Synth, {
-            maxPolyphony: 4,
+            maxPolyphony: this.getVoices('powerupActivate'),
             oscillator: { type: 'sine' },
             envelope: { 
                 attack: 0.1, 
@@ -185,7 +227,7 @@ class AudioManager {
         
         // Level complete - triumphant fanfare
         this.synths.levelComplete = new Tone.PolySynth(Tone.Synth, {
-            maxPolyphony: 4,
+            maxPolyphony: this.getVoices('levelComplete'),
             oscillator: { type: 'square' },
             envelope: { 
                 attack: 0.1, 
@@ -233,7 +275,7 @@ class AudioManager {
     createAmbientMusic() {
         // Ambient space music loop
         this.synths.ambient = new Tone.PolySynth(Tone.Synth, {
-            maxPolyphony: 3,
+            maxPolyphony: this.getVoices('ambient'),
             oscillator: { type: 'sine' },
             envelope: { 
                 attack: 2, 
@@ -303,6 +345,41 @@ class AudioManager {
                     this.synths.bossAppear.triggerAttackRelease('C1', '1n', now);
                     break;
                     
+                case 'bossWarning':
+                    this.synths.bossAppear.triggerAttackRelease('G1', '8n', now);
+                    break;
+                    
+                case 'kamikazeDive':
+                    // A falling whistle
+                    ['A6', 'E6', 'A5'].forEach((note, index) => {
+                        this.synths.miniLaser.triggerAttackRelease(note, '32n', now + index * 0.06);
+                    });
+                    break;
+                    
+                case 'kamikazeImpact':
+                    this.synths.enemyExplosion.triggerAttackRelease('4n', now);
+                    this.synths.bossAppear.triggerAttackRelease('C2', '8n', now);
+                    break;
+                    
+                case 'splitterSplit':
+                    this.synths.enemyHit.triggerAttackRelease('E5', '32n', now);
+                    this.synths.pop.triggerAttackRelease('G3', '16n', now);
+                    break;
+                    
+                case 'carrierLaunch':
+                    this.synths.bossAppear.triggerAttackRelease('E2', '16n', now);
+                    break;
+                    
+                case 'penalty':
+                    this.synths.enemyHit.triggerAttackRelease('C3', '8n', now);
+                    break;
+                    
+                case 'heal':
+                    ['E5', 'A5'].forEach((note, index) => {
+                        this.synths.powerupActivate.triggerAttackRelease(note, '16n', now + index * 0.08);
+                    });
+                    break;
+                    
                 case 'depthBonus':
                     const bonusMultiplier = options.multiplier || 1;
                     const bonusPitch = `C${Math.min(7, 4 + Math.floor(bonusMultiplier))}`;
@@ -377,6 +454,19 @@ class AudioManager {
         }, 100);
     }
     
+    // Cap on simultaneous voices, shared out between the polyphonic synths
+    setMaxVoices(count) {
+        this.maxVoices = count;
+        Object.keys(SYNTH_VOICE_SHARES).forEach(name => {
+            if (this.synths[name]) this.synths[name].maxPolyphony = this.getVoices(name);
+        });
+    }
+    
+    getVoices(name) {
+        const maxVoices = this.maxVoices || this.settings[this.audioQuality].maxVoices;
+        return Math.max(1, Math.round(SYNTH_VOICE_SHARES[name] * maxVoices));
+    }
+    
     // Start ambient music
     startAmbient() {
         if (this.sequences.ambient && this.sequences.ambient.state !== 'started') {
@@ -459,5 +549,47 @@ class AudioManager {
     }
 }
 
+// Silent stand-in for AudioManager in headless mode (no Tone.js needed)
+class NullAudioManager {
+    constructor() {
+        this.isInitialized = false;
+        this.isMuted = true;
+        this.masterVolume = 0;
+        this.sfxVolume = 0;
+        this.musicVolume = 0;
+    }
+    
+    async init() {
+        this.isInitialized = true;
+    }
+    
+    play(soundType, options = {}) {}
+    
+    play3D(soundType, position, options = {}) {}
+    
+    startAmbient() {}
+    
+    stopAmbient() {}
+    
+    setMasterVolume(volume) {}
+    
+    setMaxVoices(count) {}
+    
+    setSFXVolume(volume) {}
+    
+    setMusicVolume(volume) {}
+    
+    mute() {}
+    
+    unmute() {}
+    
+    toggleMute() {}
+    
+    dispose() {
+        this.isInitialized = false;
+    }
+}
+
 // Export globally
-window.AudioManager = AudioManager;
\ No newline at end of file
+window.AudioManager = AudioManager;
+window.NullAudioManager = NullAudioManager;
\ No newline at end of file
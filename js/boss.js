@@ -0,0 +1,403 @@
+/**
+ * Boss Encounter for 3D Ceiling Pop
+ * The boss that ends each level: it flies in shielded, then fights in phases
+ * that unlock as its health drops, warning before every attack
+ */
+
+// Where the boss flies in from and holds while it fights, and how long its
+// entrance and death throes last (seconds)
+const BOSS_ARENA = {
+    startZ: -120,
+    holdZ: -40,
+    introDuration: 3,
+    defeatDuration: 1.5
+};
+
+// A phase starts once health falls to its fraction of the maximum. Each
+// adds attacks, attacks more often and strafes faster.
+const BossPhases = [
+    { health: 1, attacks: ['spread'], attackInterval: 2600, strafeSpeed: 2, color: 0x330066 },
+    { health: 0.66, attacks: ['spread', 'barrage'], attackInterval: 2000, strafeSpeed: 2.5, color: 0x663300 },
+    { health: 0.33, attacks: ['spread', 'barrage', 'summon'], attackInterval: 1500, strafeSpeed: 3.5, color: 0x660000 }
+];
+
+// The core glows in an attack's colour for its telegraph time (ms) before it fires
+const BossAttacks = {
+    // A fan of shots across the player's view
+    spread: {
+        name: 'SPREAD SHOT',
+        telegraph: 900,
+        color: 0xff6600,
+        fire: (boss) => {
+            for (let i = -2; i <= 2; i++) {
+                boss.fireAt(new THREE.Vector3(i * 8, 0, 20));
+            }
+        }
+    },
+    
+    // Quick shots straight at the player
+    barrage: {
+        name: 'BARRAGE',
+        telegraph: 700,
+        color: 0xff0066,
+        fire: (boss) => {
+            const generation = boss.generation;
+            for (let i = 0; i < 4; i++) {
+                boss.game.scheduler.schedule(i * 150, () => {
+                    if (boss.isAliveIn(generation) && boss.state === 'fighting') {
+                        boss.fireAt(new THREE.Vector3(0, 0, 20));
+                    }
+                });
+            }
+        }
+    },
+    
+    // Drones launched from the wing tips
+    summon: {
+        name: 'DRONE LAUNCH',
+        telegraph: 1200,
+        color: 0x00ffff,
+        fire: (boss) => {
+            [-1, 1].forEach(side => {
+                const drone = boss.game.sceneManager.spawnEnemy({ path: 'weave' });
+                drone.setPosition(
+                    boss.position.x + side * 4 * boss.size,
+                    boss.position.y,
+                    boss.position.z + 2
+                );
+            });
+        }
+    }
+};
+
+// The boss moves through intro -> fighting -> defeated. It can't be hurt
+// during its intro, and emits BOSS_DEFEATED once, when its death throes end.
+class Boss3D extends GameObject3D {
+    // options: the wave script's boss entry (health, points, speed, size)
+    constructor(game, scene, geometryCache, materialCache, options = {}) {
+        super(scene, geometryCache, materialCache);
+        
+        this.game = game;
+        this.size = options.size || 2;
+        this.maxHealth = options.health || 10;
+        this.health = this.maxHealth;
+        this.points = options.points || 500;
+        this.speedScale = options.speed || 1;
+        this.state = 'intro';
+        this.stateTime = 0; // Seconds in the current state
+        this.phaseIndex = 0;
+        this.attack = null; // { type, duration, endTime } while telegraphing
+        this.nextAttackTime = 0; // stateTime of the next telegraph
+        this.strafeDirection = 1;
+        this.impactPoint = null; // Where the last shot connected
+        this.parts = new TargetParts();
+        
+        this.scale.setScalar(this.size);
+        this.createMesh();
+    }
+    
+    spawn() {
+        this.setPosition(0, 0, BOSS_ARENA.startZ);
+        this.velocity.set(0, 0, (BOSS_ARENA.holdZ - BOSS_ARENA.startZ) / BOSS_ARENA.introDuration);
+        this.activate();
+        this.setState('intro');
+    }
+    
+    // Unit-sized parts, scaled up to the boss's size
+    createMesh() {
+        const geometryCache = this.geometryCache;
+        this.mesh = new THREE.Group();
+        
+        // Own materials, since hits flash the hull and attacks light the core
+        this.hullMaterial = new THREE.MeshPhongMaterial({ color: 0x707080, shininess: 60 });
+        this.coreMaterial = new THREE.MeshPhongMaterial({
+            color: 0xaa00ff,
+            emissive: 0xaa00ff,
+            emissiveIntensity: 0.6,
+            shininess: 100
+        });
+        
+        const hull = new THREE.Mesh(geometryCache.getBox(4, 1.5, 3), this.hullMaterial);
+        this.mesh.add(hull);
+        this.parts.add('hull', 'hull', hull);
+        
+        // Wings with an armoured turret at each tip and a thruster beneath;
+        // shooting the thrusters off slows its strafing
+        const wingGeometry = geometryCache.getBox(2.5, 0.4, 2);
+        const turretGeometry = geometryCache.getCylinder(0.3, 0.4, 1.2, 8);
+        const turretMaterial = this.materialCache.getPhong({ color: 0x303030 });
+        const thrusterGeometry = geometryCache.getCylinder(0.45, 0.45, 1.5, 8);
+        const thrusterMaterial = this.materialCache.getPhong({
+            color: 0xff2222,
+            emissive: 0xff2222,
+            emissiveIntensity: 0.8
+        });
+        [['Left', -1], ['Right', 1]].forEach(([name, side]) => {
+            const wing = new THREE.Mesh(wingGeometry, this.hullMaterial);
+            wing.position.set(side * 3.2, 0, -0.3);
+            this.mesh.add(wing);
+            this.parts.add(`wing${name}`, 'wing', wing);
+            
+            const turret = new THREE.Mesh(turretGeometry, turretMaterial);
+            turret.position.set(side * 4, 0, 0.6);
+            turret.rotation.x = Math.PI / 2;
+            this.mesh.add(turret);
+            this.parts.add(`turret${name}`, 'plating', turret);
+            
+            const thruster = new THREE.Mesh(thrusterGeometry, thrusterMaterial);
+            thruster.position.set(side * 3.2, -0.6, 0);
+            thruster.rotation.x = Math.PI / 2;
+            this.mesh.add(thruster);
+            this.parts.add(`thruster${name}`, 'thruster', thruster);
+        });
+        
+        // The core faces the player: its weak point, exposed while an attack charges
+        this.core = new THREE.Mesh(geometryCache.getSphere(1, 16, 12), this.coreMaterial);
+        this.core.position.z = 1.4;
+        this.mesh.add(this.core);
+        this.parts.add('core', 'core', this.core);
+        
+        this.scene.add(this.mesh);
+    }
+    
+    restoreAppearance() {
+        this.applyPhaseColor();
+        this.updateCore();
+    }
+    
+    setState(state) {
+        this.state = state;
+        this.stateTime = 0;
+        this.attack = null;
+        this.game.events.emit(GameEvents.BOSS_UPDATED, { boss: this });
+    }
+    
+    getPhase() {
+        return BossPhases[this.phaseIndex];
+    }
+    
+    update(deltaTime) {
+        super.update(deltaTime);
+        this.stateTime += deltaTime;
+        
+        switch (this.state) {
+            case 'intro':
+                this.updateIntro();
+                break;
+            case 'fighting':
+                this.updateFighting();
+                break;
+            case 'defeated':
+                this.updateDefeated();
+                break;
+        }
+        
+        this.updateCore();
+    }
+    
+    updateIntro() {
+        if (this.stateTime < BOSS_ARENA.introDuration) return;
+        
+        this.position.z = BOSS_ARENA.holdZ;
+        this.velocity.set(0, 0, 0);
+        this.setState('fighting');
+        this.nextAttackTime = 1;
+        this.applyPhaseColor();
+    }
+    
+    updateFighting() {
+        const phase = this.getPhase();
+        
+        // Strafe across the middle of the view, bobbing gently
+        const halfWidth = this.game.sceneManager.worldBounds.getHalfWidth(BOSS_ARENA.holdZ) * 0.5;
+        if (Math.abs(this.position.x) > halfWidth && Math.sign(this.position.x) === this.strafeDirection) {
+            this.strafeDirection = -this.strafeDirection;
+        }
+        this.velocity.x = this.strafeDirection * phase.strafeSpeed * this.speedScale;
+        this.velocity.y = Math.cos(this.age) * 1.5;
+        
+        if (this.attack) {
+            if (this.stateTime >= this.attack.endTime) {
+                BossAttacks[this.attack.type].fire(this);
+                this.attack = null;
+                this.nextAttackTime = this.stateTime + phase.attackInterval / 1000;
+            }
+        } else if (this.stateTime >= this.nextAttackTime) {
+            this.telegraphAttack(this.game.random.pick(phase.attacks));
+        }
+    }
+    
+    telegraphAttack(type) {
+        const attack = BossAttacks[type];
+        const duration = attack.telegraph / 1000;
+        this.attack = { type, duration, endTime: this.stateTime + duration };
+        
+        this.game.events.emit(GameEvents.BOSS_ATTACK_TELEGRAPHED, {
+            boss: this,
+            attack,
+            duration: attack.telegraph
+        });
+    }
+    
+    // Explosions ripple across the hull, then one last blast
+    updateDefeated() {
+        if (this.stateTime >= BOSS_ARENA.defeatDuration) {
+            this.createExplosionParticles(this.position, 60);
+            this.game.sceneManager.addCameraShake(1.5);
+            this.despawn();
+            this.game.events.emit(GameEvents.BOSS_DEFEATED, { boss: this });
+            return;
+        }
+        
+        if (MathUtils.random(0, 1) < 0.2) {
+            const offset = new THREE.Vector3(
+                MathUtils.random(-3, 3),
+                MathUtils.random(-1, 1),
+                MathUtils.random(-1, 1)
+            ).multiplyScalar(this.size);
+            this.createExplosionParticles(this.position.clone().add(offset), 10);
+            this.game.sceneManager.addCameraShake(0.4);
+        }
+    }
+    
+    // The core opens while an attack is telegraphed, glowing brighter and
+    // pulsing faster in the attack's colour until it fires; closed, it dims
+    updateCore() {
+        this.parts.get('core').exposed = !!this.attack;
+        if (!this.mesh) return;
+        
+        if (this.attack) {
+            const progress = 1 - (this.attack.endTime - this.stateTime) / this.attack.duration;
+            this.coreMaterial.emissive.setHex(BossAttacks[this.attack.type].color);
+            this.coreMaterial.emissiveIntensity = 0.8 + progress * (1 + Math.sin(this.age * 40));
+            this.core.scale.setScalar(1 + progress * 0.4);
+        } else {
+            this.coreMaterial.emissive.setHex(0xaa00ff);
+            this.coreMaterial.emissiveIntensity = 0.2;
+            this.core.scale.setScalar(1);
+        }
+    }
+    
+    applyPhaseColor() {
+        if (this.hullMaterial) this.hullMaterial.emissive.setHex(this.getPhase().color);
+    }
+    
+    // Enemy projectile towards targetPosition
+    fireAt(targetPosition) {
+        this.game.events.emit(GameEvents.ENEMY_FIRED, {
+            enemy: this,
+            position: this.position.clone().setZ(this.position.z + 2 * this.size), // From the core
+            targetPosition
+        });
+    }
+    
+    // Shots, beams and vortices can only hurt it while it's fighting
+    isVulnerable() {
+        return this.state === 'fighting';
+    }
+    
+    // How close a shot has to come to be tested against the parts (the
+    // wing tips are furthest out)
+    getHitRadius() {
+        return 5 * this.size;
+    }
+    
+    // impactPoint is where the shot connected and part the part it struck,
+    // if known (shots that weren't traced to a part hit the hull)
+    hit(impactPoint = null, part = null) {
+        if (!this.isVulnerable()) return false;
+        
+        part = part || this.parts.get('hull');
+        const { damage, detached } = this.parts.strike(part, 1);
+        if (detached) this.loseThruster(part);
+        
+        return damage > 0 ? this.takeDamage(damage, impactPoint) : false;
+    }
+    
+    // A thruster was shot off: the boss strafes slower from now on
+    loseThruster(part) {
+        this.speedScale *= PartTypes[part.type].slowdown;
+        this.createExplosionParticles(part.mesh.getWorldPosition(new THREE.Vector3()), 15);
+    }
+    
+    // Damage from a shot, beam or vortex. Returns true if this finished it off
+    takeDamage(amount, impactPoint = null) {
+        if (!this.isVulnerable()) return false;
+        
+        this.health = Math.max(0, this.health - amount);
+        this.impactPoint = impactPoint;
+        
+        // Flash the hull
+        this.hullMaterial.color.setHex(0xff0000);
+        const generation = this.generation;
+        this.game.scheduler.schedule(150, () => {
+            if (this.isAliveIn(generation)) this.hullMaterial.color.setHex(0x707080);
+        });
+        
+        if (this.health <= 0) {
+            this.defeat();
+            return true;
+        }
+        
+        this.game.events.emit(GameEvents.ENEMY_HIT, {
+            enemy: this,
+            position: this.getImpactPosition()
+        });
+        this.updatePhase();
+        this.game.events.emit(GameEvents.BOSS_UPDATED, { boss: this });
+        return false;
+    }
+    
+    // Move on to the latest phase its health has reached; the attack being
+    // telegraphed is called off so the new phase starts with a breather
+    updatePhase() {
+        const fraction = this.health / this.maxHealth;
+        let phaseIndex = this.phaseIndex;
+        while (phaseIndex + 1 < BossPhases.length && fraction <= BossPhases[phaseIndex + 1].health) {
+            phaseIndex++;
+        }
+        if (phaseIndex === this.phaseIndex) return;
+        
+        this.phaseIndex = phaseIndex;
+        this.attack = null;
+        this.nextAttackTime = this.stateTime + 1;
+        this.applyPhaseColor();
+        
+        this.game.events.emit(GameEvents.BOSS_PHASE_CHANGED, { boss: this, phase: phaseIndex + 1 });
+    }
+    
+    // Scores like any destroyed enemy straight away; the level ends when
+    // the death throes are over
+    defeat() {
+        this.velocity.set(0, 0, 0);
+        this.setState('defeated');
+        
+        this.game.events.emit(GameEvents.ENEMY_DESTROYED, {
+            enemy: this,
+            points: this.points,
+            position: this.getImpactPosition()
+        });
+    }
+    
+    createExplosionParticles(origin, count) {
+        for (let i = 0; i < count; i++) {
+            this.game.sceneManager.createParticle({
+                position: origin.clone(),
+                color: { r: 255, g: MathUtils.random(50, 200), b: MathUtils.random(0, 255) },
+                size: MathUtils.random(0.2, 0.6),
+                velocity: new THREE.Vector3(
+                    MathUtils.random(-12, 12),
+                    MathUtils.random(-12, 12),
+                    MathUtils.random(-6, 6)
+                ),
+                life: MathUtils.random(1.5, 3)
+            });
+        }
+    }
+}
+
+// Export globally
+window.BOSS_ARENA = BOSS_ARENA;
+window.BossPhases = BossPhases;
+window.BossAttacks = BossAttacks;
+window.Boss3D = Boss3D;
\ No newline at end of file
@@ -0,0 +1,419 @@
+/**
+ * Canvas Renderer for 3D Ceiling Pop
+ * Fallback for machines without WebGL: draws the scene with the 2D canvas
+ * API, projecting every object through the camera and scaling it with depth
+ */
+
+// Stands in for THREE.WebGLRenderer (see SceneRenderers). Meshes become flat
+// shapes sorted back to front: round ones as shaded discs facing the screen,
+// boxes, planes and rings as their outline laid into the object's own plane.
+// Lighting, shadows and post-processing are not drawn; fog is.
+class CanvasRenderer {
+    constructor(canvas) {
+        this.domElement = canvas;
+        this.context = canvas.getContext('2d');
+        if (!this.context) {
+            throw new Error('2D canvas context unavailable');
+        }
+        
+        this.shadowMap = { enabled: false, type: null }; // Accepted, never drawn
+        this.info = {
+            render: { calls: 0, triangles: 0 },
+            memory: { geometries: 0, textures: 0 }
+        };
+        this.pixelRatio = 1;
+        this.width = 0;
+        this.height = 0;
+        this.clearColor = new THREE.Color(0x000000);
+        this.clearAlpha = 1;
+        
+        // Draw list, reused from frame to frame: one item per shape
+        this.items = [];
+        this.itemCount = 0;
+        this.drawList = [];
+        
+        // Set for the frame being drawn
+        this.camera = null;
+        this.fog = null;
+        this.focalLength = 1; // Pixels per world unit at distance 1
+        
+        // Scratch objects
+        this.point = new THREE.Vector3();
+        this.axisPoint = new THREE.Vector3();
+        this.instanceMatrix = new THREE.Matrix4();
+        this.worldMatrix = new THREE.Matrix4();
+        this.color = new THREE.Color();
+        this.emissive = new THREE.Color();
+        this.shade = new THREE.Color();
+        this.white = new THREE.Color(0xffffff);
+        this.center = { x: 0, y: 0 };
+        this.axisX = { x: 0, y: 0 };
+        this.axisY = { x: 0, y: 0 };
+        this.lineStart = { x: 0, y: 0 };
+        this.lineEnd = { x: 0, y: 0 };
+    }
+    
+    setSize(width, height, updateStyle = true) {
+        this.width = width;
+        this.height = height;
+        this.domElement.width = Math.floor(width * this.pixelRatio);
+        this.domElement.height = Math.floor(height * this.pixelRatio);
+        
+        if (updateStyle) {
+            this.domElement.style.width = `${width}px`;
+            this.domElement.style.height = `${height}px`;
+        }
+    }
+    
+    setPixelRatio(ratio) {
+        this.pixelRatio = ratio;
+        this.setSize(this.width, this.height, false);
+    }
+    
+    getPixelRatio() {
+        return this.pixelRatio;
+    }
+    
+    getDrawingBufferSize(target) {
+        return target.set(this.domElement.width, this.domElement.height);
+    }
+    
+    setClearColor(color, alpha = 1) {
+        this.clearColor.set(color);
+        this.clearAlpha = alpha;
+    }
+    
+    render(scene, camera) {
+        if (scene.autoUpdate) scene.updateMatrixWorld();
+        if (camera.parent === null) camera.updateMatrixWorld();
+        
+        const ctx = this.context;
+        const { width, height } = this.domElement;
+        
+        this.camera = camera;
+        this.fog = scene.fog;
+        this.focalLength = camera.projectionMatrix.elements[5] * height / 2;
+        
+        // Gather every shape, then paint the farthest first
+        this.itemCount = 0;
+        scene.traverseVisible(object => {
+            if (object.isPoints) {
+                this.collectSprites(object);
+            } else if (object.isInstancedMesh) {
+                this.collectInstances(object);
+            } else if (object.isMesh) {
+                this.collectMesh(object, object.matrixWorld);
+            } else if (object.isLine) {
+                this.collectLines(object);
+            }
+        });
+        
+        const drawList = this.drawList;
+        drawList.length = 0;
+        for (let i = 0; i < this.itemCount; i++) {
+            drawList.push(this.items[i]);
+        }
+        drawList.sort((a, b) => b.depth - a.depth);
+        
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = this.clearAlpha;
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.fillStyle = this.clearColor.getStyle();
+        ctx.fillRect(0, 0, width, height);
+        
+        drawList.forEach(item => {
+            switch (item.kind) {
+                case 'backdrop': this.drawBackdrop(item); break;
+                case 'mesh': this.drawMesh(item); break;
+                case 'sprite': this.drawSprite(item); break;
+                case 'line': this.drawLine(item); break;
+            }
+        });
+        
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+        this.info.render.calls = drawList.length;
+    }
+    
+    // Next free item from the draw list
+    addItem(kind, object, depth) {
+        let item = this.items[this.itemCount];
+        if (!item) {
+            item = {
+                kind: null,
+                object: null,
+                depth: 0,
+                index: 0,
+                matrix: new THREE.Matrix4(),
+                start: new THREE.Vector3(),
+                end: new THREE.Vector3()
+            };
+            this.items.push(item);
+        }
+        this.itemCount++;
+        
+        item.kind = kind;
+        item.object = object;
+        item.depth = depth;
+        return item;
+    }
+    
+    collectMesh(mesh, matrix) {
+        const material = this.getMaterial(mesh);
+        if (!material.visible) return;
+        
+        const geometry = mesh.geometry;
+        if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+        
+        const view = this.toView(this.point.setFromMatrixPosition(matrix));
+        const radius = geometry.boundingSphere.radius * matrix.getMaxScaleOnAxis();
+        const distance = view.length();
+        
+        // Meshes around the camera (the sky, the shield bubble) cover the
+        // whole view; what shows is their far wall
+        if (distance < radius) {
+            this.addItem('backdrop', mesh, distance + radius);
+            return;
+        }
+        
+        const depth = -view.z;
+        if (depth - radius < this.camera.near) return;
+        
+        // Only the far side of an inside-out mesh (glows) is visible
+        const item = this.addItem('mesh', mesh, material.side === THREE.BackSide ? depth + radius : depth);
+        item.matrix.copy(matrix);
+    }
+    
+    collectInstances(mesh) {
+        for (let i = 0; i < mesh.count; i++) {
+            mesh.getMatrixAt(i, this.instanceMatrix);
+            this.worldMatrix.multiplyMatrices(mesh.matrixWorld, this.instanceMatrix);
+            this.collectMesh(mesh, this.worldMatrix);
+        }
+    }
+    
+    // One item per sprite, so particles sort among the meshes
+    collectSprites(points) {
+        const position = points.geometry.getAttribute('position');
+        const count = Math.min(position.count, points.geometry.drawRange.count);
+        
+        for (let i = 0; i < count; i++) {
+            const view = this.toView(this.point.fromBufferAttribute(position, i).applyMatrix4(points.matrixWorld));
+            if (-view.z < this.camera.near) continue;
+            
+            const item = this.addItem('sprite', points, -view.z);
+            item.index = i;
+            item.start.copy(view);
+        }
+    }
+    
+    // One item per segment, clipped to the near plane, so long lines (the
+    // floor grid) sort correctly along their length
+    collectLines(line) {
+        const position = line.geometry.getAttribute('position');
+        const step = line.isLineSegments ? 2 : 1;
+        const near = this.camera.near;
+        
+        for (let i = 0; i + 1 < position.count; i += step) {
+            const item = this.addItem('line', line, 0);
+            const start = this.toView(item.start.fromBufferAttribute(position, i).applyMatrix4(line.matrixWorld));
+            const end = this.toView(item.end.fromBufferAttribute(position, i + 1).applyMatrix4(line.matrixWorld));
+            
+            if (-start.z < near && -end.z < near) {
+                this.itemCount--;
+                continue;
+            }
+            if (-start.z < near) start.lerp(end, (near + start.z) / (start.z - end.z));
+            if (-end.z < near) end.lerp(start, (near + end.z) / (end.z - start.z));
+            
+            item.index = i;
+            item.depth = -(start.z + end.z) / 2;
+        }
+    }
+    
+    drawBackdrop(item) {
+        const ctx = this.context;
+        const material = this.getMaterial(item.object);
+        const { width, height } = this.domElement;
+        
+        this.applyMaterial(material, 0);
+        if (material.map && material.map.image) {
+            ctx.drawImage(material.map.image, 0, 0, width, height);
+        } else {
+            ctx.fillRect(0, 0, width, height);
+        }
+    }
+    
+    drawMesh(item) {
+        const ctx = this.context;
+        const mesh = item.object;
+        const material = this.getMaterial(mesh);
+        const geometry = mesh.geometry;
+        const params = geometry.parameters || {};
+        
+        const center = this.project(this.toView(this.point.setFromMatrixPosition(item.matrix)), this.center);
+        this.applyMaterial(material, item.depth);
+        
+        // Flat shapes: a unit square or circle mapped onto the object's x and y axes
+        const halfSize = this.getFlatHalfSize(geometry.type, params);
+        if (halfSize) {
+            if (!this.projectAxis(item.matrix, halfSize.x, 0, this.axisX) ||
+                !this.projectAxis(item.matrix, 0, halfSize.y, this.axisY)) return;
+            
+            const axisX = this.axisX;
+            const axisY = this.axisY;
+            ctx.setTransform(axisX.x, axisX.y, axisY.x, axisY.y, center.x, center.y);
+            ctx.beginPath();
+            if (geometry.type === 'BoxGeometry' || geometry.type === 'PlaneGeometry') {
+                ctx.rect(-1, -1, 2, 2);
+            } else {
+                ctx.arc(0, 0, 1, 0, Math.PI * 2);
+                if (geometry.type === 'RingGeometry') {
+                    ctx.arc(0, 0, params.innerRadius / params.outerRadius, 0, Math.PI * 2, true);
+                }
+            }
+            ctx.setTransform(1, 0, 0, 1, 0, 0); // Keep strokes one pixel wide
+        } else {
+            // Everything else is drawn as a disc the size of its bounding sphere
+            const radius = geometry.boundingSphere.radius * item.matrix.getMaxScaleOnAxis() *
+                this.focalLength / item.depth;
+            
+            ctx.beginPath();
+            ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+            
+            // Lit materials get a highlight towards the top left
+            if (material.isMeshPhongMaterial && !material.wireframe && radius > 2) {
+                const gradient = ctx.createRadialGradient(
+                    center.x - radius * 0.35, center.y - radius * 0.35, 0,
+                    center.x, center.y, radius
+                );
+                gradient.addColorStop(0, this.shade.copy(this.color).lerp(this.white, 0.5).getStyle());
+                gradient.addColorStop(1, this.shade.copy(this.color).multiplyScalar(0.5).getStyle());
+                ctx.fillStyle = gradient;
+            }
+        }
+        
+        if (material.wireframe) {
+            ctx.stroke();
+        } else {
+            ctx.fill('evenodd');
+        }
+    }
+    
+    // Half extents of shapes drawn flat, or null for ones drawn as discs
+    getFlatHalfSize(type, params) {
+        switch (type) {
+            case 'BoxGeometry':
+            case 'PlaneGeometry':
+                return { x: params.width / 2, y: params.height / 2 };
+            case 'CircleGeometry':
+                return { x: params.radius, y: params.radius };
+            case 'RingGeometry':
+                return { x: params.outerRadius, y: params.outerRadius };
+            default:
+                return null;
+        }
+    }
+    
+    drawSprite(item) {
+        const ctx = this.context;
+        const attributes = item.object.geometry.attributes;
+        const i = item.index;
+        const center = this.project(item.start, this.center);
+        
+        // size is the sprite's diameter in world units; never let it vanish
+        const radius = Math.max(0.5, attributes.size.array[i] * this.focalLength / item.depth / 2);
+        
+        this.color.setRGB(attributes.tint.array[i * 3], attributes.tint.array[i * 3 + 1], attributes.tint.array[i * 3 + 2]);
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.globalAlpha = attributes.alpha.array[i] * 0.5; // Sprites fade out from the middle; this is their average
+        ctx.fillStyle = this.color.getStyle();
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    
+    drawLine(item) {
+        const ctx = this.context;
+        const line = item.object;
+        const material = this.getMaterial(line);
+        
+        this.applyMaterial(material, item.depth);
+        const colors = line.geometry.getAttribute('color');
+        if (material.vertexColors && colors) {
+            ctx.strokeStyle = this.color.fromBufferAttribute(colors, item.index).getStyle();
+        }
+        
+        const start = this.project(item.start, this.lineStart);
+        const end = this.project(item.end, this.lineEnd);
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.stroke();
+    }
+    
+    // Colour, opacity, blending and fog for one shape
+    applyMaterial(material, depth) {
+        const ctx = this.context;
+        const color = this.color;
+        
+        color.copy(material.color || this.white);
+        if (material.emissive) {
+            color.add(this.emissive.copy(material.emissive).multiplyScalar(material.emissiveIntensity));
+            color.setRGB(Math.min(1, color.r), Math.min(1, color.g), Math.min(1, color.b));
+        }
+        
+        const fog = this.fog;
+        if (fog && material.fog !== false && depth > 0) {
+            color.lerp(fog.color, THREE.MathUtils.clamp((depth - fog.near) / (fog.far - fog.near), 0, 1));
+        }
+        
+        ctx.globalAlpha = material.transparent ? material.opacity : 1;
+        ctx.globalCompositeOperation = material.blending === THREE.AdditiveBlending ? 'lighter' : 'source-over';
+        ctx.fillStyle = color.getStyle();
+        ctx.strokeStyle = ctx.fillStyle;
+        ctx.lineWidth = this.pixelRatio;
+    }
+    
+    getMaterial(object) {
+        return Array.isArray(object.material) ? object.material[0] : object.material;
+    }
+    
+    // World position to camera space (in place)
+    toView(point) {
+        return point.applyMatrix4(this.camera.matrixWorldInverse);
+    }
+    
+    // Camera-space point to canvas pixels
+    project(view, target) {
+        const elements = this.camera.projectionMatrix.elements;
+        const depth = -view.z;
+        
+        target.x = (1 + elements[0] * view.x / depth) * this.domElement.width / 2;
+        target.y = (1 - elements[5] * view.y / depth) * this.domElement.height / 2;
+        return target;
+    }
+    
+    // Screen offset of a point in the object's own frame from its projected
+    // centre; false if that point is behind the camera
+    projectAxis(matrix, x, y, target) {
+        const view = this.toView(this.axisPoint.set(x, y, 0).applyMatrix4(matrix));
+        if (-view.z < this.camera.near) return false;
+        
+        this.project(view, target);
+        target.x -= this.center.x;
+        target.y -= this.center.y;
+        return true;
+    }
+    
+    // Nothing is held on a GPU; just forget the last frame
+    dispose() {
+        this.items = [];
+        this.itemCount = 0;
+        this.drawList = [];
+    }
+}
+
+// Export globally
+window.CanvasRenderer = CanvasRenderer;
\ No newline at end of file
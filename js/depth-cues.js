@@ -0,0 +1,179 @@
+/**
+ * Depth Cues for 3D Ceiling Pop
+ * Helps players judge how far away targets are: fog and a colour shift that
+ * grow with depth, and shadow markers on a reference plane under the play volume
+ */
+
+// Where targets live: they spawn at farZ and are gone once they pass nearZ
+const PLAY_VOLUME = {
+    nearZ: 20,
+    farZ: -100,
+    focusZ: 0, // Targets should still be on screen when they get this close
+    floorY: -22 // Just below the lowest spawn height
+};
+
+// Every cue players can switch off; the HUD draws the depth ruler
+const DEPTH_CUE_NAMES = ['fog', 'tint', 'markers', 'ruler'];
+
+// Spliced into built-in materials ahead of their fog
+const DepthTintShaders = {
+    parsFragment: `
+        uniform vec3 depthTintColor;
+        uniform float depthTintStrength;
+        uniform vec2 depthTintRange; // World z where the tint starts and where it is strongest
+        varying float vDepthCueZ;
+    `,
+    
+    // Shift the hue towards the tint colour with depth, keeping the brightest channel
+    fragment: `
+        float depthTint = clamp((vDepthCueZ - depthTintRange.x) / (depthTintRange.y - depthTintRange.x), 0.0, 1.0);
+        depthTint = depthTint * depthTint * (3.0 - 2.0 * depthTint) * depthTintStrength;
+        float depthTintBrightness = max(gl_FragColor.r, max(gl_FragColor.g, gl_FragColor.b));
+        gl_FragColor.rgb = mix(gl_FragColor.rgb, depthTintColor * depthTintBrightness, depthTint);
+    `
+};
+
+class DepthCues {
+    // settings: { fog, tint, markers, ruler } flags, shared with the HUD
+    constructor(scene, settings) {
+        this.scene = scene;
+        this.settings = settings;
+        
+        // Fog distances are from the camera, which sits at the near end of the volume
+        const depth = PLAY_VOLUME.nearZ - PLAY_VOLUME.farZ;
+        this.fog = new THREE.Fog(0x000010, depth * 0.3, depth * 1.8);
+        
+        // Far targets shift towards a cool blue, keeping their brightness
+        this.tintUniforms = {
+            depthTintColor: { value: new THREE.Color(0x4466ff) },
+            depthTintStrength: { value: 0 },
+            depthTintRange: { value: new THREE.Vector2(0, PLAY_VOLUME.farZ) }
+        };
+        this.maxTintStrength = 0.55;
+        
+        // Markers: one flat disc per target on the floor, drawn in one call
+        this.maxMarkers = 128;
+        this.markerMatrix = new THREE.Matrix4();
+        this.markerPosition = new THREE.Vector3();
+        this.markerScale = new THREE.Vector3();
+        this.markerRotation = new THREE.Quaternion()
+            .setFromAxisAngle(new THREE.Vector3(1, 0, 0), -Math.PI / 2);
+        
+        this.createMarkers();
+        this.createFloorGrid();
+        this.apply();
+    }
+    
+    createMarkers() {
+        const geometry = new THREE.CircleGeometry(1, 24);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0x00ffff,
+            transparent: true,
+            opacity: 0.35,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+        
+        this.markers = new THREE.InstancedMesh(geometry, material, this.maxMarkers);
+        this.markers.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.markers.frustumCulled = false; // Instances move every frame
+        this.markers.count = 0;
+        this.scene.add(this.markers);
+    }
+    
+    // Grid lines every 10 units give the markers something to be measured against
+    createFloorGrid() {
+        const depth = PLAY_VOLUME.nearZ - PLAY_VOLUME.farZ;
+        
+        this.floorGrid = new THREE.GridHelper(depth, depth / 10, 0x00ffff, 0x005555);
+        this.floorGrid.position.set(0, PLAY_VOLUME.floorY, PLAY_VOLUME.nearZ - depth / 2);
+        this.floorGrid.material.transparent = true;
+        this.floorGrid.material.opacity = 0.2;
+        this.floorGrid.material.depthWrite = false;
+        this.scene.add(this.floorGrid);
+    }
+    
+    // Bring the scene in line with the settings (call after changing them)
+    apply() {
+        const fogChanged = (this.scene.fog !== null) !== this.settings.fog;
+        
+        this.scene.fog = this.settings.fog ? this.fog : null;
+        this.tintUniforms.depthTintStrength.value = this.settings.tint ? this.maxTintStrength : 0;
+        this.markers.visible = this.settings.markers;
+        this.floorGrid.visible = this.settings.markers;
+        
+        // Materials compile differently with fog on, so rebuild them
+        if (fogChanged) {
+            this.scene.traverse(object => {
+                if (object.material) object.material.needsUpdate = true;
+            });
+        }
+    }
+    
+    // Teach an object's materials the depth tint; safe to call more than once
+    patchObject(object) {
+        object.getMeshResources().forEach(resource => {
+            if (resource.isMaterial) this.patchMaterial(resource);
+        });
+    }
+    
+    patchMaterial(material) {
+        if (material.userData.depthTinted) return;
+        if (!material.isMeshPhongMaterial && !material.isMeshBasicMaterial) return;
+        
+        material.userData.depthTinted = true;
+        material.onBeforeCompile = (shader) => {
+            // Shared uniform objects, so every patched material follows apply()
+            Object.assign(shader.uniforms, this.tintUniforms);
+            
+            shader.vertexShader = 'varying float vDepthCueZ;\n' + shader.vertexShader.replace(
+                '#include <project_vertex>',
+                '#include <project_vertex>\n\tvDepthCueZ = (modelMatrix * vec4(transformed, 1.0)).z;'
+            );
+            shader.fragmentShader = DepthTintShaders.parsFragment + shader.fragmentShader.replace(
+                '#include <fog_fragment>',
+                DepthTintShaders.fragment + '#include <fog_fragment>'
+            );
+        };
+        material.customProgramCacheKey = () => 'depthTint';
+        material.needsUpdate = true;
+    }
+    
+    // Called once per rendered frame with the target arrays, after meshes
+    // have been interpolated
+    update(...targetArrays) {
+        if (!this.settings.markers) return;
+        
+        let count = 0;
+        targetArrays.forEach(targets => {
+            targets.forEach(target => {
+                if (!target.isAlive || !target.mesh || count === this.maxMarkers) return;
+                
+                const radius = target.getHitRadius();
+                this.markerPosition.set(target.mesh.position.x, PLAY_VOLUME.floorY, target.mesh.position.z);
+                this.markerScale.set(radius, radius, radius);
+                this.markerMatrix.compose(this.markerPosition, this.markerRotation, this.markerScale);
+                this.markers.setMatrixAt(count++, this.markerMatrix);
+            });
+        });
+        
+        this.markers.count = count;
+        this.markers.instanceMatrix.needsUpdate = true;
+    }
+    
+    dispose() {
+        this.scene.remove(this.markers);
+        this.scene.remove(this.floorGrid);
+        this.markers.geometry.dispose();
+        this.markers.material.dispose();
+        this.floorGrid.geometry.dispose();
+        this.floorGrid.material.dispose();
+        this.scene.fog = null;
+    }
+}
+
+// Export globally
+window.PLAY_VOLUME = PLAY_VOLUME;
+window.DEPTH_CUE_NAMES = DEPTH_CUE_NAMES;
+window.DepthTintShaders = DepthTintShaders;
+window.DepthCues = DepthCues;
\ No newline at end of file
@@ -0,0 +1,478 @@
+/**
+ * Enemy Archetypes for 3D Ceiling Pop
+ * Kamikazes, splitters and carriers: the enemies wave scripts can send
+ * alongside the standard drone
+ */
+
+// Kamikazes start their dive once this close, and home in on this point
+// just past the player
+const KAMIKAZE_DIVE_Z = -40;
+const KAMIKAZE_TARGET = new THREE.Vector3(0, 0, 18);
+
+// Splitters break into two of the next tier down; tier 0 doesn't split
+const SPLITTER_TIERS = [
+    { health: 1, points: 30, size: 0.8 },
+    { health: 2, points: 60, size: 1.4 }
+];
+
+// What the archetypes share: health and scoring, hit flashes, explosions and
+// leaving past the camera. Pooled like drones; spawn() starts a new run.
+class Enemy3D extends GameObject3D {
+    constructor(game, scene, geometryCache, materialCache) {
+        super(scene, geometryCache, materialCache);
+        
+        this.game = game;
+        this.health = 1;
+        this.maxHealth = 1;
+        this.points = 0;
+        this.path = 'straight';
+        this.modifiers = {};
+        this.impactPoint = null; // Where the last shot connected
+        this.explosionColor = { r: 255, g: 150, b: 0 };
+        this.partColors = new Map(); // Colours to restore after a hit flash
+    }
+    
+    // Health, points and modifiers for a new run; base values are scaled by
+    // the spawn group's modifiers
+    applyModifiers(health, points, modifiers = {}) {
+        this.modifiers = modifiers;
+        this.health = Math.max(1, Math.round(health * (modifiers.health || 1)));
+        this.maxHealth = this.health;
+        this.points = Math.round(points * (modifiers.points || 1));
+        this.impactPoint = null;
+        this.partColors.forEach((color, material) => material.color.setHex(color));
+    }
+    
+    // Somewhere far off that stays on screen as it comes closer
+    placeAtSpawn(z, spread = 0.8) {
+        const rng = this.game.random;
+        const bounds = this.game.sceneManager.worldBounds;
+        const halfWidth = bounds.getHalfWidth(PLAY_VOLUME.focusZ) * spread;
+        const halfHeight = bounds.getHalfHeight(PLAY_VOLUME.focusZ) * spread;
+        this.setPosition(rng.range(-halfWidth, halfWidth), rng.range(-halfHeight, halfHeight), z);
+    }
+    
+    // Call at the end of createMesh, once every part has its material
+    recordPartColors() {
+        this.partColors = new Map();
+        this.mesh.traverse(child => {
+            if (child.material && child.material.color) {
+                this.partColors.set(child.material, child.material.color.getHex());
+            }
+        });
+    }
+    
+    reset() {
+        super.reset();
+        this.impactPoint = null;
+    }
+    
+    update(deltaTime) {
+        super.update(deltaTime);
+        
+        if (this.isAlive && this.position.z > 15) {
+            this.passCamera();
+        }
+    }
+    
+    passCamera() {
+        this.despawn();
+    }
+    
+    // How close a shot has to come to hit
+    getHitRadius() {
+        return 1;
+    }
+    
+    // impactPoint is where the shot connected, if known
+    hit(impactPoint = null) {
+        return this.takeDamage(1, impactPoint);
+    }
+    
+    // Returns true if this destroyed it
+    takeDamage(amount, impactPoint = null) {
+        this.health -= amount;
+        this.impactPoint = impactPoint;
+        
+        // Flash every part red
+        if (this.mesh) {
+            this.partColors.forEach((color, material) => material.color.setHex(0xff0000));
+            
+            const generation = this.generation;
+            this.game.scheduler.schedule(150, () => {
+                if (this.isAliveIn(generation)) {
+                    this.partColors.forEach((color, material) => material.color.setHex(color));
+                }
+            });
+        }
+        
+        if (this.health <= 0) {
+            this.destroy();
+            return true;
+        }
+        
+        this.game.events.emit(GameEvents.ENEMY_HIT, {
+            enemy: this,
+            position: this.getImpactPosition()
+        });
+        return false;
+    }
+    
+    destroy() {
+        if (!this.isAlive) return;
+        
+        this.createImpactBurst(this.getImpactPosition(), 25);
+        
+        this.game.events.emit(GameEvents.ENEMY_DESTROYED, {
+            enemy: this,
+            points: this.points,
+            position: this.getImpactPosition()
+        });
+        
+        super.destroy();
+    }
+    
+    createImpactBurst(origin, count) {
+        for (let i = 0; i < count; i++) {
+            this.game.sceneManager.createParticle({
+                position: origin.clone(),
+                color: {
+                    r: this.explosionColor.r,
+                    g: MathUtils.clamp(this.explosionColor.g + MathUtils.random(-50, 50), 0, 255),
+                    b: this.explosionColor.b
+                },
+                size: MathUtils.random(0.1, 0.4),
+                velocity: new THREE.Vector3(
+                    MathUtils.random(-8, 8),
+                    MathUtils.random(-8, 8),
+                    MathUtils.random(-5, 5)
+                ),
+                life: MathUtils.random(1.5, 3)
+            });
+        }
+    }
+}
+
+// Drifts in, then dives at the player, speeding up all the way. One that
+// gets through explodes against the shields instead of scoring.
+class Kamikaze3D extends Enemy3D {
+    constructor(game, scene, geometryCache, materialCache) {
+        super(game, scene, geometryCache, materialCache);
+        
+        this.state = 'approach'; // Then 'diving'
+        this.speed = 10;
+        this.maxSpeed = 45;
+        this.acceleration = 30;
+        this.speedScale = 1;
+        this.damage = 15;
+        this.explosionColor = { r: 255, g: 100, b: 0 };
+        this.lookTarget = new THREE.Vector3();
+        
+        this.createMesh();
+    }
+    
+    // options come from the wave script's spawn group: modifiers (kamikazes
+    // home in on the player and follow no path)
+    spawn(options = {}) {
+        const modifiers = options.modifiers || {};
+        this.applyModifiers(1, 100, modifiers);
+        this.speedScale = modifiers.speed || 1;
+        this.speed = this.game.random.range(8, 12) * this.speedScale;
+        this.state = 'approach';
+        
+        this.placeAtSpawn(-90);
+        this.velocity.set(0, 0, this.speed);
+        this.activate();
+    }
+    
+    // The nose points along +z, which interpolate() turns along its course
+    createMesh() {
+        this.mesh = new THREE.Group();
+        
+        // Own material, since it flashes on hits and pulses while diving
+        this.bodyMaterial = new THREE.MeshPhongMaterial({
+            color: 0xffaa00,
+            emissive: 0xff3300,
+            emissiveIntensity: 0.3,
+            shininess: 80
+        });
+        const body = new THREE.Mesh(this.geometryCache.getCylinder(0, 0.9, 2.4, 8), this.bodyMaterial);
+        body.rotation.x = Math.PI / 2;
+        this.mesh.add(body);
+        
+        const fins = new THREE.Mesh(
+            this.geometryCache.getBox(2.2, 0.1, 0.6),
+            this.materialCache.getPhong({ color: 0x552200 })
+        );
+        fins.position.z = -0.8;
+        this.mesh.add(fins);
+        
+        this.recordPartColors();
+        this.scene.add(this.mesh);
+    }
+    
+    update(deltaTime) {
+        super.update(deltaTime);
+        if (!this.isAlive) return;
+        
+        if (this.state === 'approach' && this.position.z > KAMIKAZE_DIVE_Z) {
+            this.state = 'diving';
+            this.game.events.emit(GameEvents.ENEMY_DIVING, { enemy: this });
+        }
+        
+        if (this.state === 'diving') {
+            this.speed = Math.min(this.maxSpeed * this.speedScale, this.speed + this.acceleration * deltaTime);
+            this.velocity.copy(KAMIKAZE_TARGET).sub(this.position).normalize().multiplyScalar(this.speed);
+            
+            if (this.mesh) this.bodyMaterial.emissiveIntensity = 0.6 + Math.sin(this.age * 30) * 0.4;
+        }
+    }
+    
+    interpolate(alpha) {
+        super.interpolate(alpha);
+        
+        // Face where it's heading
+        if (this.mesh) {
+            this.lookTarget.copy(this.mesh.position).add(this.velocity);
+            this.mesh.lookAt(this.lookTarget);
+        }
+    }
+    
+    // Got through: blow up against the shields
+    passCamera() {
+        const position = this.position.clone();
+        this.createImpactBurst(position, 30);
+        this.despawn();
+        
+        this.game.events.emit(GameEvents.ENEMY_RAMMED, { enemy: this, position });
+        this.game.events.emit(GameEvents.PLAYER_DAMAGED, { amount: this.damage, position });
+    }
+    
+    getHitRadius() {
+        return 1.5;
+    }
+}
+
+// A crystal that breaks into two smaller splitters when destroyed, tier by
+// tier, each piece worth points of its own
+class Splitter3D extends Enemy3D {
+    constructor(game, scene, geometryCache, materialCache) {
+        super(game, scene, geometryCache, materialCache);
+        
+        this.tier = SPLITTER_TIERS.length - 1;
+        this.path = 'drift';
+        this.explosionColor = { r: 120, g: 255, b: 255 };
+        
+        this.createMesh();
+    }
+    
+    // options come from the wave script's spawn group: path and modifiers;
+    // tier is set for the pieces of a splitter that broke up
+    spawn(options = {}) {
+        const modifiers = options.modifiers || {};
+        this.tier = options.tier !== undefined ? options.tier : SPLITTER_TIERS.length - 1;
+        const tier = SPLITTER_TIERS[this.tier];
+        
+        this.applyModifiers(tier.health, tier.points, modifiers);
+        this.path = options.path || 'drift';
+        this.scale.setScalar(tier.size);
+        
+        this.placeAtSpawn(-90);
+        this.velocity.set(0, 0, this.game.random.range(7, 11) * (modifiers.speed || 1));
+        FlightPaths[this.path].setup(this, this.game.random);
+        this.rotation.set(0.4, 0.8, 0);
+        this.activate();
+    }
+    
+    // Unit-sized; spawn() scales it to its tier
+    createMesh() {
+        this.mesh = new THREE.Group();
+        
+        // Own material, since hits flash it
+        const crystalMaterial = new THREE.MeshPhongMaterial({
+            color: 0x66ffff,
+            emissive: 0x006688,
+            emissiveIntensity: 0.8,
+            shininess: 120,
+            flatShading: true
+        });
+        this.mesh.add(new THREE.Mesh(this.geometryCache.getSphere(1, 6, 4), crystalMaterial));
+        
+        // Shards along the seams it breaks along
+        const shardGeometry = this.geometryCache.getBox(0.3, 0.3, 1.2);
+        const shardMaterial = this.materialCache.getPhong({ color: 0x224455, shininess: 100 });
+        for (let i = 0; i < 4; i++) {
+            const angle = (i / 4) * Math.PI * 2;
+            const shard = new THREE.Mesh(shardGeometry, shardMaterial);
+            shard.position.set(Math.cos(angle) * 1.1, Math.sin(angle) * 1.1, 0);
+            shard.rotation.z = angle;
+            this.mesh.add(shard);
+        }
+        
+        this.recordPartColors();
+        this.scene.add(this.mesh);
+    }
+    
+    update(deltaTime) {
+        super.update(deltaTime);
+        FlightPaths[this.path].update(this);
+    }
+    
+    destroy() {
+        if (!this.isAlive) return;
+        
+        super.destroy();
+        if (this.tier > 0) this.split();
+    }
+    
+    // Two pieces of the next tier fly apart from where it broke
+    split() {
+        const sceneManager = this.game.sceneManager;
+        const fragments = [-1, 1].map(side => {
+            const fragment = sceneManager.launchEntity('splitter', this.position, {
+                tier: this.tier - 1,
+                path: this.path,
+                modifiers: this.modifiers
+            });
+            fragment.velocity.x = side * 5;
+            return fragment;
+        });
+        
+        this.game.events.emit(GameEvents.ENEMY_SPLIT, {
+            enemy: this,
+            position: this.position.clone(),
+            fragments
+        });
+    }
+    
+    getHitRadius() {
+        return 1.3 * this.scale.x;
+    }
+}
+
+// A slow, heavy ship that launches drone escorts until it gets close. Its
+// bay opens while a launch is readied, and is a weak point while open.
+class Carrier3D extends Enemy3D {
+    constructor(game, scene, geometryCache, materialCache) {
+        super(game, scene, geometryCache, materialCache);
+        
+        this.launchInterval = 3500; // ms between launches
+        this.launchWarning = 1000; // The bay is open for this long before each
+        this.lastLaunchTime = 0;
+        this.maxEscorts = 4;
+        this.escortsLaunched = 0;
+        this.explosionColor = { r: 255, g: 200, b: 80 };
+        this.parts = new TargetParts();
+        
+        this.createMesh();
+    }
+    
+    // options come from the wave script's spawn group: path and modifiers
+    spawn(options = {}) {
+        const modifiers = options.modifiers || {};
+        this.applyModifiers(10, 300, modifiers);
+        this.path = options.path || 'straight';
+        this.lastLaunchTime = this.game.clock.now();
+        this.escortsLaunched = 0;
+        this.parts.reset();
+        
+        this.placeAtSpawn(-100, 0.5);
+        this.velocity.set(0, 0, this.game.random.range(3, 4.5) * (modifiers.speed || 1));
+        FlightPaths[this.path].setup(this, this.game.random);
+        this.activate();
+    }
+    
+    createMesh() {
+        const geometryCache = this.geometryCache;
+        this.mesh = new THREE.Group();
+        
+        // Own materials, since hits flash the hull and the bay glows when open
+        const hull = new THREE.Mesh(
+            geometryCache.getBox(6, 1.6, 8),
+            new THREE.MeshPhongMaterial({ color: 0x556070, shininess: 40 })
+        );
+        this.mesh.add(hull);
+        this.parts.add('hull', 'hull', hull);
+        
+        const bridge = new THREE.Mesh(
+            geometryCache.getBox(1.2, 1, 2),
+            this.materialCache.getPhong({ color: 0x303840 })
+        );
+        bridge.position.set(0, 1.3, -2);
+        this.mesh.add(bridge);
+        this.parts.add('bridge', 'plating', bridge);
+        
+        this.bayMaterial = new THREE.MeshPhongMaterial({
+            color: 0x202020,
+            emissive: 0xffaa00,
+            emissiveIntensity: 0
+        });
+        const bay = new THREE.Mesh(geometryCache.getBox(2.4, 0.8, 0.3), this.bayMaterial);
+        bay.position.set(0, -0.2, 4.1);
+        this.mesh.add(bay);
+        this.parts.add('bay', 'bay', bay);
+        
+        this.recordPartColors();
+        this.scene.add(this.mesh);
+    }
+    
+    update(deltaTime) {
+        super.update(deltaTime);
+        if (!this.isAlive) return;
+        
+        FlightPaths[this.path].update(this);
+        this.updateLaunching();
+    }
+    
+    // Too close to the player, or out of escorts, it stops launching
+    updateLaunching() {
+        const bay = this.parts.get('bay');
+        const canLaunch = this.escortsLaunched < this.maxEscorts && this.position.z < -25;
+        const sinceLaunch = this.game.clock.now() - this.lastLaunchTime;
+        
+        bay.exposed = canLaunch && sinceLaunch > this.launchInterval - this.launchWarning;
+        if (this.mesh) {
+            this.bayMaterial.emissiveIntensity = bay.exposed ? 0.6 + Math.sin(this.age * 12) * 0.4 : 0;
+        }
+        
+        if (canLaunch && sinceLaunch > this.launchInterval) {
+            this.launchEscort();
+            this.lastLaunchTime = this.game.clock.now();
+        }
+    }
+    
+    launchEscort() {
+        const position = this.position.clone();
+        position.z += 4 * this.scale.z;
+        
+        const escort = this.game.sceneManager.launchEntity('drone', position, {
+            path: 'weave',
+            modifiers: this.modifiers
+        });
+        this.escortsLaunched++;
+        
+        this.game.events.emit(GameEvents.ENEMY_LAUNCHED, { carrier: this, escort });
+    }
+    
+    // impactPoint is where the shot connected and part the part it struck,
+    // if known (shots that weren't traced to a part hit the hull)
+    hit(impactPoint = null, part = null) {
+        const { damage } = this.parts.strike(part || this.parts.get('hull'), 1);
+        if (damage === 0) return false; // Glanced off
+        
+        return this.takeDamage(damage, impactPoint);
+    }
+    
+    // How close a shot has to come to be tested against the parts
+    getHitRadius() {
+        return 6;
+    }
+}
+
+// Export globally
+window.KAMIKAZE_DIVE_Z = KAMIKAZE_DIVE_Z;
+window.SPLITTER_TIERS = SPLITTER_TIERS;
+window.Enemy3D = Enemy3D;
+window.Kamikaze3D = Kamikaze3D;
+window.Splitter3D = Splitter3D;
+window.Carrier3D = Carrier3D;
\ No newline at end of file
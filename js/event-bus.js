@@ -0,0 +1,124 @@
+/**
+ * Event Bus for 3D Ceiling Pop
+ * Typed publish/subscribe channel between game systems. Each GameController
+ * owns its own bus, so several games can run side by side on one page.
+ */
+
+// Every event the game emits, with its payload
+const GameEvents = {
+    // Game flow
+    GAME_STARTED: 'gameStarted', // { seed }
+    GAME_OVER: 'gameOver', // { gameData, seed }
+    WAVE_ADVANCED: 'waveAdvanced', // { wave, level }
+    BOSS_WAVE_STARTED: 'bossWaveStarted', // { wave }
+    LEVEL_COMPLETED: 'levelCompleted', // { level }
+    
+    // Boss
+    BOSS_UPDATED: 'bossUpdated', // { boss } (state or health changed)
+    BOSS_PHASE_CHANGED: 'bossPhaseChanged', // { boss, phase }
+    BOSS_ATTACK_TELEGRAPHED: 'bossAttackTelegraphed', // { boss, attack, duration }
+    BOSS_DEFEATED: 'bossDefeated', // { boss }
+    
+    // Player
+    PLAYER_UPDATED: 'playerUpdated', // { player }
+    PLAYER_DAMAGED: 'playerDamaged', // { amount, position }
+    PLAYER_HEALED: 'playerHealed', // { amount }
+    PLAYER_DEFEATED: 'playerDefeated', // { reason: 'missed' | 'destroyed' }
+    SCORE_AWARDED: 'scoreAwarded', // { points, position } (position may be null; points are negative for penalties)
+    DEPTH_BONUS: 'depthBonus', // { multiplier, points }
+    POINTER_PRESSED: 'pointerPressed', // { x, y }
+    TAP_RESOLVED: 'tapResolved', // { position, hit }
+    
+    // Targets
+    BALLOON_POPPED: 'balloonPopped', // { balloon, points, position }
+    BALLOON_MISSED: 'balloonMissed', // { balloon }
+    BALLOON_EXPLODED: 'balloonExploded', // { balloon, position, radius, targets } (a bomb balloon went off)
+    BALLOON_SPLIT: 'balloonSplit', // { balloon, position, fragments } (a cluster balloon burst)
+    BALLOON_DASHED: 'balloonDashed', // { balloon } (a speeder began its dash)
+    ENEMY_HIT: 'enemyHit', // { enemy, position }
+    ENEMY_DESTROYED: 'enemyDestroyed', // { enemy, points, position }
+    ENEMY_FIRED: 'enemyFired', // { enemy, position, targetPosition }
+    ENEMY_DIVING: 'enemyDiving', // { enemy } (a kamikaze began its run at the player)
+    ENEMY_RAMMED: 'enemyRammed', // { enemy, position } (a kamikaze got through)
+    ENEMY_SPLIT: 'enemySplit', // { enemy, position, fragments }
+    ENEMY_LAUNCHED: 'enemyLaunched', // { carrier, escort }
+    MINI_SHIP_FIRED: 'miniShipFired', // { ship, target }
+    
+    // Power-ups and effects
+    POWER_UP_ACTIVATED: 'powerUpActivated', // { type, powerUp, endTime }
+    POWER_UP_DEACTIVATED: 'powerUpDeactivated', // { type, powerUp }
+    POWER_UP_TRIGGERED: 'powerUpTriggered', // { type }
+    BEAM_FIRED: 'beamFired', // { start, end }
+    VORTEX_CHAIN: 'vortexChain', // { position, radius, targets }
+    VORTEX_CREATED: 'vortexCreated', // { position, radius }
+    
+    // Rendering
+    CONTEXT_LOST: 'contextLost', // {}
+    CONTEXT_RESTORED: 'contextRestored' // {}
+};
+
+class EventBus {
+    constructor() {
+        this.listeners = new Map();
+        this.knownTypes = new Set(Object.values(GameEvents));
+    }
+    
+    // Subscribe to an event; returns a function that unsubscribes
+    on(type, handler) {
+        this.checkType(type);
+        
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(handler);
+        
+        return () => this.off(type, handler);
+    }
+    
+    once(type, handler) {
+        const unsubscribe = this.on(type, (payload) => {
+            unsubscribe();
+            handler(payload);
+        });
+        return unsubscribe;
+    }
+    
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (!handlers) return;
+        
+        const index = handlers.indexOf(handler);
+        if (index !== -1) handlers.splice(index, 1);
+    }
+    
+    // Handlers run synchronously, in the order they subscribed
+    emit(type, payload = {}) {
+        this.checkType(type);
+        
+        const handlers = this.listeners.get(type);
+        if (!handlers || handlers.length === 0) return;
+        
+        // Work on a snapshot; handlers may subscribe or unsubscribe others
+        handlers.slice().forEach(handler => handler(payload));
+    }
+    
+    // Catch misspelt event names early instead of failing silently
+    checkType(type) {
+        if (!this.knownTypes.has(type)) {
+            throw new Error(`Event Bus: unknown event "${type}"`);
+        }
+    }
+    
+    getListenerCount(type) {
+        const handlers = this.listeners.get(type);
+        return handlers ? handlers.length : 0;
+    }
+    
+    clear() {
+        this.listeners.clear();
+    }
+}
+
+// Export globally
+window.GameEvents = GameEvents;
+window.EventBus = EventBus;
\ No newline at end of file
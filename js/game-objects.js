@@ -3,29 +3,174 @@
  * All game entities represented as Three.js objects
  */
 
+// Sideways motion for targets flying in, chosen per spawn group in the wave
+// scripts. setup() runs once at spawn, update() every step.
+const FlightPaths = {
+    // Heads straight for the camera
+    straight: {
+        setup: () => {},
+        update: () => {}
+    },
+    
+    // A steady sideways drift
+    drift: {
+        setup: (target, rng) => {
+            target.velocity.x = rng.range(-2, 2);
+            target.velocity.y = rng.range(-1, 1);
+        },
+        update: () => {}
+    },
+    
+    // Swings from side to side
+    weave: {
+        setup: (target, rng) => {
+            target.lateralDirection = rng.range(-1, 1);
+            target.waveSpeed = rng.range(0.5, 1.5);
+        },
+        update: (target) => {
+            target.velocity.x = Math.sin(target.age * target.waveSpeed) * target.lateralDirection * 3;
+        }
+    }
+};
+
+// Balloon types a wave script can ask for, and what they are worth. The
+// special ones may also have a glow colour, a blastRadius that damages
+// neighbours when popped, a number of fragments they burst into, a penalty
+// for popping them (they pass by harmlessly), a dash speed multiplier or
+// health they heal.
+const BalloonTypes = {
+    normal: { health: 1, points: 50 },
+    armored: { health: 3, points: 150, color: { r: 139, g: 0, b: 139 }, radiusScale: 1.2 }, // Dark magenta
+    powerup: { health: 1, points: 100, color: { r: 50, g: 255, b: 50 }, glow: 0x00ff00 }, // Neon green
+    bomb: { health: 1, points: 75, color: { r: 70, g: 70, b: 80 }, glow: 0xff2200, blastRadius: 10 }, // Gunmetal
+    cluster: { health: 1, points: 60, color: { r: 255, g: 140, b: 0 }, radiusScale: 1.3, fragments: 3 }, // Orange
+    hostage: { health: 1, points: 0, color: { r: 170, g: 200, b: 255 }, penalty: 200 }, // Pale blue, caged
+    speeder: { health: 1, points: 120, color: { r: 255, g: 230, b: 0 }, radiusScale: 0.7, dash: 3 }, // Yellow
+    healing: { health: 1, points: 50, color: { r: 255, g: 105, b: 180 }, glow: 0xff66cc, heal: 15 } // Pink
+};
+
+// Damage rules for the parts of composite targets (drones, carriers, the boss). A
+// shot loses the part's armor, then is scaled by its multiplier. Parts with
+// health are shot off after that many hits, and slow the target by their
+// slowdown factor; weak points have no armor while exposed.
+const PartTypes = {
+    hull: { armor: 0, multiplier: 1 },
+    wing: { armor: 0, multiplier: 0.5 },
+    plating: { armor: 1, multiplier: 1 },
+    engine: { armor: 0, multiplier: 0.5, health: 1, slowdown: 0.6 },
+    thruster: { armor: 0, multiplier: 0.5, health: 4, slowdown: 0.7 },
+    cockpit: { armor: 1, multiplier: 2, weakPoint: true },
+    core: { armor: 1, multiplier: 3, weakPoint: true },
+    bay: { armor: 1, multiplier: 3, weakPoint: true }
+};
+
+// The named parts of one composite target. Their state outlives the meshes,
+// which are built again after a context loss.
+class TargetParts {
+    constructor() {
+        this.parts = new Map(); // name -> { name, type, mesh, health, exposed }
+        this.raycaster = new THREE.Raycaster();
+    }
+    
+    // Called from createMesh for each part mesh
+    add(name, type, mesh) {
+        mesh.userData.partName = name;
+        
+        const part = this.parts.get(name);
+        if (part) {
+            part.mesh = mesh;
+            mesh.visible = !this.isDetached(part);
+        } else {
+            this.parts.set(name, { name, type, mesh, health: PartTypes[type].health || Infinity, exposed: false });
+        }
+    }
+    
+    get(name) {
+        return this.parts.get(name);
+    }
+    
+    // Every part whole and covered again, for a new spawn
+    reset() {
+        this.parts.forEach(part => {
+            part.health = PartTypes[part.type].health || Infinity;
+            part.exposed = false;
+            part.mesh.visible = true;
+        });
+    }
+    
+    isDetached(part) {
+        return part.health <= 0;
+    }
+    
+    // A shot of the given strength struck part: returns the damage it does
+    // to the target, and whether it shot the part off
+    strike(part, amount) {
+        const type = PartTypes[part.type];
+        const armor = type.weakPoint && part.exposed ? 0 : type.armor;
+        const damage = Math.max(0, amount - armor) * type.multiplier;
+        
+        let detached = false;
+        if (type.health) {
+            part.health--;
+            detached = part.health === 0;
+            if (detached) part.mesh.visible = false;
+        }
+        return { damage, detached };
+    }
+    
+    // The first part the segment from start to end passes through, as
+    // { part, time } with time from 0 (start) to 1 (end), or null. Tests
+    // the target's simulation position, not its interpolated mesh.
+    raycast(target, start, end) {
+        const mesh = target.mesh;
+        if (!mesh) return null;
+        
+        const direction = end.clone().sub(start);
+        const length = direction.length();
+        if (length === 0) return null;
+        
+        mesh.position.copy(target.position);
+        mesh.updateMatrixWorld(true);
+        this.raycaster.set(start, direction.divideScalar(length));
+        this.raycaster.far = length;
+        
+        // Parts that were shot off are hidden but still in the mesh
+        const hit = this.raycaster.intersectObject(mesh, true)
+            .find(intersection => intersection.object.visible && intersection.object.userData.partName);
+        if (!hit) return null;
+        
+        return { part: this.parts.get(hit.object.userData.partName), time: hit.distance / length };
+    }
+}
+
 // Base class for all 3D game objects
 class GameObject3D {
-    constructor(scene) {
+    constructor(scene, geometryCache = null, materialCache = null) {
         this.scene = scene;
+        this.geometryCache = geometryCache;
+        this.materialCache = materialCache;
+        this.pooled = false; // Pooled objects keep their mesh between uses
         this.mesh = null;
         this.position = new THREE.Vector3();
+        this.previousPosition = new THREE.Vector3();
         this.velocity = new THREE.Vector3();
         this.rotation = new THREE.Vector3();
         this.scale = new THREE.Vector3(1, 1, 1);
         this.isAlive = true;
         this.age = 0;
         this.maxAge = Infinity;
+        this.generation = 0; // Counts spawns, so delayed effects can spot a recycled object
     }
     
     update(deltaTime) {
         this.age += deltaTime;
         
         // Apply velocity
+        this.previousPosition.copy(this.position);
         this.position.add(this.velocity.clone().multiplyScalar(deltaTime));
         
-        // Update mesh position and rotation
+        // Update mesh rotation (position is set when rendering)
         if (this.mesh) {
-            this.mesh.position.copy(this.position);
             this.mesh.rotation.x += this.rotation.x * deltaTime;
             this.mesh.rotation.y += this.rotation.y * deltaTime;
             this.mesh.rotation.z += this.rotation.z * deltaTime;
@@ -39,24 +184,125 @@ class GameObject3D {
     }
     
     destroy() {
+        this.despawn();
+    }
+    
+    // Leave the scene without being destroyed (e.g. flew past the camera)
+    despawn() {
         this.isAlive = false;
         if (this.mesh && this.scene) {
             this.scene.remove(this.mesh);
-            
-            // Dispose geometry and materials
-            if (this.mesh.geometry) this.mesh.geometry.dispose();
-            if (this.mesh.material) {
-                if (Array.isArray(this.mesh.material)) {
-                    this.mesh.material.forEach(mat => mat.dispose());
-                } else {
-                    this.mesh.material.dispose();
-                }
+            if (!this.pooled) this.releaseResources();
+        }
+    }
+    
+    // Where the killing shot connected, or the centre if it wasn't a shot
+    getImpactPosition() {
+        return (this.impactPoint || this.position).clone();
+    }
+    
+    // Bring a pooled object (back) into the scene as a new instance
+    activate() {
+        this.generation++;
+        this.isAlive = true;
+        this.age = 0;
+        if (this.mesh) {
+            this.mesh.visible = true;
+            this.scene.add(this.mesh);
+        }
+    }
+    
+    // Pool reset hook: drop everything left over from the last life
+    reset() {
+        this.isAlive = false;
+        this.age = 0;
+        this.velocity.set(0, 0, 0);
+        this.rotation.set(0, 0, 0);
+        this.scale.set(1, 1, 1);
+        if (this.mesh) {
+            this.scene.remove(this.mesh);
+            this.mesh.rotation.set(0, 0, 0);
+            this.mesh.scale.set(1, 1, 1);
+        }
+    }
+    
+    // For delayed effects: still alive, and not recycled since generation
+    isAliveIn(generation) {
+        return this.isAlive && this.generation === generation;
+    }
+    
+    // Every distinct geometry and material used anywhere in the mesh
+    getMeshResources() {
+        const resources = new Set();
+        if (!this.mesh) return resources;
+        
+        this.mesh.traverse(object => {
+            if (object.geometry) resources.add(object.geometry);
+            if (Array.isArray(object.material)) {
+                object.material.forEach(material => resources.add(material));
+            } else if (object.material) {
+                resources.add(object.material);
+            }
+        });
+        return resources;
+    }
+    
+    // Hand shared geometry and materials back to their caches and dispose
+    // the ones this object created for itself. Each cached resource is
+    // released once, however many child meshes use it.
+    releaseResources() {
+        if (!this.mesh) return;
+        
+        this.getMeshResources().forEach(resource => {
+            const cache = resource.isMaterial ? this.materialCache : this.geometryCache;
+            if (!cache || !cache.release(resource)) {
+                resource.dispose();
             }
+        });
+        
+        this.mesh = null;
+    }
+    
+    // Build the mesh again from the object's state with new caches, after
+    // the WebGL context was lost. The old caches are disposed whole, so only
+    // resources this object made for itself are disposed here.
+    rebuildMesh(geometryCache, materialCache) {
+        if (!this.mesh) return;
+        
+        const oldMesh = this.mesh;
+        const inScene = oldMesh.parent === this.scene;
+        this.scene.remove(oldMesh);
+        this.getMeshResources().forEach(resource => {
+            const cache = resource.isMaterial ? this.materialCache : this.geometryCache;
+            if (!cache || !cache.owns(resource)) resource.dispose();
+        });
+        
+        this.geometryCache = geometryCache;
+        this.materialCache = materialCache;
+        this.createMesh(); // Adds the new mesh to the scene
+        
+        this.mesh.position.copy(oldMesh.position);
+        this.mesh.rotation.copy(oldMesh.rotation);
+        this.mesh.scale.copy(oldMesh.scale);
+        this.mesh.visible = oldMesh.visible;
+        if (!inScene) this.scene.remove(this.mesh);
+        
+        this.restoreAppearance();
+    }
+    
+    // Re-apply looks that depend on state to a rebuilt mesh
+    restoreAppearance() {}
+    
+    // Place the mesh between the previous and current simulation positions
+    interpolate(alpha) {
+        if (this.mesh) {
+            this.mesh.position.lerpVectors(this.previousPosition, this.position, alpha);
         }
     }
     
     setPosition(x, y, z) {
         this.position.set(x, y, z);
+        this.previousPosition.copy(this.position);
         if (this.mesh) this.mesh.position.copy(this.position);
     }
     
@@ -65,138 +311,226 @@ class GameObject3D {
     }
 }
 
-// 3D Balloon class
+// 3D Balloon class. Balloons are pooled: the constructor builds a mesh that
+// fits every balloon type, and spawn() rolls a new balloon into it.
 class Balloon3D extends GameObject3D {
-    constructor(scene, geometryCache) {
-        super(scene);
+    constructor(game, scene, geometryCache, materialCache) {
+        super(scene, geometryCache, materialCache);
         
-        this.radius = MathUtils.random(2, 4);
+        this.game = game;
+        this.radius = 1;
         this.points = 50;
         this.health = 1;
         this.maxHealth = 1;
         this.type = 'normal';
+        this.path = 'drift';
+        this.bobSpeed = 1;
+        this.bobAmplitude = 0;
+        this.color = { r: 255, g: 255, b: 255 };
+        this.modifiers = {};
+        this.penalty = 0; // Score lost for popping it
+        this.dashZ = null; // Speeders dash once they get this close
+        this.dashing = false;
+        this.impactPoint = null; // Where the last shot connected
+        
+        this.createMesh();
+    }
+    
+    // Roll a new balloon: size, type and flight path. options come from the
+    // wave script's spawn group: variants (type weights), path and modifiers;
+    // radius is set for the fragments of a cluster balloon.
+    spawn(options = {}) {
+        const rng = this.game.random;
+        const modifiers = options.modifiers || {};
+        
+        this.radius = options.radius || rng.range(2, 4);
         this.bobSpeed = MathUtils.random(0.5, 1.5);
         this.bobAmplitude = MathUtils.random(0.2, 0.5);
         this.color = ColorUtils.randomVibrant();
+        this.impactPoint = null;
         
         // Determine balloon type
-        const typeRoll = Math.random();
-        if (window.player && window.player.wave >= 3 && typeRoll < 0.15) {
-            this.type = 'armored';
-            this.health = 3;
-            this.maxHealth = 3;
-            this.points = 150;
-            this.color = { r: 139, g: 0, b: 139 }; // Dark magenta
-            this.radius *= 1.2;
-        } else if (typeRoll > 0.85) {
-            this.type = 'powerup';
-            this.points = 100;
-            this.color = { r: 50, g: 255, b: 50 }; // Neon green
-        }
-        
-        this.createMesh(geometryCache);
-        this.setupMovement();
+        this.type = options.variants ? rng.weighted(options.variants) : 'normal';
+        const type = BalloonTypes[this.type];
+        this.health = Math.max(1, Math.round(type.health * (modifiers.health || 1)));
+        this.maxHealth = this.health;
+        this.points = Math.round(type.points * (modifiers.points || 1));
+        this.penalty = Math.round((type.penalty || 0) * (modifiers.points || 1));
+        this.modifiers = modifiers;
+        if (type.color) this.color = { ...type.color };
+        this.radius *= type.radiusScale || 1;
+        this.dashZ = type.dash ? rng.range(-70, -45) : null;
+        this.dashing = false;
+        
+        this.path = options.path || 'drift';
+        this.applyAppearance();
+        this.setupMovement(modifiers.speed || 1);
+        this.activate();
     }
     
-    createMesh(geometryCache) {
-        // Create balloon geometry
-        const geometry = geometryCache.getSphere(this.radius, 16, 12);
-        
-        // Create material based on type with vibrant colors
-        let material;
-        const neonColor = ColorUtils.toThreeColor(this.color, 1.2); // boost saturation
-        if (this.type === 'powerup') {
-            material = new THREE.MeshPhongMaterial({
-                color: neonColor,
-                emissive: neonColor,
-                emissiveIntensity: 1.2,
-                shininess: 120,
-                transparent: false,
-                opacity: 1
-            });
-        } else if (this.type === 'armored') {
-            material = new THREE.MeshPhongMaterial({
-                color: neonColor,
-                emissive: neonColor,
-                emissiveIntensity: 1.0,
-                shininess: 100,
-                transparent: false,
-                opacity: 1
-            });
-        } else {
-            material = new THREE.MeshPhongMaterial({
-                color: neonColor,
-                emissive: neonColor,
-                emissiveIntensity: 0.9,
-                shininess: 100,
-                transparent: false,
-                opacity: 1
-            });
-        }
-        
+    // Unit-sized parts, scaled to the balloon's radius in applyAppearance
+    createMesh() {
+        // Own material, since hits and depth scans recolour it
+        const geometry = this.geometryCache.getSphere(1, 16, 12);
+        const material = new THREE.MeshPhongMaterial({
+            transparent: false,
+            opacity: 1
+        });
         this.mesh = new THREE.Mesh(geometry, material);
         
-        // Add glow effect for power-ups
-        if (this.type === 'powerup') {
-            const glowGeometry = geometryCache.getSphere(this.radius * 1.3, 8, 6);
-            const glowMaterial = new THREE.MeshPhongMaterial({
-                color: 0x00ff00,
-                emissive: 0x00ff00,
-                emissiveIntensity: 0.9,
-                shininess: 100,
-                transparent: true,
-                opacity: 0.4,
-                side: THREE.BackSide
-            });
-            const glowMesh = new THREE.Mesh(glowGeometry, glowMaterial);
-            this.mesh.add(glowMesh);
-        }
+        // Glow effect for the types that have one; its own material, since
+        // each type glows in its own colour
+        const glowGeometry = this.geometryCache.getSphere(1.3, 8, 6);
+        this.glowMaterial = new THREE.MeshPhongMaterial({
+            color: 0x00ff00,
+            emissive: 0x00ff00,
+            emissiveIntensity: 0.9,
+            shininess: 100,
+            transparent: true,
+            opacity: 0.4,
+            side: THREE.BackSide
+        });
+        this.glowMesh = new THREE.Mesh(glowGeometry, this.glowMaterial);
+        this.mesh.add(this.glowMesh);
         
-        // Add damage indicators for armored balloons
-        if (this.type === 'armored') {
-            this.createArmorPlating(geometryCache);
-        }
+        // Damage indicators for armored balloons
+        this.createArmorPlating();
+        this.createMarkings();
         
         this.scene.add(this.mesh);
     }
     
-    createArmorPlating(geometryCache) {
-        const plateGeometry = geometryCache.getBox(0.3, 0.3, 0.1);
-        const plateMaterial = new THREE.MeshPhongMaterial({
-            color: 0x404040,
-            metalness: 0.7,
-            roughness: 0.3
-        });
+    createArmorPlating() {
+        const plateGeometry = this.geometryCache.getBox(0.3, 0.3, 0.1);
+        const plateMaterial = this.materialCache.getPhong({ color: 0x404040 });
         
         // Add armor plates around the balloon
+        this.armorPlates = [];
         for (let i = 0; i < 6; i++) {
             const plate = new THREE.Mesh(plateGeometry, plateMaterial);
             const angle = (i / 6) * Math.PI * 2;
-            plate.position.set(
-                Math.cos(angle) * this.radius * 0.8,
-                Math.sin(angle) * this.radius * 0.8,
-                0
-            );
+            plate.position.set(Math.cos(angle) * 0.8, Math.sin(angle) * 0.8, 0);
             plate.rotation.z = angle;
+            this.armorPlates.push(plate);
             this.mesh.add(plate);
         }
     }
     
-    setupMovement() {
-        // Random starting position at far depth
+    // What makes the other special types recognisable: a cage around
+    // hostages, a cross on healing balloons and the pods a cluster bursts into
+    createMarkings() {
+        const geometryCache = this.geometryCache;
+        
+        this.cageBars = [];
+        const barGeometry = geometryCache.getCylinder(0.03, 0.03, 2.1, 4);
+        const barMaterial = this.materialCache.getPhong({ color: 0x303030 });
+        for (let i = 0; i < 6; i++) {
+            const angle = (i / 6) * Math.PI * 2;
+            const bar = new THREE.Mesh(barGeometry, barMaterial);
+            bar.position.set(Math.cos(angle) * 1.02, 0, Math.sin(angle) * 1.02);
+            this.cageBars.push(bar);
+            this.mesh.add(bar);
+        }
+        
+        // Faces the camera
+        const crossMaterial = this.materialCache.getPhong({ color: 0xffffff, emissive: 0xffffff, emissiveIntensity: 0.8 });
+        this.crossBars = [
+            new THREE.Mesh(geometryCache.getBox(1.1, 0.3, 0.1), crossMaterial),
+            new THREE.Mesh(geometryCache.getBox(0.3, 1.1, 0.1), crossMaterial)
+        ];
+        this.crossBars.forEach(bar => {
+            bar.position.z = 0.95;
+            this.mesh.add(bar);
+        });
+        
+        // Share the body's material, so they flash and recolour with it
+        this.pods = [];
+        const podGeometry = geometryCache.getSphere(0.45, 8, 6);
+        for (let i = 0; i < 3; i++) {
+            const angle = (i / 3) * Math.PI * 2 + Math.PI / 2;
+            const pod = new THREE.Mesh(podGeometry, this.mesh.material);
+            pod.position.set(Math.cos(angle) * 0.75, Math.sin(angle) * 0.75, 0.5);
+            this.pods.push(pod);
+            this.mesh.add(pod);
+        }
+    }
+    
+    // Dress the mesh for the current type, colour and radius
+    applyAppearance() {
+        // Vibrant colors, boosted for the special types
+        const neonColor = ColorUtils.toThreeColor(this.color, 1.2); // boost saturation
+        const material = this.mesh.material;
+        material.color.copy(neonColor);
+        material.emissive.copy(neonColor);
+        material.opacity = 1;
+        if (this.type === 'powerup' || this.type === 'healing') {
+            material.emissiveIntensity = 1.2;
+            material.shininess = 120;
+        } else if (this.type === 'bomb') {
+            material.emissiveIntensity = 0.3;
+            material.shininess = 150;
+        } else if (this.type === 'armored') {
+            material.emissiveIntensity = 1.0;
+            material.shininess = 100;
+        } else {
+            material.emissiveIntensity = 0.9;
+            material.shininess = 100;
+        }
+        
+        const type = BalloonTypes[this.type];
+        this.scale.setScalar(this.radius);
+        if (type.dash) this.scale.z *= 1.8; // Streamlined
+        this.mesh.scale.copy(this.scale);
+        
+        this.glowMesh.visible = type.glow !== undefined;
+        if (type.glow !== undefined) {
+            this.glowMaterial.color.setHex(type.glow);
+            this.glowMaterial.emissive.setHex(type.glow);
+        }
+        this.cageBars.forEach(bar => { bar.visible = this.type === 'hostage'; });
+        this.crossBars.forEach(bar => { bar.visible = this.type === 'healing'; });
+        this.pods.forEach(pod => { pod.visible = type.fragments !== undefined; });
+        
+        // Plates keep their size whatever the balloon's radius
+        this.armorPlates.forEach(plate => {
+            plate.visible = this.type === 'armored';
+            plate.scale.setScalar(1 / this.radius);
+        });
+    }
+    
+    reset() {
+        super.reset();
+        this.impactPoint = null;
+    }
+    
+    // Type and colour, less any armour plates already knocked off
+    restoreAppearance() {
+        this.applyAppearance();
+        if (this.type === 'armored') {
+            this.armorPlates.slice(0, this.maxHealth - this.health).forEach(plate => {
+                plate.visible = false;
+            });
+        }
+    }
+    
+    setupMovement(speedScale = 1) {
+        const rng = this.game.random;
+        const bounds = this.game.sceneManager.worldBounds;
+        
+        // Random starting position at far depth, inside what will still be
+        // on screen as it comes close
+        const halfWidth = bounds.getHalfWidth(PLAY_VOLUME.focusZ);
+        const halfHeight = bounds.getHalfHeight(PLAY_VOLUME.focusZ);
         this.setPosition(
-            MathUtils.random(-30, 30),
-            MathUtils.random(-20, 20),
+            rng.range(-halfWidth, halfWidth),
+            rng.range(-halfHeight, halfHeight),
             -100 // Start far away
         );
         
         // Movement towards camera
-        const speed = MathUtils.random(8, 15) + (window.player ? window.player.wave * 1 : 0);
+        const speed = (rng.range(8, 15) + this.game.player.wave * 1) * speedScale;
         this.velocity.set(0, 0, speed);
-        
-        // Add some random drift
-        this.velocity.x = MathUtils.random(-2, 2);
-        this.velocity.y = MathUtils.random(-1, 1);
+        FlightPaths[this.path].setup(this, rng);
         
         // Rotation
         this.rotation.set(
@@ -208,16 +542,13 @@ class Balloon3D extends GameObject3D {
     
     update(deltaTime) {
         super.update(deltaTime);
-        
-        // Bobbing motion
-        if (this.mesh) {
-            this.mesh.position.y += Math.sin(this.age * this.bobSpeed) * this.bobAmplitude * deltaTime;
-        }
+        FlightPaths[this.path].update(this);
+        this.updateDash();
         
         // Check if passed the camera (missed)
-        if (this.position.z > 20) {
+        if (this.isAlive && this.position.z > 20) {
             this.onMissed();
-            this.destroy();
+            this.despawn();
         }
         
         // Clamp opacity for vibrancy
@@ -226,8 +557,40 @@ class Balloon3D extends GameObject3D {
         }
     }
     
-    hit() {
+    // Speeders close the rest of the distance in a rush, trailing sparks
+    updateDash() {
+        if (this.dashZ === null) return;
+        
+        if (!this.dashing && this.position.z > this.dashZ) {
+            this.velocity.z *= BalloonTypes[this.type].dash;
+            this.dashing = true;
+            this.game.events.emit(GameEvents.BALLOON_DASHED, { balloon: this });
+        }
+        
+        if (this.dashing && MathUtils.random(0, 1) < 0.5) {
+            this.game.sceneManager.createParticle({
+                position: this.position.clone(),
+                color: this.color,
+                size: MathUtils.random(0.1, 0.25),
+                velocity: new THREE.Vector3(0, 0, -this.velocity.z * 0.2),
+                life: 0.4
+            });
+        }
+    }
+    
+    interpolate(alpha) {
+        super.interpolate(alpha);
+        
+        // Bobbing motion (visual only)
+        if (this.mesh) {
+            this.mesh.position.y += Math.sin(this.age * this.bobSpeed) * this.bobAmplitude;
+        }
+    }
+    
+    // impactPoint is where the shot connected, if known
+    hit(impactPoint = null) {
         this.health--;
+        this.impactPoint = impactPoint;
         
         if (this.health <= 0) {
             this.destroy();
@@ -236,25 +599,20 @@ class Balloon3D extends GameObject3D {
         
         // Visual feedback for armored balloons
         if (this.type === 'armored' && this.mesh) {
-            // Remove an armor plate
-            const armorPlates = this.mesh.children.filter(child => 
-                child.material && child.material.color.getHex() === 0x404040
-            );
-            if (armorPlates.length > 0) {
-                this.mesh.remove(armorPlates[0]);
-                armorPlates[0].geometry.dispose();
-                armorPlates[0].material.dispose();
-            }
+            // Knock off an armor plate
+            const plate = this.armorPlates.find(armorPlate => armorPlate.visible);
+            if (plate) plate.visible = false;
         }
         
         // Damage effect
         if (this.mesh && this.mesh.material) {
             this.mesh.material.emissive.setHex(0xff0000);
-            setTimeout(() => {
-                if (this.mesh && this.mesh.material) {
+            const generation = this.generation;
+            this.game.scheduler.schedule(100, () => {
+                if (this.isAliveIn(generation)) {
                     this.mesh.material.emissive.setHex(0x000000);
                 }
-            }, 100);
+            });
         }
         
         return false;
@@ -263,42 +621,53 @@ class Balloon3D extends GameObject3D {
     destroy() {
         if (!this.isAlive) return;
         
-        // Add score with depth bonus
-        if (window.player) {
-            window.player.addScore(this.points, this.position);
-            
-            if (this.type === 'normal') {
-                window.player.stats.balloonsPopped++;
-            }
-        }
-        
         // Create destruction particles
         this.createDestructionParticles();
         
-        // Trigger power-up
-        if (this.type === 'powerup' && window.powerUpManager) {
-            const powerUpType = window.powerUpManager.getRandomPowerUpType();
-            window.powerUpManager.activate(powerUpType);
-        }
+        // Score, sound, power-ups, healing, penalties, bomb blasts and chain
+        // reactions are handled by subscribers
+        this.game.events.emit(GameEvents.BALLOON_POPPED, {
+            balloon: this,
+            points: this.points,
+            position: this.getImpactPosition()
+        });
         
-        // Play sound
-        if (window.audioManager) {
-            window.audioManager.play3D('pop', this.position, { pitch: this.getPitchBySize() });
-        }
+        super.destroy();
         
-        // Check for vortex chain reaction
-        this.checkVortexChain();
+        const fragments = BalloonTypes[this.type].fragments;
+        if (fragments) this.scatter(fragments);
+    }
+    
+    // Cluster balloons burst into smaller ones that fly apart
+    scatter(count) {
+        const sceneManager = this.game.sceneManager;
+        const fragments = [];
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2 + Math.PI / 2;
+            const fragment = sceneManager.launchEntity('balloon', this.position, {
+                variants: { normal: 1 },
+                path: this.path,
+                radius: this.radius * 0.4,
+                modifiers: this.modifiers
+            });
+            fragment.velocity.x = Math.cos(angle) * 6;
+            fragment.velocity.y = Math.sin(angle) * 6;
+            fragments.push(fragment);
+        }
         
-        super.destroy();
+        this.game.events.emit(GameEvents.BALLOON_SPLIT, {
+            balloon: this,
+            position: this.position.clone(),
+            fragments
+        });
     }
     
     createDestructionParticles() {
-        if (!window.sceneManager) return;
-        
+        const origin = this.getImpactPosition();
         const particleCount = this.type === 'powerup' ? 20 : 15;
         for (let i = 0; i < particleCount; i++) {
-            window.sceneManager.createParticle({
-                position: this.position.clone(),
+            this.game.sceneManager.createParticle({
+                position: origin.clone(),
                 color: this.color,
                 size: MathUtils.random(0.1, 0.3),
                 velocity: new THREE.Vector3(
@@ -311,42 +680,9 @@ class Balloon3D extends GameObject3D {
         }
     }
     
-    checkVortexChain() {
-        // Check for nearby balloons for chain reaction
-        if (window.powerUpManager && window.powerUpManager.isActive('VORTEX_AMPLIFIER')) {
-            const chainRadius = 8;
-            
-            if (window.sceneManager) {
-                const nearbyBalloons = window.sceneManager.getBalloons().filter(balloon => 
-                    balloon !== this && 
-                    balloon.isAlive && 
-                    this.getDistance(balloon) < chainRadius
-                );
-                
-                if (nearbyBalloons.length > 0) {
-                    // Trigger chain reaction
-                    if (window.player) {
-                        const chainBonus = window.player.addVortexChain();
-                        console.log(`Vortex chain reaction! Bonus: ${chainBonus}`);
-                    }
-                    
-                    // Create vortex effect
-                    window.sceneManager.createVortexEffect(this.position, chainRadius);
-                    
-                    // Play chain sound
-                    if (window.audioManager) {
-                        window.audioManager.play('vortexChain', { position: this.position });
-                    }
-                    
-                    // Damage nearby balloons
-                    nearbyBalloons.forEach(balloon => {
-                        setTimeout(() => {
-                            if (balloon.isAlive) balloon.hit();
-                        }, MathUtils.random(100, 300));
-                    });
-                }
-            }
-        }
+    // How close a shot has to come to hit
+    getHitRadius() {
+        return this.radius + 0.5;
     }
     
     getPitchBySize() {
@@ -355,21 +691,19 @@ class Balloon3D extends GameObject3D {
         return baseNotes[Math.floor(sizeFactor * baseNotes.length)];
     }
     
+    // Hostages are meant to be let through
     onMissed() {
-        if (window.player) {
-            const gameOver = window.player.addMissed();
-            if (gameOver && window.gameController) {
-                window.gameController.gameOver();
-            }
-        }
+        if (this.penalty > 0) return;
+        this.game.events.emit(GameEvents.BALLOON_MISSED, { balloon: this });
     }
 }
 
-// 3D Enemy Drone class
+// 3D Enemy Drone class. Drones are pooled; spawn() sends one on a new run.
 class EnemyDrone3D extends GameObject3D {
-    constructor(scene, geometryCache) {
-        super(scene);
+    constructor(game, scene, geometryCache, materialCache) {
+        super(scene, geometryCache, materialCache);
         
+        this.game = game;
         this.width = 3;
         this.height = 2;
         this.depth = 4;
@@ -378,13 +712,44 @@ class EnemyDrone3D extends GameObject3D {
         this.points = 75;
         this.fireRate = 2000; // Fire every 2 seconds
         this.lastFireTime = 0;
-        this.speed = MathUtils.random(6, 12);
+        this.speed = 6;
+        this.path = 'weave';
+        this.impactPoint = null; // Where the last shot connected
+        this.chargeTime = 600; // The cockpit is exposed for this long before each shot
+        this.parts = new TargetParts();
+        
+        this.createMesh();
+    }
+    
+    // options come from the wave script's spawn group: path and modifiers
+    spawn(options = {}) {
+        const modifiers = options.modifiers || {};
+        
+        this.health = Math.max(1, Math.round(2 * (modifiers.health || 1)));
+        this.maxHealth = this.health;
+        this.points = Math.round(75 * (modifiers.points || 1));
+        this.lastFireTime = 0;
+        this.speed = this.game.random.range(6, 12) * (modifiers.speed || 1);
+        this.path = options.path || 'weave';
+        this.impactPoint = null;
+        
+        // Undo any hit flash or lost engines left over from the last run
+        this.partColors.forEach((color, material) => material.color.setHex(color));
+        this.parts.reset();
         
-        this.createMesh(geometryCache);
         this.setupMovement();
+        this.activate();
     }
     
-    createMesh(geometryCache) {
+    reset() {
+        super.reset();
+        this.impactPoint = null;
+    }
+    
+    // Materials are per drone, since hits flash every part red
+    createMesh() {
+        const geometryCache = this.geometryCache;
+        
         // Create main body
         const bodyGeometry = geometryCache.getBox(this.width, this.height, this.depth);
         const bodyMaterial = new THREE.MeshPhongMaterial({
@@ -395,9 +760,10 @@ class EnemyDrone3D extends GameObject3D {
         this.mesh = new THREE.Group();
         const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
         this.mesh.add(body);
+        this.parts.add('body', 'hull', body);
         
-        // Add engine glow
-        const engineGeometry = geometryCache.getCylinder(0.3, 0.3, 0.5, 8);
+        // Add engine glow; the engines hang off the sides, where they can be shot off
+        const engineGeometry = geometryCache.getCylinder(0.4, 0.4, 1.2, 8);
         const engineMaterial = new THREE.MeshPhongMaterial({
             color: 0xff2222,
             emissive: 0xff2222,
@@ -406,69 +772,80 @@ class EnemyDrone3D extends GameObject3D {
         });
         
         const engine1 = new THREE.Mesh(engineGeometry, engineMaterial);
-        engine1.position.set(-0.8, -0.5, -1.5);
+        engine1.position.set(-1.9, -0.5, -1);
         engine1.rotation.x = Math.PI / 2;
         this.mesh.add(engine1);
+        this.parts.add('engineLeft', 'engine', engine1);
         
         const engine2 = new THREE.Mesh(engineGeometry, engineMaterial);
-        engine2.position.set(0.8, -0.5, -1.5);
+        engine2.position.set(1.9, -0.5, -1);
         engine2.rotation.x = Math.PI / 2;
         this.mesh.add(engine2);
+        this.parts.add('engineRight', 'engine', engine2);
+        this.engines = [engine1, engine2];
         
-        // Add weapon mount
+        // Add weapon mount (armoured: shots glance off)
         const weaponGeometry = geometryCache.getBox(0.2, 0.2, 1);
         const weaponMaterial = new THREE.MeshPhongMaterial({ color: 0x404040 });
         const weapon = new THREE.Mesh(weaponGeometry, weaponMaterial);
-        weapon.position.set(0, 0, 1.5);
+        weapon.position.set(0, -0.5, 2.3);
         this.mesh.add(weapon);
+        this.parts.add('weapon', 'plating', weapon);
         
-        // Add cockpit
+        // Add cockpit at the front: the weak point, exposed while a shot charges
         const cockpitGeometry = geometryCache.getSphere(0.6, 8, 6);
-        const cockpitMaterial = new THREE.MeshPhongMaterial({
+        this.cockpitMaterial = new THREE.MeshPhongMaterial({
             color: 0x001f3f,
+            emissive: 0x00ffff,
+            emissiveIntensity: 0,
             transparent: true,
             opacity: 0.8
         });
-        const cockpit = new THREE.Mesh(cockpitGeometry, cockpitMaterial);
-        cockpit.position.set(0, 0.3, 0.5);
+        const cockpit = new THREE.Mesh(cockpitGeometry, this.cockpitMaterial);
+        cockpit.position.set(0, 0.3, 2);
         this.mesh.add(cockpit);
+        this.parts.add('cockpit', 'cockpit', cockpit);
+        
+        // Colours to restore after a hit flash
+        this.partColors = new Map();
+        this.mesh.children.forEach(child => {
+            this.partColors.set(child.material, child.material.color.getHex());
+        });
         
         this.scene.add(this.mesh);
     }
     
     setupMovement() {
-        // Start position at far depth, random X/Y
+        const rng = this.game.random;
+        const bounds = this.game.sceneManager.worldBounds;
+        
+        // Start position at far depth, random X/Y; drones weave, so keep
+        // them further in from the edges than balloons
+        const halfWidth = bounds.getHalfWidth(PLAY_VOLUME.focusZ) * 0.8;
+        const halfHeight = bounds.getHalfHeight(PLAY_VOLUME.focusZ) * 0.8;
         this.setPosition(
-            MathUtils.random(-25, 25),
-            MathUtils.random(-15, 15),
+            rng.range(-halfWidth, halfWidth),
+            rng.range(-halfHeight, halfHeight),
             -80
         );
         
-        // Movement pattern - weaving towards camera
+        // Movement towards camera, along the spawn group's path
         this.velocity.set(0, 0, this.speed);
+        FlightPaths[this.path].setup(this, rng);
         
-        // Add lateral movement
-        this.lateralDirection = MathUtils.random(-1, 1);
-        this.waveSpeed = MathUtils.random(0.5, 1.5);
-        
-        // Rotation
-        this.rotation.set(0, 0, MathUtils.random(-0.2, 0.2));
+        // Spin; from the gameplay stream, since it turns the parts shots are tested against
+        this.rotation.set(0, 0, rng.range(-0.2, 0.2));
     }
     
     update(deltaTime) {
         super.update(deltaTime);
         
-        // Weaving motion
-        this.velocity.x = Math.sin(this.age * this.waveSpeed) * this.lateralDirection * 3;
+        FlightPaths[this.path].update(this);
         
         // Engine glow animation
         if (this.mesh) {
-            const engines = this.mesh.children.filter(child => 
-                child.material && child.material.color && 
-                child.material.color.getHex() === 0xff2222
-            );
-            engines.forEach(engine => {
-                const intensity = 0.3 + Math.sin(this.age * 8) * 0.2;
+            const intensity = 0.3 + Math.sin(this.age * 8) * 0.2;
+            this.engines.forEach(engine => {
                 engine.material.color.setRGB(intensity, 0, 0);
             });
         }
@@ -477,8 +854,8 @@ class EnemyDrone3D extends GameObject3D {
         this.updateFiring();
         
         // Check if passed camera
-        if (this.position.z > 15) {
-            this.destroy();
+        if (this.isAlive && this.position.z > 15) {
+            this.despawn();
         }
         
         // Update material opacity for depth perception
@@ -493,43 +870,58 @@ class EnemyDrone3D extends GameObject3D {
     }
     
     updateFiring() {
-        const currentTime = Date.now();
-        if (currentTime - this.lastFireTime > this.fireRate) {
+        const currentTime = this.game.clock.now();
+        const sinceFired = currentTime - this.lastFireTime;
+        
+        // Open the cockpit while the shot charges; it glows brighter as it nears
+        const cockpit = this.parts.get('cockpit');
+        cockpit.exposed = sinceFired > this.fireRate - this.chargeTime;
+        if (this.mesh) {
+            const charge = (sinceFired - (this.fireRate - this.chargeTime)) / this.chargeTime;
+            this.cockpitMaterial.emissiveIntensity = cockpit.exposed ? 0.4 + charge * 0.6 : 0;
+        }
+        
+        if (sinceFired > this.fireRate) {
             this.fire();
             this.lastFireTime = currentTime;
         }
     }
     
     fire() {
-        if (!window.sceneManager) return;
-        
-        // Create projectile aimed at player area
-        const projectile = window.sceneManager.createEnemyProjectile({
+        // The scene manager creates the projectile, aimed at the player area
+        this.game.events.emit(GameEvents.ENEMY_FIRED, {
+            enemy: this,
             position: this.position.clone(),
-            targetPosition: new THREE.Vector3(0, 0, 20), // Aim towards camera
-            speed: 15
+            targetPosition: new THREE.Vector3(0, 0, 20) // Aim towards camera
         });
-        
-        // Play sound
-        if (window.audioManager) {
-            window.audioManager.play3D('laser', this.position);
-        }
     }
     
-    hit() {
-        this.health--;
+    // How close a shot has to come to be tested against the parts
+    getHitRadius() {
+        return Math.max(this.width, this.height, this.depth) / 2 + 1;
+    }
+    
+    // impactPoint is where the shot connected and part the part it struck,
+    // if known (shots that weren't traced to a part hit the body). Returns
+    // true if the drone was destroyed.
+    hit(impactPoint = null, part = null) {
+        part = part || this.parts.get('body');
+        const { damage, detached } = this.parts.strike(part, 1);
+        this.impactPoint = impactPoint;
+        
+        if (detached) this.loseEngine(part);
+        if (damage === 0) return false; // Glanced off
+        
+        this.health -= damage;
         
         // Visual feedback
         if (this.mesh) {
-            this.mesh.children.forEach(child => {
-                if (child.material && child.material.color) {
-                    const originalColor = child.material.color.getHex();
-                    child.material.color.setHex(0xff0000);
-                    setTimeout(() => {
-                        if (child.material) {
-                            child.material.color.setHex(originalColor);
-                        }
-                    }, 150);
+            this.partColors.forEach((color, material) => material.color.setHex(0xff0000));
+            
+            const generation = this.generation;
+            this.game.scheduler.schedule(150, () => {
+                if (this.isAliveIn(generation)) {
+                    this.partColors.forEach((color, material) => material.color.setHex(color));
                 }
             });
         }
@@ -539,40 +931,44 @@ class EnemyDrone3D extends GameObject3D {
             return true;
         }
         
-        // Play hit sound
-        if (window.audioManager) {
-            window.audioManager.play3D('enemyHit', this.position);
-        }
+        this.game.events.emit(GameEvents.ENEMY_HIT, {
+            enemy: this,
+            position: this.getImpactPosition()
+        });
         
         return false;
     }
     
+    // An engine was shot off: the drone limps on, slower
+    loseEngine(part) {
+        this.velocity.z *= PartTypes[part.type].slowdown;
+        this.speed *= PartTypes[part.type].slowdown;
+        this.createImpactBurst(part.mesh.getWorldPosition(new THREE.Vector3()), 10);
+    }
+    
     destroy() {
         if (!this.isAlive) return;
         
-        // Add score
-        if (window.player) {
-            window.player.addScore(this.points, this.position);
-            window.player.stats.enemiesDestroyed++;
-        }
-        
         // Create explosion particles
         this.createExplosionParticles();
         
-        // Play explosion sound
-        if (window.audioManager) {
-            window.audioManager.play3D('enemyExplosion', this.position);
-        }
+        this.game.events.emit(GameEvents.ENEMY_DESTROYED, {
+            enemy: this,
+            points: this.points,
+            position: this.getImpactPosition()
+        });
         
         super.destroy();
     }
     
     createExplosionParticles() {
-        if (!window.sceneManager) return;
-        
-        for (let i = 0; i < 25; i++) {
-            window.sceneManager.createParticle({
-                position: this.position.clone(),
+        this.createImpactBurst(this.getImpactPosition(), 25);
+    }
+    
+    createImpactBurst(origin, count) {
+        for (let i = 0; i < count; i++) {
+            this.game.sceneManager.createParticle({
+                position: origin.clone(),
                 color: { r: 255, g: MathUtils.random(100, 200), b: 0 },
                 size: MathUtils.random(0.1, 0.4),
                 velocity: new THREE.Vector3(
@@ -586,22 +982,30 @@ class EnemyDrone3D extends GameObject3D {
     }
 }
 
-// 3D Projectile class
+// 3D Projectile class (pooled per owner)
 class Projectile3D extends GameObject3D {
-    constructor(scene, geometryCache, owner = 'player') {
-        super(scene);
+    constructor(game, scene, geometryCache, materialCache, owner = 'player') {
+        super(scene, geometryCache, materialCache);
         
+        this.game = game;
         this.owner = owner;
         this.speed = owner === 'player' ? 30 : 20;
         this.damage = owner === 'player' ? 1 : 10;
         this.size = owner === 'player' ? 0.2 : 0.3;
         this.maxAge = 3; // Auto-destroy after 3 seconds
         
-        this.createMesh(geometryCache);
+        this.createMesh();
+    }
+    
+    // Launch a pooled projectile from position along direction
+    spawn(position, direction) {
+        this.setPosition(position.x, position.y, position.z);
+        if (direction) this.setDirection(direction);
+        this.activate();
     }
     
-    createMesh(geometryCache) {
-        const geometry = geometryCache.getSphere(this.size, 6, 4);
+    createMesh() {
+        const geometry = this.geometryCache.getSphere(this.size, 6, 4);
         
         // Use vibrant colors for projectiles
         let color;
@@ -630,7 +1034,7 @@ class Projectile3D extends GameObject3D {
     }
     
     createTrail() {
-        const trailGeometry = new THREE.SphereGeometry(this.size * 0.5, 4, 3);
+        const trailGeometry = this.geometryCache.getSphere(this.size * 0.5, 4, 3);
         const trailMaterial = new THREE.MeshPhongMaterial({
             color: 0xffffff,
             emissive: 0xffffff,
@@ -662,9 +1066,8 @@ class Projectile3D extends GameObject3D {
             this.mesh.material.emissiveIntensity = 0.7 + Math.sin(this.age * 20) * 0.3;
         }
         
-        // Check bounds
-        if (Math.abs(this.position.x) > 50 || 
-            Math.abs(this.position.y) > 40 || 
+        // Check bounds: gone once well off screen or out of the play volume
+        if (!this.game.sceneManager.worldBounds.contains(this.position, 10) ||
             this.position.z > 25 || 
             this.position.z < -120) {
             this.destroy();
@@ -674,9 +1077,10 @@ class Projectile3D extends GameObject3D {
 
 // 3D Mini Ship class
 class MiniShip3D extends GameObject3D {
-    constructor(scene, geometryCache, index) {
-        super(scene);
+    constructor(game, scene, geometryCache, materialCache, index) {
+        super(scene, geometryCache, materialCache);
         
+        this.game = game;
         this.index = index;
         this.orbitRadius = 8;
         this.orbitSpeed = 1;
@@ -686,10 +1090,11 @@ class MiniShip3D extends GameObject3D {
         this.lastFireTime = 0;
         this.centerPoint = new THREE.Vector3(0, 0, 10);
         
-        this.createMesh(geometryCache);
+        this.createMesh();
     }
     
-    createMesh(geometryCache) {
+    createMesh() {
+        const geometryCache = this.geometryCache;
         this.mesh = new THREE.Group();
         
         // Main body
@@ -704,7 +1109,7 @@ class MiniShip3D extends GameObject3D {
         
         // Wings
         const wingGeometry = geometryCache.getBox(this.size * 2, this.size * 0.2, this.size * 0.8);
-        const wingMaterial = new THREE.MeshPhongMaterial({ color: 0x0099cc });
+        const wingMaterial = this.materialCache.getPhong({ color: 0x0099cc });
         const wings = new THREE.Mesh(wingGeometry, wingMaterial);
         wings.position.z = -this.size * 0.3;
         this.mesh.add(wings);
@@ -732,11 +1137,9 @@ class MiniShip3D extends GameObject3D {
         this.angle += this.orbitSpeed * deltaTime;
         
         // Get mouse/touch position as center point
-        if (window.inputHandler) {
-            const pointerPos = window.inputHandler.getLastPointerPosition();
-            if (pointerPos && window.sceneManager) {
-                this.centerPoint = window.sceneManager.screenToWorld(pointerPos.x, pointerPos.y, 10);
-            }
+        const pointerPos = this.game.inputHandler.getLastPointerPosition();
+        if (pointerPos) {
+            this.centerPoint = this.game.sceneManager.screenToWorld(pointerPos.x, pointerPos.y, 10);
         }
         
         // Calculate orbit position
@@ -746,15 +1149,6 @@ class MiniShip3D extends GameObject3D {
             this.centerPoint.z
         );
         
-        // Face forward
-        if (this.mesh) {
-            this.mesh.lookAt(
-                this.position.x,
-                this.position.y,
-                this.position.z - 10
-            );
-        }
-        
         // Auto-fire
         this.updateFiring();
         
@@ -771,8 +1165,21 @@ class MiniShip3D extends GameObject3D {
         }
     }
     
+    interpolate(alpha) {
+        super.interpolate(alpha);
+        
+        // Face forward
+        if (this.mesh) {
+            this.mesh.lookAt(
+                this.mesh.position.x,
+                this.mesh.position.y,
+                this.mesh.position.z - 10
+            );
+        }
+    }
+    
     updateFiring() {
-        const currentTime = Date.now();
+        const currentTime = this.game.clock.now();
         if (currentTime - this.lastFireTime > this.fireRate) {
             this.fire();
             this.lastFireTime = currentTime;
@@ -780,20 +1187,20 @@ class MiniShip3D extends GameObject3D {
     }
     
     fire() {
-        if (!window.sceneManager) return;
+        const sceneManager = this.game.sceneManager;
         
         // Find nearest target
         const targets = [
-            ...window.sceneManager.getBalloons(),
-            ...window.sceneManager.getEnemies()
-        ].filter(target => target.isAlive && target.position.z < this.position.z);
+            ...sceneManager.getBalloons(),
+            ...sceneManager.getEnemies()
+        ].filter(target => target.isAlive && !target.penalty && target.position.z < this.position.z);
         
         if (targets.length === 0) return;
         
         // Target closest enemy, or closest balloon
         targets.sort((a, b) => {
-            const aPriority = a instanceof EnemyDrone3D ? 0 : 1;
-            const bPriority = b instanceof EnemyDrone3D ? 0 : 1;
+            const aPriority = a instanceof Balloon3D ? 1 : 0;
+            const bPriority = b instanceof Balloon3D ? 1 : 0;
             if (aPriority !== bPriority) return aPriority - bPriority;
             return this.getDistance(a) - this.getDistance(b);
         });
@@ -801,61 +1208,54 @@ class MiniShip3D extends GameObject3D {
         const target = targets[0];
         
         // Create projectile
-        const projectile = window.sceneManager.createPlayerProjectile({
+        sceneManager.createPlayerProjectile({
             position: this.position.clone(),
             targetPosition: target.position.clone(),
             speed: 25
         });
         
-        // Play sound
-        if (window.audioManager) {
-            window.audioManager.play('miniLaser');
-        }
+        this.game.events.emit(GameEvents.MINI_SHIP_FIRED, { ship: this, target });
     }
     
     triggerVolley() {
         // Fire multiple shots rapidly
         for (let i = 0; i < 3; i++) {
-            setTimeout(() => {
-                this.fire();
-            }, i * 100);
+            this.game.scheduler.schedule(i * 100, () => {
+                if (this.isAlive) this.fire();
+            });
         }
     }
 }
 
-// 3D Particle system
+// 3D Particle. Particles are pooled and have no mesh of their own; the scene
+// manager draws them all in one ParticleBatch. spawn() starts a new one.
 class Particle3D extends GameObject3D {
-    constructor(scene, geometryCache, options = {}) {
-        super(scene);
+    constructor() {
+        super(null);
         
+        this.size = 0.1;
+        this.color = { r: 255, g: 255, b: 255 };
+        this.opacity = 0.9;
+        this.life = 1;
+        this.maxAge = this.life;
+        this.gravity = -2;
+        this.fadeRate = 1;
+    }
+    
+    spawn(options = {}) {
         this.size = options.size || MathUtils.random(0.05, 0.2);
         this.color = options.color || ColorUtils.randomVibrant();
+        this.opacity = 0.9;
         this.life = options.life || MathUtils.random(1, 3);
         this.maxAge = this.life;
         this.gravity = options.gravity || -2;
         this.fadeRate = 1 / this.life;
         
-        if (options.position) this.position.copy(options.position);
+        if (options.position) this.setPosition(options.position.x, options.position.y, options.position.z);
         if (options.velocity) this.velocity.copy(options.velocity);
+        this.scale.setScalar(this.size);
         
-        this.createMesh(geometryCache);
-    }
-    
-    createMesh(geometryCache) {
-        const geometry = geometryCache.getSphere(this.size, 6, 4);
-        
-        // Use vibrant colors for particles
-        const material = new THREE.MeshPhongMaterial({
-            color: ColorUtils.toThreeColor(this.color),
-            emissive: ColorUtils.toThreeColor(this.color),
-            emissiveIntensity: 0.8,
-            shininess: 100,
-            transparent: true,
-            opacity: 0.9
-        });
-        
-        this.mesh = new THREE.Mesh(geometry, material);
-        this.scene.add(this.mesh);
+        this.activate();
     }
     
     update(deltaTime) {
@@ -865,45 +1265,28 @@ class Particle3D extends GameObject3D {
         this.velocity.y += this.gravity * deltaTime;
         
         // Fade out over time
-        const opacity = 1 - (this.age / this.maxAge);
-        if (this.mesh && this.mesh.material) {
-            this.mesh.material.opacity = opacity;
-        }
+        this.opacity = 1 - (this.age / this.maxAge);
         
         // Shrink over time
-        const scale = opacity;
-        this.scale.setScalar(scale);
+        this.scale.setScalar(this.size * this.opacity);
     }
 }
 
-// 3D Star field
+// 3D Star field. Like particles, stars are drawn by a ParticleBatch.
 class Star3D extends GameObject3D {
-    constructor(scene, geometryCache) {
-        super(scene);
+    constructor() {
+        super(null);
         
         this.size = MathUtils.random(0.02, 0.08);
         this.twinkleSpeed = MathUtils.random(0.5, 2);
         this.brightness = MathUtils.random(0.3, 1);
+        this.color = { r: 255, g: 255, b: 255 };
+        this.opacity = this.brightness;
+        this.scale.setScalar(this.size); // Sprite radius
         
-        this.createMesh(geometryCache);
         this.setupPosition();
     }
     
-    createMesh(geometryCache) {
-        const geometry = geometryCache.getSphere(this.size, 4, 3);
-        const material = new THREE.MeshPhongMaterial({
-            color: 0xffffff,
-            emissive: 0xffffff,
-            emissiveIntensity: 0.5,
-            shininess: 100,
-            transparent: true,
-            opacity: this.brightness
-        });
-        
-        this.mesh = new THREE.Mesh(geometry, material);
-        this.scene.add(this.mesh);
-    }
-    
     setupPosition() {
         // Position in far background
         this.setPosition(
@@ -920,21 +1303,24 @@ class Star3D extends GameObject3D {
         super.update(deltaTime);
         
         // Twinkling effect
-        if (this.mesh && this.mesh.material) {
-            const twinkle = this.brightness * (0.7 + 0.3 * Math.sin(this.age * this.twinkleSpeed));
-            this.mesh.material.opacity = twinkle;
-        }
+        this.opacity = this.brightness * (0.7 + 0.3 * Math.sin(this.age * this.twinkleSpeed));
         
         // Reset position when it passes the camera
         if (this.position.z > 20) {
-            this.position.z = -200;
-            this.position.x = MathUtils.random(-100, 100);
-            this.position.y = MathUtils.random(-60, 60);
+            this.setPosition(
+                MathUtils.random(-100, 100),
+                MathUtils.random(-60, 60),
+                -200
+            );
         }
     }
 }
 
 // Export classes globally
+window.FlightPaths = FlightPaths;
+window.BalloonTypes = BalloonTypes;
+window.PartTypes = PartTypes;
+window.TargetParts = TargetParts;
 window.GameObject3D = GameObject3D;
 window.Balloon3D = Balloon3D;
 window.EnemyDrone3D = EnemyDrone3D;
@@ -4,7 +4,8 @@
  */
 
 class PlayerState {
-    constructor() {
+    constructor(events) {
+        this.events = events;
         this.score = 0;
         this.level = 1;
         this.wave = 1;
@@ -35,6 +36,63 @@ class PlayerState {
         
         // Game constants
         this.MAX_MISSED = 20;
+        
+        this.subscribe();
+    }
+    
+    subscribe() {
+        const events = this.events;
+        
+        events.on(GameEvents.BALLOON_POPPED, ({ balloon, points, position }) => {
+            if (balloon.penalty > 0) {
+                this.deductScore(balloon.penalty, position);
+                return;
+            }
+            
+            this.addScore(points, position);
+            if (balloon.type === 'normal') {
+                this.stats.balloonsPopped++;
+            }
+            
+            const heal = BalloonTypes[balloon.type].heal;
+            if (heal) this.heal(heal);
+        });
+        
+        events.on(GameEvents.ENEMY_DESTROYED, ({ points, position }) => {
+            this.addScore(points, position);
+            this.stats.enemiesDestroyed++;
+        });
+        
+        events.on(GameEvents.BALLOON_MISSED, () => {
+            if (this.addMissed()) {
+                events.emit(GameEvents.PLAYER_DEFEATED, { reason: 'missed' });
+            }
+        });
+        
+        events.on(GameEvents.PLAYER_DAMAGED, ({ amount }) => {
+            if (this.takeDamage(amount)) {
+                events.emit(GameEvents.PLAYER_DEFEATED, { reason: 'destroyed' });
+            }
+        });
+        
+        events.on(GameEvents.VORTEX_CHAIN, () => {
+            const chainBonus = this.addVortexChain();
+            console.log(`Vortex chain reaction! Bonus: ${chainBonus}`);
+        });
+        
+        events.on(GameEvents.TAP_RESOLVED, ({ hit }) => {
+            this.updatePerspectiveAccuracy(hit ? 1.0 : 0.8);
+            if (!hit) this.breakCombo();
+        });
+        
+        events.on(GameEvents.POWER_UP_ACTIVATED, ({ type }) => {
+            this.stats.powerUpsCollected++;
+            if (type === 'SHIELD') this.isShielded = true;
+        });
+        
+        events.on(GameEvents.POWER_UP_DEACTIVATED, ({ type }) => {
+            if (type === 'SHIELD') this.isShielded = false;
+        });
     }
     
     reset() {
@@ -63,7 +121,7 @@ class PlayerState {
             vortexChainsTriggered: 0
         };
         
-        this.updateUI();
+        this.notifyChanged();
     }
     
     addScore(points, position = null) {
@@ -80,10 +138,10 @@ class PlayerState {
                 this.totalDepthBonusEarned += finalPoints - points;
                 this.stats.depthBonusesEarned++;
                 
-                // Play depth bonus sound
-                if (window.audioManager) {
-                    window.audioManager.play('depthBonus', { multiplier: depthMultiplier });
-                }
+                this.events.emit(GameEvents.DEPTH_BONUS, {
+                    multiplier: depthMultiplier,
+                    points: finalPoints - points
+                });
             }
         }
         
@@ -95,22 +153,34 @@ class PlayerState {
         this.stats.currentCombo++;
         this.stats.maxCombo = Math.max(this.stats.maxCombo, this.stats.currentCombo);
         
-        this.updateUI();
+        this.events.emit(GameEvents.SCORE_AWARDED, { points: finalPoints, position });
+        this.notifyChanged();
         return finalPoints;
     }
     
+    // Penalties also break the combo; the score never drops below zero
+    deductScore(points, position = null) {
+        const deducted = Math.min(points, this.score);
+        this.score -= deducted;
+        this.breakCombo();
+        
+        this.events.emit(GameEvents.SCORE_AWARDED, { points: -deducted, position });
+        this.notifyChanged();
+        return deducted;
+    }
+    
     breakCombo() {
         this.stats.currentCombo = 0;
     }
     
     setWave(wave) {
         this.wave = wave;
-        this.updateUI();
+        this.notifyChanged();
     }
     
     setLevel(level) {
         this.level = level;
-        this.updateUI();
+        this.notifyChanged();
     }
     
     addMissed() {
@@ -123,7 +193,7 @@ class PlayerState {
             return true; // Game over
         }
         
-        this.updateUI();
+        this.notifyChanged();
         return false;
     }
     
@@ -138,14 +208,15 @@ class PlayerState {
             return true; // Game over
         }
         
-        this.updateUI();
+        this.notifyChanged();
         return false;
     }
     
     heal(amount) {
         this.health = Math.min(this.maxHealth, this.health + amount);
         this.shields = Math.min(this.maxShields, this.shields + amount);
-        this.updateUI();
+        this.events.emit(GameEvents.PLAYER_HEALED, { amount });
+        this.notifyChanged();
     }
     
     // New 3D feature tracking
@@ -164,37 +235,9 @@ class PlayerState {
         this.perspectiveAccuracy = accuracy;
     }
     
-    updateUI() {
-        // Update score and level info
-        const scoreEl = document.getElementById('score');
-        const levelEl = document.getElementById('level');
-        const waveEl = document.getElementById('wave');
-        const missedEl = document.getElementById('missed');
-        const shieldsEl = document.getElementById('shields');
-        const depthBonusEl = document.getElementById('depth-bonus');
-        const healthBarEl = document.getElementById('health-bar');
-        
-        if (scoreEl) scoreEl.textContent = this.score.toLocaleString();
-        if (levelEl) levelEl.textContent = this.level;
-        if (waveEl) waveEl.textContent = this.wave;
-        if (missedEl) missedEl.textContent = `${this.missed} / ${this.MAX_MISSED}`;
-        if (shieldsEl) shieldsEl.textContent = Math.round(this.shields);
-        if (depthBonusEl) depthBonusEl.textContent = `x${this.depthBonus.toFixed(1)}`;
-        
-        // Update health bar
-        if (healthBarEl) {
-            const healthPercent = (this.health / this.maxHealth) * 100;
-            healthBarEl.style.width = `${healthPercent}%`;
-            
-            // Change color based on health
-            if (healthPercent > 60) {
-                healthBarEl.style.background = 'linear-gradient(90deg, #00ff00, #00ffff)';
-            } else if (healthPercent > 30) {
-                healthBarEl.style.background = 'linear-gradient(90deg, #ffff00, #ff6600)';
-            } else {
-                healthBarEl.style.background = 'linear-gradient(90deg, #ff0000, #ff3300)';
-            }
-        }
+    // The HUD and anything else showing player state listen for this
+    notifyChanged() {
+        this.events.emit(GameEvents.PLAYER_UPDATED, { player: this });
     }
     
     getGameData() {
@@ -210,7 +253,10 @@ class PlayerState {
 }
 
 class PowerUpManager {
-    constructor() {
+    constructor(game) {
+        this.game = game;
+        this.clock = game.clock;
+        this.events = game.events;
         this.activePowerUp = null;
         this.endTime = 0;
         this.powerUps = {
@@ -246,10 +292,12 @@ class PowerUpManager {
             }
         };
         
-        // UI elements
-        this.timerEl = document.getElementById('powerup-timer');
-        this.nameEl = document.getElementById('powerup-name');
-        this.barEl = document.getElementById('powerup-bar');
+        // Power-up balloons grant a random power-up when popped
+        this.events.on(GameEvents.BALLOON_POPPED, ({ balloon }) => {
+            if (balloon.type === 'powerup') {
+                this.activate(this.getRandomPowerUpType());
+            }
+        });
     }
     
     activate(type) {
@@ -259,139 +307,37 @@ class PowerUpManager {
         
         this.activePowerUp = type;
         const powerUp = this.powerUps[type];
-        this.endTime = Date.now() + powerUp.duration;
+        this.endTime = this.clock.now() + powerUp.duration;
         
-        // Update UI
-        let displayName = powerUp.name;
-        if (powerUp.key) {
-            displayName += ` <span class="key-hint">${powerUp.key}</span>`;
-        }
-        
-        if (this.nameEl) this.nameEl.innerHTML = displayName;
-        if (this.timerEl) this.timerEl.classList.remove('hidden');
-        
-        // Activate power-up specific effects
-        this.activatePowerUpEffect(type);
-        
-        // Play activation sound
-        if (window.audioManager) {
-            window.audioManager.play('powerupActivate');
-        }
-        
-        // Update stats
-        if (window.player) {
-            window.player.stats.powerUpsCollected++;
-        }
+        // Effects, sound, stats and the HUD timer are handled by subscribers
+        this.events.emit(GameEvents.POWER_UP_ACTIVATED, {
+            type,
+            powerUp,
+            endTime: this.endTime
+        });
         
         console.log(`Power-up activated: ${powerUp.name}`);
     }
     
-    activatePowerUpEffect(type) {
-        switch (type) {
-            case 'MINI_SHIPS':
-                // Mini-ships will be created by the scene manager
-                if (window.sceneManager) {
-                    window.sceneManager.spawnMiniShips(3);
-                }
-                break;
-                
-            case 'SHIELD':
-                if (window.player) {
-                    window.player.isShielded = true;
-                    // Visual shield effect handled by scene manager
-                    if (window.sceneManager) {
-                        window.sceneManager.activateShieldEffect();
-                    }
-                }
-                break;
-                
-            case 'DEPTH_VISION':
-                // Enhanced depth perception effect
-                if (window.sceneManager) {
-                    window.sceneManager.activateDepthVision();
-                }
-                break;
-                
-            case 'VORTEX_AMPLIFIER':
-                // Increase chain reaction potential
-                if (window.sceneManager) {
-                    window.sceneManager.activateVortexAmplifier();
-                }
-                break;
-        }
-    }
-    
     deactivate() {
         if (!this.activePowerUp) return;
         
         const type = this.activePowerUp;
-        
-        // Deactivate power-up specific effects
-        this.deactivatePowerUpEffect(type);
-        
         this.activePowerUp = null;
         
-        // Update UI
-        if (this.timerEl) this.timerEl.classList.add('hidden');
+        this.events.emit(GameEvents.POWER_UP_DEACTIVATED, {
+            type,
+            powerUp: this.powerUps[type]
+        });
         
         console.log(`Power-up deactivated: ${this.powerUps[type].name}`);
     }
     
-    deactivatePowerUpEffect(type) {
-        switch (type) {
-            case 'MINI_SHIPS':
-                if (window.sceneManager) {
-                    window.sceneManager.removeMiniShips();
-                }
-                break;
-                
-            case 'SHIELD':
-                if (window.player) {
-                    window.player.isShielded = false;
-                    if (window.sceneManager) {
-                        window.sceneManager.deactivateShieldEffect();
-                    }
-                }
-                break;
-                
-            case 'DEPTH_VISION':
-                if (window.sceneManager) {
-                    window.sceneManager.deactivateDepthVision();
-                }
-                break;
-                
-            case 'VORTEX_AMPLIFIER':
-                if (window.sceneManager) {
-                    window.sceneManager.deactivateVortexAmplifier();
-                }
-                break;
-        }
-    }
-    
     update() {
         if (!this.activePowerUp) return;
         
-        const timeLeft = this.endTime - Date.now();
-        if (timeLeft <= 0) {
+        if (this.getRemainingTime() <= 0) {
             this.deactivate();
-            return;
-        }
-        
-        // Update progress bar
-        const powerUp = this.powerUps[this.activePowerUp];
-        const percentage = (timeLeft / powerUp.duration) * 100;
-        
-        if (this.barEl) {
-            this.barEl.style.width = `${percentage}%`;
-            
-            // Change color based on remaining time
-            if (percentage > 50) {
-                this.barEl.style.background = 'linear-gradient(90deg, #00ff00, #00ffff)';
-            } else if (percentage > 25) {
-                this.barEl.style.background = 'linear-gradient(90deg, #ffff00, #ff6600)';
-            } else {
-                this.barEl.style.background = 'linear-gradient(90deg, #ff0000, #ff3300)';
-            }
         }
     }
     
@@ -410,37 +356,8 @@ class PowerUpManager {
     triggerActivePowerUp() {
         if (!this.activePowerUp) return;
         
-        switch (this.activePowerUp) {
-            case 'ENERGY_BEAM':
-                // Trigger energy beam from current mouse/touch position
-                if (window.inputHandler && window.sceneManager) {
-                    const startPos = { x: window.innerWidth / 2, y: window.innerHeight };
-                    const endPos = window.inputHandler.getLastPointerPosition();
-                    window.sceneManager.fireEnergyBeam(startPos, endPos);
-                }
-                break;
-                
-            case 'MINI_SHIPS':
-                // Trigger mini-ship volley
-                if (window.sceneManager) {
-                    window.sceneManager.triggerMiniShipVolley();
-                }
-                break;
-                
-            case 'DEPTH_VISION':
-                // Trigger depth scan
-                if (window.sceneManager) {
-                    window.sceneManager.triggerDepthScan();
-                }
-                break;
-                
-            case 'VORTEX_AMPLIFIER':
-                // Trigger vortex blast
-                if (window.sceneManager) {
-                    window.sceneManager.triggerVortexBlast();
-                }
-                break;
-        }
+        // The scene manager fires the beam, volley, scan or blast
+        this.events.emit(GameEvents.POWER_UP_TRIGGERED, { type: this.activePowerUp });
     }
     
     isActive(type = null) {
@@ -452,12 +369,12 @@ class PowerUpManager {
     
     getRandomPowerUpType() {
         const types = Object.keys(this.powerUps);
-        return types[Math.floor(Math.random() * types.length)];
+        return this.game.random.pick(types);
     }
     
     getRemainingTime() {
         if (!this.activePowerUp) return 0;
-        return Math.max(0, this.endTime - Date.now());
+        return Math.max(0, this.endTime - this.clock.now());
     }
     
     getRemainingPercent() {
@@ -468,30 +385,44 @@ class PowerUpManager {
     }
 }
 
+// Runs the level scripts (see WaveScriptFormat): starts each wave, spawns
+// its groups on time and moves on when the wave's time is up, enough drones
+// have fallen or its boss is gone
 class GameFlow {
-    constructor() {
+    constructor(game) {
+        this.game = game;
+        this.clock = game.clock;
+        this.events = game.events;
         this.gameRunning = false;
         this.isPaused = false;
         this.frameCount = 0;
+        
+        // The level being played and where in it we are
+        this.level = null;
+        this.intervalScale = 1; // Below 1 past the last scripted level
+        this.waveIndex = 0;
+        this.wave = null;
         this.waveStartTime = 0;
-        this.waveEnemiesSpawned = 0;
-        this.waveEnemiesRequired = 10;
-        
-        // Wave configuration
-        this.waveConfig = {
-            balloonsPerWave: 50,
-            enemiesPerWave: 10,
-            waveDuration: 30000, // 30 seconds
-            bossWaveInterval: 5 // Boss every 5 waves
-        };
+        this.waveKills = 0;
+        this.groups = []; // Spawn progress for each group of the wave
+        this.boss = null;
+        this.levelFinished = false; // Waiting for the next level to start
+        
+        this.events.on(GameEvents.ENEMY_DESTROYED, () => {
+            this.waveKills++;
+        });
+        
+        // The boss's death throes are over: the only way a boss wave ends
+        this.events.on(GameEvents.BOSS_DEFEATED, ({ boss }) => {
+            if (boss === this.boss) this.finishLevel();
+        });
     }
     
     start() {
         this.gameRunning = true;
         this.isPaused = false;
         this.frameCount = 0;
-        this.waveStartTime = Date.now();
-        this.waveEnemiesSpawned = 0;
+        this.startLevel(1);
         
         console.log('Game Flow: Game started');
     }
@@ -512,92 +443,120 @@ class GameFlow {
         console.log('Game Flow: Game stopped');
     }
     
+    // Levels past the last script replay it with shorter spawn intervals
+    startLevel(number) {
+        const { levels, endless } = this.game.levelSet;
+        const extraLevels = Math.max(0, number - levels.length);
+        
+        this.level = levels[Math.min(number, levels.length) - 1];
+        this.intervalScale = Math.max(endless.minIntervalScale, Math.pow(endless.intervalScale, extraLevels));
+        this.levelFinished = false;
+        this.game.player.setLevel(number);
+        this.startWave(0);
+        
+        console.log(`Game Flow: Level ${number} (${this.level.name || this.level.file})`);
+    }
+    
+    startWave(index) {
+        const player = this.game.player;
+        
+        this.waveIndex = index;
+        this.wave = this.level.waves[index];
+        this.waveStartTime = this.clock.now();
+        this.waveKills = 0;
+        this.groups = this.wave.groups.map(group => ({
+            group,
+            modifiers: WaveScriptFormat.combineModifiers(this.level.modifiers, group.modifiers),
+            interval: group.interval ? group.interval * this.intervalScale : 0,
+            nextTime: group.at || 0,
+            spawned: 0
+        }));
+        player.setWave(index + 1);
+        
+        this.boss = null;
+        if (this.wave.boss) {
+            this.triggerBossWave();
+        }
+    }
+    
     update() {
-        if (!this.gameRunning || this.isPaused) return;
+        if (!this.gameRunning || this.isPaused || this.levelFinished) return;
         
         this.frameCount++;
         
-        // Check for wave progression
+        this.spawnGroups();
         this.checkWaveProgression();
-        
-        // Check for level progression
-        this.checkLevelProgression();
+    }
+    
+    // Spawn whatever each group has due by now
+    spawnGroups() {
+        const waveTime = this.clock.now() - this.waveStartTime;
+        const sceneManager = this.game.sceneManager;
+        
+        this.groups.forEach(state => {
+            const group = state.group;
+            while (waveTime >= state.nextTime && (group.count === undefined || state.spawned < group.count)) {
+                sceneManager.spawnEntity(group.entity, {
+                    path: group.path,
+                    variants: group.variants,
+                    modifiers: state.modifiers
+                });
+                state.spawned++;
+                state.nextTime += state.interval;
+            }
+        });
     }
     
     checkWaveProgression() {
-        const waveTime = Date.now() - this.waveStartTime;
+        const wave = this.wave;
+        
+        // Boss waves last until BOSS_DEFEATED
+        if (wave.boss) return;
         
-        // Advance wave every 30 seconds or when enough enemies defeated
-        if (waveTime > this.waveConfig.waveDuration || this.shouldAdvanceWave()) {
+        const waveTime = this.clock.now() - this.waveStartTime;
+        if (waveTime >= wave.duration || (wave.kills && this.waveKills >= wave.kills)) {
             this.advanceWave();
         }
     }
     
-    shouldAdvanceWave() {
-        // Check if enough enemies have been defeated
-        if (window.player) {
-            const enemiesKilled = window.player.stats.enemiesDestroyed;
-            return enemiesKilled >= this.waveEnemiesRequired;
-        }
-        return false;
-    }
-    
     advanceWave() {
-        if (window.player) {
-            window.player.setWave(window.player.wave + 1);
+        if (this.waveIndex + 1 >= this.level.waves.length) {
+            this.finishLevel();
+            return;
         }
         
-        this.waveStartTime = Date.now();
-        this.waveEnemiesSpawned = 0;
-        this.waveEnemiesRequired += 2; // Increase difficulty
+        this.startWave(this.waveIndex + 1);
         
-        console.log(`Game Flow: Advanced to wave ${window.player ? window.player.wave : '?'}`);
-    }
-    
-    checkLevelProgression() {
-        if (!window.player) return;
+        const player = this.game.player;
+        this.events.emit(GameEvents.WAVE_ADVANCED, { wave: player.wave, level: player.level });
         
-        // Boss wave every 5 waves
-        if (window.player.wave > 0 && window.player.wave % this.waveConfig.bossWaveInterval === 0) {
-            this.triggerBossWave();
-        }
+        console.log(`Game Flow: Advanced to wave ${player.wave}`);
     }
     
     triggerBossWave() {
         console.log('Game Flow: Boss wave triggered!');
         
-        if (window.sceneManager) {
-            window.sceneManager.spawnBoss();
-        }
-        
-        if (window.audioManager) {
-            window.audioManager.play('bossAppear');
-        }
+        this.boss = this.game.sceneManager.spawnBoss(this.wave.boss);
+        this.events.emit(GameEvents.BOSS_WAVE_STARTED, { wave: this.game.player.wave });
     }
     
-    completeLevel() {
-        if (!window.player) return;
+    // Hand over to the level complete screen, once; the game starts the next level
+    finishLevel() {
+        if (this.levelFinished) return;
         
-        window.player.setLevel(window.player.level + 1);
-        window.player.setWave(1);
-        
-        this.waveStartTime = Date.now();
-        this.waveEnemiesSpawned = 0;
-        
-        console.log(`Game Flow: Level ${window.player.level} completed!`);
-        
-        if (window.audioManager) {
-            window.audioManager.play('levelComplete');
-        }
+        this.levelFinished = true;
+        this.game.levelComplete();
     }
     
     getWaveProgress() {
-        const waveTime = Date.now() - this.waveStartTime;
-        return Math.min(1, waveTime / this.waveConfig.waveDuration);
+        if (!this.wave || this.wave.boss) return 0;
+        
+        const waveTime = this.clock.now() - this.waveStartTime;
+        return Math.min(1, waveTime / this.wave.duration);
     }
     
     isBossWave() {
-        return window.player && window.player.wave % this.waveConfig.bossWaveInterval === 0;
+        return !!(this.wave && this.wave.boss);
     }
 }
 
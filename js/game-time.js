@@ -0,0 +1,144 @@
+/**
+ * Game Time for 3D Ceiling Pop
+ * Pause-aware simulation clock and task scheduler for gameplay code
+ */
+
+class GameClock {
+    constructor() {
+        this.time = 0; // Simulation time in milliseconds
+        this.ticks = 0; // Simulation steps taken
+        this.timeScale = 1.0;
+        this.isPaused = false;
+    }
+    
+    reset() {
+        this.time = 0;
+        this.ticks = 0;
+        this.isPaused = false;
+    }
+    
+    pause() {
+        this.isPaused = true;
+    }
+    
+    resume() {
+        this.isPaused = false;
+    }
+    
+    setTimeScale(scale) {
+        this.timeScale = MathUtils.clamp(scale, 0, 4);
+    }
+    
+    // Convert elapsed real seconds into simulation seconds
+    scale(realDeltaTime) {
+        return this.isPaused ? 0 : realDeltaTime * this.timeScale;
+    }
+    
+    // Advance by one simulation step (in seconds)
+    tick(deltaTime) {
+        this.time += deltaTime * 1000;
+        this.ticks++;
+    }
+    
+    // Current simulation time in milliseconds, a drop-in for Date.now()
+    now() {
+        return this.time;
+    }
+}
+
+// Runs delayed tasks and tweens against game time instead of setTimeout,
+// so they stop while paused and can all be dropped on reset
+class GameScheduler {
+    constructor(clock) {
+        this.clock = clock;
+        this.tasks = [];
+        this.nextId = 1;
+    }
+    
+    // Run callback after delay milliseconds of game time.
+    // options.onCancel runs instead if the task is cancelled (e.g. to remove a mesh).
+    schedule(delay, callback, options = {}) {
+        return this.addTask({
+            time: this.clock.now() + delay,
+            callback,
+            onCancel: options.onCancel || null
+        });
+    }
+    
+    // Call onUpdate with eased progress (0 to 1) every step for duration milliseconds
+    tween(duration, onUpdate, options = {}) {
+        const start = this.clock.now() + (options.delay || 0);
+        return this.addTask({
+            time: start + duration,
+            start,
+            duration: Math.max(1, duration),
+            onUpdate,
+            easing: options.easing || (t => t),
+            callback: options.onComplete || null,
+            onCancel: options.onCancel || null
+        });
+    }
+    
+    addTask(task) {
+        task.id = this.nextId++;
+        task.cancelled = false;
+        this.tasks.push(task);
+        return task.id;
+    }
+    
+    cancel(id) {
+        const index = this.tasks.findIndex(task => task.id === id);
+        if (index === -1) return false;
+        
+        const task = this.tasks[index];
+        this.tasks.splice(index, 1);
+        this.cancelTask(task);
+        return true;
+    }
+    
+    cancelAll() {
+        const tasks = this.tasks;
+        this.tasks = [];
+        tasks.forEach(task => this.cancelTask(task));
+    }
+    
+    cancelTask(task) {
+        task.cancelled = true;
+        if (task.onCancel) task.onCancel();
+    }
+    
+    update() {
+        const now = this.clock.now();
+        
+        // Work on a snapshot; callbacks may schedule or cancel other tasks
+        const tasks = this.tasks.slice();
+        tasks.forEach(task => {
+            if (task.cancelled) return;
+            
+            if (task.onUpdate) {
+                if (now < task.start) return;
+                const progress = Math.min(1, (now - task.start) / task.duration);
+                task.onUpdate(task.easing(progress));
+                if (progress < 1) return;
+            } else if (now < task.time) {
+                return;
+            }
+            
+            this.removeTask(task);
+            if (task.callback) task.callback();
+        });
+    }
+    
+    removeTask(task) {
+        const index = this.tasks.indexOf(task);
+        if (index !== -1) this.tasks.splice(index, 1);
+    }
+    
+    getPendingCount() {
+        return this.tasks.length;
+    }
+}
+
+// Export globally
+window.GameClock = GameClock;
+window.GameScheduler = GameScheduler;
\ No newline at end of file
@@ -0,0 +1,157 @@
+/**
+ * Headless runner for 3D Ceiling Pop (Node.js)
+ * Loads the game scripts into an isolated context with a null renderer and
+ * null audio, so whole games can be simulated in unit tests:
+ *
+ *   const { createHeadlessGame } = require('./js/headless');
+ *   const game = await createHeadlessGame({ seed: 1234 });
+ *   while (game.gameRunning) game.step(1 / 60);
+ *   console.log(game.player.getGameData());
+ *
+ * Requires the `three` package (r128, a devDependency: run `npm install`),
+ * or pass it in as options.THREE. `npm test` runs the tests in test/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Same order as the script tags in index.html
+const GAME_SCRIPTS = [
+    'utils.js',
+    'game-time.js',
+    'event-bus.js',
+    'audio-manager.js',
+    'wave-script.js',
+    'game-state.js',
+    'hud.js',
+    'game-objects.js',
+    'enemies.js',
+    'boss.js',
+    'particle-system.js',
+    'post-processing.js',
+    'stereo.js',
+    'depth-cues.js',
+    'canvas-renderer.js',
+    'scene-manager.js',
+    'quality-manager.js',
+    'profiler.js',
+    'input-handler.js',
+    'replay.js',
+    'main.js'
+];
+
+// Just enough of the DOM for code that looks up elements and finds none
+function createNullDocument() {
+    return {
+        hidden: false,
+        body: null,
+        head: null,
+        getElementById: () => null,
+        querySelector: () => null,
+        addEventListener: () => {},
+        removeEventListener: () => {}
+    };
+}
+
+// Create a fresh global scope with all game scripts loaded
+function createContext(options = {}) {
+    const context = {
+        THREE: options.THREE || require('three'),
+        console: options.console || console,
+        performance,
+        URLSearchParams,
+        setTimeout,
+        clearTimeout,
+        innerWidth: options.width || 1280,
+        innerHeight: options.height || 720,
+        devicePixelRatio: 1,
+        location: { search: '', reload: () => {} },
+        navigator: { userAgent: 'Node.js (headless)', maxTouchPoints: 0 },
+        document: createNullDocument(),
+        addEventListener: () => {},
+        removeEventListener: () => {}
+    };
+    context.window = context;
+    
+    vm.createContext(context);
+    GAME_SCRIPTS.forEach(file => {
+        const filename = path.join(__dirname, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+    
+    return context;
+}
+
+// Read the level set from disk (there is no fetch here), in the shape
+// WaveScriptFormat.parseLevelSet takes
+function readLevels(dir = path.join(__dirname, '..', 'levels')) {
+    const readJson = file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    const manifest = readJson('index.json');
+    const scripts = {};
+    (manifest.levels || []).forEach(file => {
+        scripts[file] = readJson(file);
+    });
+    return { manifest, scripts };
+}
+
+// Create a headless GameController, started unless options.autoStart is false.
+// options.levels overrides the level set in levels/; with options.autoContinue
+// false the game waits on the level complete screen like a real one
+async function createHeadlessGame(options = {}) {
+    const context = createContext(options);
+    const game = new context.GameController({
+        headless: true,
+        seed: options.seed,
+        levels: options.levels || readLevels(),
+        autoContinue: options.autoContinue
+    });
+    await game.ready;
+    
+    if (options.autoStart !== false) {
+        await game.startGame();
+    }
+    
+    return game;
+}
+
+// Play a recorded replay to the end and report whether it reproduced the result
+async function runReplay(data, options = {}) {
+    const replay = typeof data === 'string' ? JSON.parse(data) : data;
+    const [width, height] = replay.viewport || [];
+    const game = await createHeadlessGame({ ...options, width, height, autoStart: false });
+    await game.playReplay(replay);
+    
+    const frameTime = options.frameTime || 1 / 60;
+    const maxTime = options.maxTime || 3600;
+    for (let time = 0; time < maxTime && game.gameRunning; time += frameTime) {
+        game.step(frameTime);
+    }
+    
+    return {
+        gameData: game.player.getGameData(),
+        result: game.lastReplayResult
+    };
+}
+
+// Play a game with no input until it ends or maxTime seconds pass
+async function runHeadlessGame(options = {}) {
+    const game = await createHeadlessGame(options);
+    const frameTime = options.frameTime || 1 / 60;
+    const maxTime = options.maxTime || 600;
+    
+    for (let time = 0; time < maxTime && game.gameRunning; time += frameTime) {
+        game.step(frameTime);
+    }
+    
+    return game.player.getGameData();
+}
+
+module.exports = {
+    GAME_SCRIPTS,
+    createContext,
+    createHeadlessGame,
+    readLevels,
+    runHeadlessGame,
+    runReplay
+};
\ No newline at end of file
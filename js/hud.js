@@ -0,0 +1,226 @@
+/**
+ * HUD for 3D Ceiling Pop
+ * Keeps the on-screen score, health, power-up timer and boss health bar in
+ * sync with game events
+ */
+
+class GameHUD {
+    constructor(game) {
+        this.game = game;
+        this.events = game.events;
+        this.clock = game.clock;
+        
+        // Active power-up shown in the timer bar
+        this.powerUp = null;
+        this.powerUpEndTime = 0;
+        
+        // The boss's attack warning shows until the attack fires
+        this.bossWarningEndTime = 0;
+        
+        // UI elements
+        this.scoreEl = document.getElementById('score');
+        this.levelEl = document.getElementById('level');
+        this.waveEl = document.getElementById('wave');
+        this.missedEl = document.getElementById('missed');
+        this.shieldsEl = document.getElementById('shields');
+        this.depthBonusEl = document.getElementById('depth-bonus');
+        this.healthBarEl = document.getElementById('health-bar');
+        this.timerEl = document.getElementById('powerup-timer');
+        this.nameEl = document.getElementById('powerup-name');
+        this.barEl = document.getElementById('powerup-bar');
+        this.containerEl = document.getElementById('game-container');
+        this.bossContainerEl = document.getElementById('boss-bar-container');
+        this.bossPhaseEl = document.getElementById('boss-phase');
+        this.bossBarEl = document.getElementById('boss-bar');
+        this.bossWarningEl = document.getElementById('boss-warning');
+        
+        // Depth ruler: far at the top, near at the bottom, one dot per target
+        this.depthRulerEl = document.getElementById('depth-ruler');
+        this.depthDots = [];
+        if (this.depthRulerEl) this.createDepthRuler();
+        
+        this.subscribe();
+    }
+    
+    subscribe() {
+        this.events.on(GameEvents.PLAYER_UPDATED, ({ player }) => this.updatePlayer(player));
+        this.events.on(GameEvents.POWER_UP_ACTIVATED, (event) => this.showPowerUp(event));
+        this.events.on(GameEvents.POWER_UP_DEACTIVATED, () => this.hidePowerUp());
+        this.events.on(GameEvents.SCORE_AWARDED, (event) => this.showScorePopup(event));
+        this.events.on(GameEvents.BOSS_UPDATED, ({ boss }) => this.updateBoss(boss));
+        this.events.on(GameEvents.BOSS_ATTACK_TELEGRAPHED, (event) => this.showBossWarning(event));
+        this.events.on(GameEvents.BOSS_PHASE_CHANGED, () => this.hideBossWarning()); // The attack was called off
+        this.events.on(GameEvents.BOSS_DEFEATED, () => this.hideBoss());
+        this.events.on(GameEvents.GAME_STARTED, () => this.hideBoss());
+    }
+    
+    updatePlayer(player) {
+        // Update score and level info
+        if (this.scoreEl) this.scoreEl.textContent = player.score.toLocaleString();
+        if (this.levelEl) this.levelEl.textContent = player.level;
+        if (this.waveEl) this.waveEl.textContent = player.wave;
+        if (this.missedEl) this.missedEl.textContent = `${player.missed} / ${player.MAX_MISSED}`;
+        if (this.shieldsEl) this.shieldsEl.textContent = Math.round(player.shields);
+        if (this.depthBonusEl) this.depthBonusEl.textContent = `x${player.depthBonus.toFixed(1)}`;
+        
+        // Update health bar
+        if (this.healthBarEl) {
+            const healthPercent = (player.health / player.maxHealth) * 100;
+            this.healthBarEl.style.width = `${healthPercent}%`;
+            this.healthBarEl.style.background = this.getBarGradient(healthPercent, 60, 30);
+        }
+    }
+    
+    // Shown from the boss's arrival until its death throes end
+    updateBoss(boss) {
+        if (this.bossContainerEl) this.bossContainerEl.classList.remove('hidden');
+        if (this.bossBarEl) this.bossBarEl.style.width = `${(boss.health / boss.maxHealth) * 100}%`;
+        if (this.bossPhaseEl) {
+            const labels = { intro: 'INCOMING', defeated: 'DESTROYED' };
+            this.bossPhaseEl.textContent = labels[boss.state] || `PHASE ${boss.phaseIndex + 1}`;
+        }
+        if (boss.state !== 'fighting') this.hideBossWarning();
+    }
+    
+    showBossWarning({ attack, duration }) {
+        this.bossWarningEndTime = this.clock.now() + duration;
+        if (this.bossWarningEl) {
+            this.bossWarningEl.textContent = `⚠ ${attack.name}`;
+            this.bossWarningEl.classList.remove('hidden');
+        }
+    }
+    
+    hideBossWarning() {
+        this.bossWarningEndTime = 0;
+        if (this.bossWarningEl) this.bossWarningEl.classList.add('hidden');
+    }
+    
+    hideBoss() {
+        this.hideBossWarning();
+        if (this.bossContainerEl) this.bossContainerEl.classList.add('hidden');
+    }
+    
+    // Float the points up from where they were scored
+    showScorePopup({ points, position }) {
+        if (!position || !this.containerEl) return;
+        
+        const screen = this.game.sceneManager.worldToScreen(position);
+        const popup = document.createElement('div');
+        // Penalties come through as negative (or nothing, at a score of zero)
+        const penalty = points <= 0;
+        popup.className = penalty ? 'score-popup penalty' : 'score-popup';
+        popup.textContent = penalty ? `-${Math.abs(points)}` : `+${points}`;
+        popup.style.left = `${screen.x}px`;
+        popup.style.top = `${screen.y}px`;
+        
+        popup.addEventListener('animationend', () => popup.remove());
+        this.containerEl.appendChild(popup);
+    }
+    
+    showPowerUp({ powerUp, endTime }) {
+        this.powerUp = powerUp;
+        this.powerUpEndTime = endTime;
+        
+        let displayName = powerUp.name;
+        if (powerUp.key) {
+            displayName += ` <span class="key-hint">${powerUp.key}</span>`;
+        }
+        
+        if (this.nameEl) this.nameEl.innerHTML = displayName;
+        if (this.timerEl) this.timerEl.classList.remove('hidden');
+    }
+    
+    hidePowerUp() {
+        this.powerUp = null;
+        if (this.timerEl) this.timerEl.classList.add('hidden');
+    }
+    
+    // Ticks every 20 units, labelled with the depth bonus scored there
+    createDepthRuler() {
+        for (let z = PLAY_VOLUME.farZ; z <= PLAY_VOLUME.nearZ; z += 20) {
+            const tick = document.createElement('div');
+            tick.className = 'depth-ruler-tick';
+            tick.style.top = `${this.getDepthRulerOffset(z)}%`;
+            tick.textContent = `x${MathUtils.getDepthBonus(z).toFixed(1)}`;
+            this.depthRulerEl.appendChild(tick);
+        }
+        
+        this.updateDepthRulerVisibility();
+    }
+    
+    // Percentage down the ruler for a depth
+    getDepthRulerOffset(z) {
+        const offset = (z - PLAY_VOLUME.farZ) / (PLAY_VOLUME.nearZ - PLAY_VOLUME.farZ);
+        return MathUtils.clamp(offset, 0, 1) * 100;
+    }
+    
+    updateDepthRulerVisibility() {
+        if (this.depthRulerEl) {
+            this.depthRulerEl.classList.toggle('hidden', !this.game.depthCueSettings.ruler);
+        }
+    }
+    
+    // Move a dot to each live target's depth, reusing dots between frames
+    updateDepthRuler() {
+        if (!this.depthRulerEl || !this.game.depthCueSettings.ruler) return;
+        
+        const { balloons, enemies } = this.game.sceneManager;
+        let count = 0;
+        
+        [balloons, enemies].forEach(targets => {
+            targets.forEach(target => {
+                if (!target.isAlive) return;
+                
+                let dot = this.depthDots[count];
+                if (!dot) {
+                    dot = document.createElement('div');
+                    this.depthRulerEl.appendChild(dot);
+                    this.depthDots.push(dot);
+                }
+                
+                dot.className = targets === enemies ? 'depth-ruler-dot enemy' : 'depth-ruler-dot';
+                dot.style.top = `${this.getDepthRulerOffset(target.position.z)}%`;
+                dot.style.display = 'block';
+                count++;
+            });
+        });
+        
+        for (let i = count; i < this.depthDots.length; i++) {
+            this.depthDots[i].style.display = 'none';
+        }
+    }
+    
+    // Called once per rendered frame
+    update() {
+        this.updateDepthRuler();
+        this.updatePowerUpTimer();
+        
+        if (this.bossWarningEndTime && this.clock.now() >= this.bossWarningEndTime) {
+            this.hideBossWarning();
+        }
+    }
+    
+    // Animate the power-up timer bar
+    updatePowerUpTimer() {
+        if (!this.powerUp || !this.barEl) return;
+        
+        const timeLeft = Math.max(0, this.powerUpEndTime - this.clock.now());
+        const percentage = (timeLeft / this.powerUp.duration) * 100;
+        
+        this.barEl.style.width = `${percentage}%`;
+        this.barEl.style.background = this.getBarGradient(percentage, 50, 25);
+    }
+    
+    // Green when full, yellow below the first threshold, red below the second
+    getBarGradient(percent, warning, danger) {
+        if (percent > warning) {
+            return 'linear-gradient(90deg, #00ff00, #00ffff)';
+        } else if (percent > danger) {
+            return 'linear-gradient(90deg, #ffff00, #ff6600)';
+        }
+        return 'linear-gradient(90deg, #ff0000, #ff3300)';
+    }
+}
+
+// Export globally
+window.GameHUD = GameHUD;
\ No newline at end of file
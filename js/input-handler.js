@@ -4,9 +4,12 @@
  */
 
 class InputHandler {
-    constructor(canvas, sceneManager) {
+    constructor(canvas, game) {
         this.canvas = canvas;
-        this.sceneManager = sceneManager;
+        this.game = game;
+        this.sceneManager = game.sceneManager;
+        this.clock = game.clock;
+        this.events = game.events;
         
         // Input state
         this.isPointerDown = false;
@@ -41,12 +44,20 @@ class InputHandler {
         this.lastProcessTime = 0;
         this.processInterval = 16; // ~60fps
         
+        // Replay support: queued input is forwarded to the recorder, and during
+        // playback gameplay input comes from the replay instead of the DOM
+        this.recorder = null;
+        this.isReplaying = false;
+        
         this.init();
     }
     
     init() {
-        this.setupEventListeners();
-        this.setupPreventDefaults();
+        // Without a canvas (headless mode) input only arrives through the handler methods
+        if (this.canvas) {
+            this.setupEventListeners();
+            this.setupPreventDefaults();
+        }
         console.log('Input Handler: Initialization complete');
     }
     
@@ -95,8 +106,32 @@ class InputHandler {
     // Unified pointer event handling
     handlePointerStart(e) {
         e.preventDefault();
+        if (this.isReplaying) return;
+        
+        this.beginPointer(this.getPointerPosition(e));
+    }
+    
+    handlePointerMove(e) {
+        if (this.isReplaying) return;
         
-        const pointer = this.getPointerPosition(e);
+        this.movePointer(this.getPointerPosition(e));
+    }
+    
+    handlePointerEnd(e) {
+        e.preventDefault();
+        if (this.isReplaying) return;
+        
+        this.endPointer(this.getPointerPosition(e));
+    }
+    
+    handlePointerCancel(e) {
+        if (this.isReplaying) return;
+        
+        this.cancelPointer();
+    }
+    
+    // Pointer actions; these are what replays drive directly
+    beginPointer(pointer) {
         this.isPointerDown = true;
         this.pointerStart = pointer;
         this.pointerCurrent = pointer;
@@ -104,16 +139,14 @@ class InputHandler {
         
         // Initialize gesture detection
         this.gestureState.type = null;
-        this.gestureState.startTime = Date.now();
+        this.gestureState.startTime = this.clock.now();
         
         // Start 3D targeting
         this.targeting.isActive = true;
         this.targeting.start3D = this.sceneManager.screenToWorld(pointer.x, pointer.y, -30);
         
-        // Play UI feedback sound
-        if (window.audioManager) {
-            window.audioManager.play('tap');
-        }
+        // UI feedback sound
+        this.events.emit(GameEvents.POINTER_PRESSED, { x: pointer.x, y: pointer.y });
         
         // Queue input for processing
         this.queueInput('pointerStart', pointer);
@@ -121,16 +154,15 @@ class InputHandler {
         console.log('Input: Pointer start at', pointer);
     }
     
-    handlePointerMove(e) {
+    movePointer(pointer) {
         if (!this.isPointerDown) {
             // Update cursor position for targeting reticle
-            const pointer = this.getPointerPosition(e);
             this.lastPointerPosition = pointer;
             this.updateTargetingReticle(pointer);
+            this.queueInput('pointerMove', pointer);
             return;
         }
         
-        const pointer = this.getPointerPosition(e);
         this.pointerCurrent = pointer;
         this.lastPointerPosition = pointer;
         
@@ -144,13 +176,10 @@ class InputHandler {
         this.queueInput('pointerMove', pointer);
     }
     
-    handlePointerEnd(e) {
-        e.preventDefault();
-        
+    endPointer(pointer) {
         if (!this.isPointerDown) return;
         
-        const pointer = this.getPointerPosition(e);
-        const currentTime = Date.now();
+        const currentTime = this.clock.now();
         const duration = currentTime - this.gestureState.startTime;
         const distance = this.calculateDistance(this.pointerStart, pointer);
         
@@ -174,11 +203,13 @@ class InputHandler {
         console.log(`Input: Gesture ${gestureType} completed`);
     }
     
-    handlePointerCancel(e) {
+    cancelPointer() {
         this.isPointerDown = false;
         this.pointerStart = null;
         this.pointerCurrent = null;
         this.targeting.isActive = false;
+        
+        this.queueInput('pointerCancel', null);
     }
     
     getPointerPosition(e) {
@@ -198,7 +229,15 @@ class InputHandler {
             clientY = e.clientY;
         }
         
-        return { x: clientX, y: clientY };
+        // Side-by-side stereo squeezes the whole view into each half of the
+        // screen; aim as if the pointer were on the full-width view
+        if (this.sceneManager.isStereoSplit()) {
+            const halfWidth = window.innerWidth / 2;
+            clientX = (clientX % halfWidth) * 2;
+        }
+        
+        // Whole pixels, so recorded input replays exactly
+        return { x: Math.round(clientX), y: Math.round(clientY) };
     }
     
     calculateDistance(pos1, pos2) {
@@ -238,22 +277,17 @@ class InputHandler {
     handleTap(position) {
         // Fire a projectile toward the tap/click (sceneManager.handleTap now does this)
         const hit = this.sceneManager.handleTap(position.x, position.y);
-        this.createTapRipple(position);
-        // Feedback for stats (optional, can be kept)
-        if (window.player) {
-            if (hit) {
-                window.player.updatePerspectiveAccuracy(1.0);
-            } else {
-                window.player.updatePerspectiveAccuracy(0.8);
-                window.player.breakCombo();
-            }
+        if (this.canvas) {
+            this.createTapRipple(position);
         }
+        // Feedback for stats (a miss breaks the combo)
+        this.events.emit(GameEvents.TAP_RESOLVED, { position, hit });
         console.log('Input: Tap handled', hit ? '(HIT)' : '(MISS)');
     }
     
     handleSwipe(startPos, endPos) {
         // Check if energy beam power-up is active
-        if (window.powerUpManager && window.powerUpManager.isActive('ENERGY_BEAM')) {
+        if (this.game.powerUpManager.isActive('ENERGY_BEAM')) {
             this.sceneManager.fireEnergyBeam(startPos, endPos);
             console.log('Input: Energy beam fired via swipe');
             return;
@@ -316,11 +350,11 @@ class InputHandler {
         const target3D = this.sceneManager.screenToWorld(endPos.x, endPos.y, -50);
         
         for (let i = 0; i < projectileCount; i++) {
-            setTimeout(() => {
+            this.game.scheduler.schedule(i * 50, () => {
                 this.sceneManager.createPlayerProjectile({
                     targetPosition: target3D.clone()
                 });
-            }, i * 50);
+            });
         }
     }
     
@@ -355,7 +389,7 @@ class InputHandler {
     
     updateBeamPreview() {
         // Show beam preview for energy beam power-up
-        if (!window.powerUpManager || !window.powerUpManager.isActive('ENERGY_BEAM')) return;
+        if (!this.game.powerUpManager.isActive('ENERGY_BEAM')) return;
         
         // This would draw a preview line in the UI
         // For simplicity, we'll just update the targeting reticle color
@@ -369,40 +403,85 @@ class InputHandler {
     // Keyboard handling
     handleKeyDown(e) {
         const key = e.key.toUpperCase();
-        this.keysPressed.add(key);
         
-        // Handle power-up activation
-        if (window.powerUpManager && window.powerUpManager.handleKeyPress(key)) {
-            e.preventDefault();
-            return;
-        }
-        
-        // Handle game controls
+        // Handle game controls (these also work during replays)
         switch (key) {
             case 'ESCAPE':
                 e.preventDefault();
                 this.handleEscape();
-                break;
-            case ' ': // Spacebar
-                e.preventDefault();
-                this.handleSpaceBar();
-                break;
+                return;
             case 'R':
                 e.preventDefault();
                 this.handleRestart();
-                break;
+                return;
             case 'M':
                 e.preventDefault();
                 this.handleMute();
-                break;
+                return;
+            case 'Q':
+                e.preventDefault();
+                this.game.quality.cycleOverride();
+                return;
+            case 'S':
+                e.preventDefault();
+                this.game.cycleStereoMode();
+                return;
+            case 'E':
+                e.preventDefault();
+                this.game.togglePostEffects();
+                return;
+            case 'C':
+                e.preventDefault();
+                this.game.toggleDepthCues();
+                return;
+            case '[':
+            case ']':
+                e.preventDefault();
+                this.game.adjustStereo('eyeSeparation', key === ']' ? 1 : -1);
+                return;
+            case ',':
+            case '.':
+                e.preventDefault();
+                this.game.adjustStereo('convergence', key === '.' ? 1 : -1);
+                return;
+        }
+        
+        if (this.isReplaying) return;
+        
+        if (this.pressKey(key)) {
+            e.preventDefault();
         }
         
         console.log(`Input: Key pressed - ${key}`);
     }
     
     handleKeyUp(e) {
-        const key = e.key.toUpperCase();
+        if (this.isReplaying) return;
+        
+        this.releaseKey(e.key.toUpperCase());
+    }
+    
+    // Gameplay key actions; returns true if the key was used
+    pressKey(key) {
+        this.keysPressed.add(key);
+        this.queueInput('keyDown', { key });
+        
+        // Handle power-up activation
+        if (this.game.powerUpManager.handleKeyPress(key)) {
+            return true;
+        }
+        
+        if (key === ' ') { // Spacebar
+            this.handleSpaceBar();
+            return true;
+        }
+        
+        return false;
+    }
+    
+    releaseKey(key) {
         this.keysPressed.delete(key);
+        this.queueInput('keyUp', { key });
         
         // Reset targeting reticle color when energy beam key released
         if (key === 'A') {
@@ -415,41 +494,43 @@ class InputHandler {
     }
     
     handleEscape() {
-        if (window.gameController) {
-            window.gameController.togglePause();
-        }
+        this.game.togglePause();
     }
     
     handleSpaceBar() {
         // Trigger active power-up or special action
-        if (window.powerUpManager && window.powerUpManager.activePowerUp) {
-            window.powerUpManager.triggerActivePowerUp();
-        }
+        this.game.powerUpManager.triggerActivePowerUp();
     }
     
     handleRestart() {
-        if (window.gameController && !window.gameController.gameRunning) {
-            window.gameController.startGame();
+        if (!this.game.gameRunning) {
+            this.game.startGame();
         }
     }
     
     handleMute() {
-        if (window.audioManager) {
-            window.audioManager.toggleMute();
-        }
+        this.game.audioManager.toggleMute();
     }
     
     handleWindowBlur() {
         // Pause game when window loses focus
-        if (window.gameController && window.gameController.gameRunning) {
-            window.gameController.pause();
+        if (this.game.gameRunning) {
+            this.game.pause();
         }
         
-        // Clear all input state
+        if (!this.isReplaying) {
+            this.clearInputState();
+        }
+    }
+    
+    // Clear all input state
+    clearInputState() {
         this.keysPressed.clear();
         this.isPointerDown = false;
         this.pointerStart = null;
         this.pointerCurrent = null;
+        
+        this.queueInput('inputReset', null);
     }
     
     handleWindowFocus() {
@@ -459,17 +540,19 @@ class InputHandler {
     
     // Input queue processing for performance
     queueInput(type, data, extra = {}) {
+        // Stamped with game time so the recorder can place it exactly
         this.inputQueue.push({
             type,
             data,
             extra,
-            timestamp: Date.now()
+            tick: this.clock.ticks,
+            timestamp: this.clock.now()
         });
     }
     
-    processInputQueue() {
+    processInputQueue(force = false) {
         const currentTime = Date.now();
-        if (currentTime - this.lastProcessTime < this.processInterval) return;
+        if (!force && currentTime - this.lastProcessTime < this.processInterval) return;
         
         // Process queued inputs
         while (this.inputQueue.length > 0) {
@@ -481,6 +564,10 @@ class InputHandler {
     }
     
     processQueuedInput(input) {
+        if (this.recorder && !this.isReplaying) {
+            this.recorder.record(input);
+        }
+        
         // Additional processing for queued inputs if needed
         switch (input.type) {
             case 'pointerStart':
@@ -517,14 +604,15 @@ class InputHandler {
         this.processInputQueue();
         
         // Update continuous input effects
-        if (this.isKeyPressed('A') && window.powerUpManager && window.powerUpManager.isActive('ENERGY_BEAM')) {
+        const powerUpManager = this.game.powerUpManager;
+        if (this.isKeyPressed('A') && powerUpManager.isActive('ENERGY_BEAM')) {
             // Continuous energy beam charging effect
             this.updateEnergyBeamCharging();
         }
         
-        if (this.isKeyPressed('L') && window.powerUpManager && window.powerUpManager.isActive('MINI_SHIPS')) {
+        if (this.isKeyPressed('L') && powerUpManager.isActive('MINI_SHIPS')) {
             // Continuous mini-ship firing
-            window.powerUpManager.triggerActivePowerUp();
+            powerUpManager.triggerActivePowerUp();
         }
     }
     
@@ -558,15 +646,17 @@ class InputHandler {
     // Cleanup
     dispose() {
         // Remove all event listeners
-        this.canvas.removeEventListener('mousedown', this.handlePointerStart);
-        this.canvas.removeEventListener('mousemove', this.handlePointerMove);
-        this.canvas.removeEventListener('mouseup', this.handlePointerEnd);
-        this.canvas.removeEventListener('mouseleave', this.handlePointerCancel);
-        
-        this.canvas.removeEventListener('touchstart', this.handlePointerStart);
-        this.canvas.removeEventListener('touchmove', this.handlePointerMove);
-        this.canvas.removeEventListener('touchend', this.handlePointerEnd);
-        this.canvas.removeEventListener('touchcancel', this.handlePointerCancel);
+        if (this.canvas) {
+            this.canvas.removeEventListener('mousedown', this.handlePointerStart);
+            this.canvas.removeEventListener('mousemove', this.handlePointerMove);
+            this.canvas.removeEventListener('mouseup', this.handlePointerEnd);
+            this.canvas.removeEventListener('mouseleave', this.handlePointerCancel);
+            
+            this.canvas.removeEventListener('touchstart', this.handlePointerStart);
+            this.canvas.removeEventListener('touchmove', this.handlePointerMove);
+            this.canvas.removeEventListener('touchend', this.handlePointerEnd);
+            this.canvas.removeEventListener('touchcancel', this.handlePointerCancel);
+        }
         
         window.removeEventListener('keydown', this.handleKeyDown);
         window.removeEventListener('keyup', this.handleKeyUp);
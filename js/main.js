@@ -3,34 +3,59 @@
  * Manages game loop, initialization, and overall game flow
  */
 
+// Systems and entities receive the controller as their `game` context and reach
+// the event bus, clock, scheduler, random stream and each other through it, so
+// several games can run on one page without sharing state.
 class GameController {
-    constructor() {
+    // options.headless runs without DOM, WebGL or audio, driven by step(dt).
+    // Headless games go straight on to the next level unless
+    // options.autoContinue is false; then continueToNextLevel() does it.
+    constructor(options = {}) {
         this.gameRunning = false;
         this.isPaused = false;
         this.isInitialized = false;
+        this.headless = !!options.headless;
+        this.autoContinue = options.autoContinue !== false;
         
         // Core systems
+        this.events = new EventBus();
+        this.clock = new GameClock();
+        this.scheduler = new GameScheduler(this.clock);
+        this.random = new SeededRandom(); // Gameplay stream, seeded per run
         this.sceneManager = null;
         this.inputHandler = null;
         this.audioManager = null;
         this.performanceMonitor = null;
         this.gameFlow = null;
+        this.hud = null;
         
         // Game objects
         this.player = null;
         this.powerUpManager = null;
         
-        // Timing
+        // Timing - fixed-step simulation, rendering interpolates between steps
         this.lastFrameTime = 0;
-        this.deltaTime = 0;
-        this.targetFPS = 60;
-        this.frameInterval = 1000 / this.targetFPS;
-        
-        // Spawn timing
-        this.lastBalloonSpawn = 0;
-        this.lastEnemySpawn = 0;
-        this.balloonSpawnRate = 1000; // Base spawn rate in ms
-        this.enemySpawnRate = 3000;
+        this.animationFrameId = null;
+        this.simulationRate = 120; // Steps per second
+        this.fixedDeltaTime = 1 / this.simulationRate;
+        this.maxFrameTime = 0.25; // Longer gaps (tab switches, breakpoints) are dropped
+        this.accumulator = 0;
+        
+        // Wave scripts for every level: loaded from levels/ during init, or
+        // handed in as { manifest, scripts } (headless games)
+        this.levelSet = null;
+        this.providedLevels = options.levels || null;
+        
+        // Input recording and replay playback
+        this.recorder = new InputRecorder();
+        this.replayPlayer = null;
+        this.lastReplay = null;
+        this.lastReplayResult = null;
+        
+        // Seed for the current run (?seed= in the URL pins it for reproduction)
+        this.seed = null;
+        this.requestedSeed = options.seed !== undefined ?
+            options.seed : new URLSearchParams(window.location.search).get('seed');
         
         // UI elements
         this.modal = null;
@@ -39,12 +64,48 @@ class GameController {
         this.startButton = null;
         this.loadingScreen = null;
         
-        // Quality and performance
-        this.qualitySettings = DeviceUtils.getQualitySettings();
-        this.adaptiveQuality = true;
+        // Quality and performance (?quality=low|medium|high locks the tier)
+        this.quality = new QualityManager(this, {
+            override: options.quality !== undefined ?
+                options.quality : new URLSearchParams(window.location.search).get('quality')
+        });
         this.lastPerformanceCheck = 0;
+        this.pausedForContextLoss = false;
+        
+        // Post effects the player has turned off (?noeffects=flash,chromatic)
+        const noEffects = options.noEffects !== undefined ?
+            options.noEffects : new URLSearchParams(window.location.search).get('noeffects');
+        this.disabledEffects = noEffects ? String(noEffects).split(',') : [];
+        
+        // Renderer to try first (?renderer=canvas forces the 2D fallback)
+        this.requestedRenderer = options.renderer !== undefined ?
+            options.renderer : new URLSearchParams(window.location.search).get('renderer');
+        
+        // Stereo view for 3D glasses or displays (?stereo=anaglyph|sideBySide|crossEye)
+        const stereoMode = options.stereo !== undefined ?
+            options.stereo : new URLSearchParams(window.location.search).get('stereo');
+        this.stereoSettings = {
+            mode: STEREO_MODES.includes(stereoMode) ? stereoMode : 'off',
+            eyeSeparation: STEREO_LIMITS.eyeSeparation.initial,
+            convergence: STEREO_LIMITS.convergence.initial
+        };
+        
+        // Depth cues, all on unless turned off (?nocues=tint,markers)
+        const noCues = options.noCues !== undefined ?
+            options.noCues : new URLSearchParams(window.location.search).get('nocues');
+        const disabledCues = noCues ? String(noCues).split(',') : [];
+        this.depthCueSettings = {};
+        DEPTH_CUE_NAMES.forEach(name => {
+            this.depthCueSettings[name] = !disabledCues.includes(name);
+        });
         
-        this.init();
+        // Per-subsystem timing for the debug overlay (F3) and traces (F7)
+        this.profiler = new Profiler();
+        this.profilerOverlay = null;
+        this.debugMode = false;
+        
+        // Resolves once initialization has finished
+        this.ready = this.init();
     }
     
     async init() {
@@ -55,19 +116,24 @@ class GameController {
             this.showLoading(true);
             
             // Initialize UI references
-            this.initializeUI();
-            
-            // Initialize core systems
-            await this.initializeSystems();
+            if (!this.headless) {
+                this.initializeUI();
+            }
             
-            // Setup game objects
+            // Setup game objects first: they subscribe to game events ahead of
+            // the scene and audio, so a pop is scored before its effects run
             this.initializeGameObjects();
             
-            // Setup event listeners
-            this.setupEventListeners();
+            // Initialize core systems
+            await this.initializeSystems();
             
-            // Setup resize handling
-            this.setupResizeHandling();
+            if (!this.headless) {
+                // Setup event listeners
+                this.setupEventListeners();
+                
+                // Setup resize handling
+                this.setupResizeHandling();
+            }
             
             // Hide loading screen
             this.showLoading(false);
@@ -80,6 +146,7 @@ class GameController {
             
         } catch (error) {
             console.error('Game Controller: Initialization failed', error);
+            if (this.headless) throw error;
             this.showErrorModal(error);
         }
     }
@@ -97,55 +164,71 @@ class GameController {
     }
     
     async initializeSystems() {
-        // Get canvas
-        const canvas = document.getElementById('gameCanvas');
-        if (!canvas) {
+        // Level scripts come first: a bad one should stop the game before it starts
+        console.log('Game Controller: Loading level scripts...');
+        this.levelSet = this.providedLevels ?
+            WaveScriptFormat.parseLevelSet(this.providedLevels.manifest, this.providedLevels.scripts) :
+            await WaveScriptFormat.load('levels/');
+        
+        // Get canvas (headless mode has none)
+        const canvas = this.headless ? null : document.getElementById('gameCanvas');
+        if (!canvas && !this.headless) {
             throw new Error('Game canvas not found');
         }
         
         // Initialize scene manager
         console.log('Game Controller: Initializing Scene Manager...');
-        this.sceneManager = new SceneManager(canvas);
+        this.sceneManager = new SceneManager(canvas, this, {
+            headless: this.headless,
+            renderer: this.requestedRenderer,
+            disabledEffects: this.disabledEffects
+        });
         
         // Initialize audio manager
         console.log('Game Controller: Initializing Audio Manager...');
-        this.audioManager = new AudioManager();
+        this.audioManager = this.headless ? new NullAudioManager() : new AudioManager(this.events);
         
         // Initialize input handler
         console.log('Game Controller: Initializing Input Handler...');
-        this.inputHandler = new InputHandler(canvas, this.sceneManager);
+        this.inputHandler = new InputHandler(canvas, this);
+        this.inputHandler.recorder = this.recorder;
         
         // Initialize performance monitor
         this.performanceMonitor = new PerformanceMonitor();
+        this.profilerOverlay = new ProfilerOverlay(this);
         
-        // Make systems globally available
-        window.sceneManager = this.sceneManager;
-        window.audioManager = this.audioManager;
-        window.inputHandler = this.inputHandler;
-        window.performanceMonitor = this.performanceMonitor;
-        window.gameController = this;
+        // Bring every system in line with the starting quality tier
+        this.quality.apply();
     }
     
     initializeGameObjects() {
         // Initialize player state
-        this.player = new PlayerState();
-        window.player = this.player;
+        this.player = new PlayerState(this.events);
         
         // Initialize power-up manager
-        this.powerUpManager = new PowerUpManager();
-        window.powerUpManager = this.powerUpManager;
+        this.powerUpManager = new PowerUpManager(this);
         
         // Initialize game flow
-        this.gameFlow = new GameFlow();
-        window.gameFlow = this.gameFlow;
+        this.gameFlow = new GameFlow(this);
+        
+        // Initialize HUD
+        this.hud = new GameHUD(this);
+        
+        // Running out of health or letting too many balloons through ends the game
+        this.events.on(GameEvents.PLAYER_DEFEATED, () => this.gameOver());
+        
+        // Hold the run while the renderer is rebuilt after a context loss
+        this.events.on(GameEvents.CONTEXT_LOST, () => this.handleContextLost());
+        this.events.on(GameEvents.CONTEXT_RESTORED, () => this.handleContextRestored());
         
         console.log('Game Controller: Game objects initialized');
     }
     
     setupEventListeners() {
-        // Start button
+        // Start button (also resumes and continues through its onclick, which
+        // must not restart a run in progress)
         this.startButton.addEventListener('click', () => {
-            this.startGame();
+            if (!this.gameRunning) this.startGame();
         });
         
         // Keyboard shortcuts
@@ -162,6 +245,16 @@ class GameController {
             }
         });
         
+        // Dropping a replay file on the page plays it back
+        document.addEventListener('dragover', (e) => e.preventDefault());
+        document.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer.files[0];
+            if (file) {
+                this.loadReplayFile(file);
+            }
+        });
+        
         console.log('Game Controller: Event listeners setup complete');
     }
     
@@ -185,23 +278,39 @@ class GameController {
         }
     }
     
-    showStartModal() {
+    showModal(title, html, buttonText, onClick) {
+        if (!this.modal) return;
+        
+        this.modalTitle.textContent = title;
+        this.modalText.innerHTML = html;
+        this.startButton.textContent = buttonText;
+        if (onClick) this.startButton.onclick = onClick;
+        this.modal.style.display = 'flex';
+    }
+    
+    hideModal() {
         if (this.modal) {
-            this.modalTitle.textContent = 'CEILING POP 3D';
-            this.modalText.innerHTML = 'Experience the ultimate 3D space defense.<br>Tap/Click to destroy targets coming from deep space!';
-            this.startButton.textContent = 'START GAME';
-            this.modal.style.display = 'flex';
+            this.modal.style.display = 'none';
         }
     }
     
+    showStartModal() {
+        this.showModal(
+            'CEILING POP 3D',
+            'Experience the ultimate 3D space defense.<br>Tap/Click to destroy targets coming from deep space!',
+            'START GAME'
+        );
+    }
+    
     showErrorModal(error) {
-        if (this.modal) {
-            this.modalTitle.textContent = 'ERROR';
-            this.modalText.innerHTML = `Failed to initialize game:<br><code>${error.message}</code>`;
-            this.startButton.textContent = 'RETRY';
-            this.startButton.onclick = () => window.location.reload();
-            this.modal.style.display = 'flex';
-        }
+        // Wave script errors come as a list, one problem per line
+        const details = error.errors ? error.errors.join('<br>') : error.message;
+        this.showModal(
+            'ERROR',
+            `Failed to initialize game:<br><code>${details}</code>`,
+            'RETRY',
+            () => window.location.reload()
+        );
     }
     
     async startGame() {
@@ -216,76 +325,134 @@ class GameController {
             // Initialize audio (requires user interaction)
             await this.audioManager.init();
             
+            // Seed all gameplay randomness for this run (a replay brings its own seed)
+            let seed = this.requestedSeed !== null ? this.requestedSeed : RandomUtils.generateSeed();
+            if (this.replayPlayer) {
+                seed = this.replayPlayer.seed;
+            }
+            this.seed = RandomUtils.setSeed(seed);
+            this.random.setSeed(this.seed);
+            console.log(`Game Controller: Run seed ${this.seed}`);
+            
             // Reset game state
             this.resetGame();
             
+            // Start from clean input, then record this run or set up the replay
+            this.inputHandler.clearInputState();
+            this.inputHandler.inputQueue = [];
+            this.inputHandler.isReplaying = !!this.replayPlayer;
+            if (this.replayPlayer) {
+                this.replayPlayer.applyInitialState(this.inputHandler);
+            } else {
+                this.recorder.start(this.seed, {
+                    simulationRate: this.simulationRate,
+                    pointer: this.inputHandler.getLastPointerPosition()
+                });
+            }
+            
             // Start systems
             this.gameRunning = true;
             this.isPaused = false;
             this.gameFlow.start();
             
             // Hide modal
-            this.modal.style.display = 'none';
+            this.hideModal();
             
             // Start ambient music
             this.audioManager.startAmbient();
             
-            // Start game loop
+            this.events.emit(GameEvents.GAME_STARTED, { seed: this.seed });
+            
+            // Start game loop (headless games are driven through step())
             this.lastFrameTime = performance.now();
-            this.gameLoop();
+            this.accumulator = 0;
+            if (!this.headless) {
+                this.gameLoop();
+            }
             
             console.log('Game Controller: Game started successfully!');
             
         } catch (error) {
             console.error('Game Controller: Failed to start game', error);
+            if (this.headless) throw error;
             this.showErrorModal(error);
         }
     }
     
     resetGame() {
+        // Drop pending delayed effects, then restart game time before anything reads it
+        this.scheduler.cancelAll();
+        this.clock.reset();
+        
         // Reset player and game state
         this.player.reset();
         this.powerUpManager.deactivate();
         
-        // Clear all game objects
-        this.sceneManager.balloons = [];
-        this.sceneManager.enemies = [];
-        this.sceneManager.projectiles = [];
-        this.sceneManager.particles = [];
-        this.sceneManager.miniShips = [];
-        
-        // Reset spawn timers
-        this.lastBalloonSpawn = 0;
-        this.lastEnemySpawn = 0;
+        // Clear all game objects and take the play area from the current window
+        this.sceneManager.clearGameObjects();
+        this.sceneManager.resetPlayArea();
         
         console.log('Game Controller: Game state reset');
     }
     
+    // Between levels the game is already paused behind the level complete
+    // screen, and only its button moves on (ESC, blur and hidden tabs included)
     pause() {
-        if (!this.gameRunning) return;
+        if (!this.gameRunning || this.gameFlow.levelFinished) return;
         
         this.isPaused = true;
+        this.clock.pause();
         this.audioManager.stopAmbient();
         
-        // Show pause modal
-        this.modalTitle.textContent = 'PAUSED';
-        this.modalText.innerHTML = 'Game paused.<br>Press ESCAPE or click to resume.';
-        this.startButton.textContent = 'RESUME';
-        this.startButton.onclick = () => this.resume();
-        this.modal.style.display = 'flex';
+        this.showPauseModal();
         
         console.log('Game Controller: Game paused');
     }
     
+    showPauseModal() {
+        this.showModal(
+            'PAUSED',
+            'Game paused.<br>Press ESCAPE or click to resume.',
+            'RESUME',
+            () => this.resume()
+        );
+    }
+    
+    // Nothing can be drawn until the context comes back; the simulation and
+    // score are untouched, so the run simply waits
+    handleContextLost() {
+        // Already paused (or between levels): its own modal stays up
+        if (!this.gameRunning || this.isPaused) return;
+        
+        this.pause();
+        this.pausedForContextLoss = true;
+        this.showModal(
+            'GRAPHICS RESET',
+            'The graphics device was reset.<br>Restoring the game...',
+            'PLEASE WAIT',
+            () => {}
+        );
+    }
+    
+    handleContextRestored() {
+        if (!this.pausedForContextLoss) return;
+        
+        this.pausedForContextLoss = false;
+        if (this.gameRunning && this.isPaused) this.showPauseModal();
+    }
+    
     resume() {
-        if (!this.gameRunning || !this.isPaused) return;
+        if (!this.gameRunning || !this.isPaused || this.sceneManager.contextLost) return;
+        if (this.gameFlow.levelFinished) return; // See pause()
         
         this.isPaused = false;
-        this.modal.style.display = 'none';
+        this.clock.resume();
+        this.hideModal();
         this.audioManager.startAmbient();
         
         // Reset frame timing to prevent time jumps
         this.lastFrameTime = performance.now();
+        this.accumulator = 0;
         
         console.log('Game Controller: Game resumed');
     }
@@ -299,6 +466,8 @@ class GameController {
     }
     
     gameOver() {
+        if (!this.gameRunning) return;
+        
         this.gameRunning = false;
         this.isPaused = false;
         this.gameFlow.stop();
@@ -307,10 +476,17 @@ class GameController {
         // Stop all mini-ships
         this.sceneManager.removeMiniShips();
         
-        // Show game over modal
         const gameData = this.player.getGameData();
-        this.modalTitle.textContent = 'GAME OVER';
-        this.modalText.innerHTML = `
+        console.log('Game Controller: Game over', gameData);
+        
+        this.finishReplay(gameData);
+        
+        this.events.emit(GameEvents.GAME_OVER, { gameData, seed: this.seed });
+        
+        if (this.headless) return;
+        
+        // Show game over modal
+        this.showModal('GAME OVER', `
             <div class="game-over-stats">
                 <div class="final-score">FINAL SCORE: <span class="score-value">${gameData.score.toLocaleString()}</span></div>
                 <div class="wave-reached">REACHED: Level ${gameData.level}, Wave ${gameData.wave}</div>
@@ -322,12 +498,9 @@ class GameController {
                     <div>Vortex Chains: ${gameData.vortexChains}</div>
                     <div>Power-ups: ${gameData.stats.powerUpsCollected}</div>
                 </div>
+                <div class="run-seed">SEED: ${this.seed}</div>
             </div>
-        `;
-        
-        this.startButton.textContent = 'PLAY AGAIN';
-        this.startButton.onclick = () => this.startGame();
-        this.modal.style.display = 'flex';
+        `, 'PLAY AGAIN', () => this.startGame());
         
         // Add game over styles if not exists
         if (!document.querySelector('#game-over-style')) {
@@ -340,19 +513,28 @@ class GameController {
                 .wave-reached { text-align: center; margin-bottom: 1rem; color: #ccc; }
                 .stats-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 0.5rem; font-size: 0.9em; }
                 .stats-grid > div { background: rgba(0,0,0,0.3); padding: 0.3rem; border-radius: 0.3rem; }
+                .run-seed { text-align: center; margin-top: 1rem; font-size: 0.7em; color: #888; }
             `;
             document.head.appendChild(style);
         }
-        
-        console.log('Game Controller: Game over', gameData);
     }
     
     levelComplete() {
         this.isPaused = true;
+        this.clock.pause();
+        
+        this.events.emit(GameEvents.LEVEL_COMPLETED, { level: this.player.level });
+        
+        console.log(`Game Controller: Level ${this.player.level} completed`);
+        
+        // Nobody can press continue in a headless game
+        if (this.headless && this.autoContinue) {
+            this.continueToNextLevel();
+            return;
+        }
         
         // Show level complete modal
-        this.modalTitle.textContent = `LEVEL ${this.player.level} COMPLETE!`;
-        this.modalText.innerHTML = `
+        this.showModal(`LEVEL ${this.player.level} COMPLETE!`, `
             <div class="level-complete">
                 <div>Excellent work, Commander!</div>
                 <div class="level-stats">
@@ -360,20 +542,16 @@ class GameController {
                     <div>Bonus Earned: ${this.player.totalDepthBonusEarned.toLocaleString()}</div>
                 </div>
             </div>
-        `;
-        this.startButton.textContent = `CONTINUE TO LEVEL ${this.player.level + 1}`;
-        this.startButton.onclick = () => {
-            this.player.setLevel(this.player.level + 1);
-            this.player.setWave(1);
-            this.modal.style.display = 'none';
-            this.resume();
-        };
-        this.modal.style.display = 'flex';
-        
-        // Play level complete sound
-        this.audioManager.play('levelComplete');
+        `, `CONTINUE TO LEVEL ${this.player.level + 1}`, () => this.continueToNextLevel());
+    }
+    
+    // The level complete screen's button: the only way out of it
+    continueToNextLevel() {
+        if (!this.gameRunning || !this.gameFlow.levelFinished) return;
         
-        console.log(`Game Controller: Level ${this.player.level} completed`);
+        this.gameFlow.startLevel(this.player.level + 1);
+        this.hideModal();
+        this.resume();
     }
     
     // Main game loop
@@ -381,138 +559,263 @@ class GameController {
         if (!this.gameRunning) return;
         
         const currentTime = performance.now();
-        this.deltaTime = (currentTime - this.lastFrameTime) / 1000; // Convert to seconds
+        const frameTime = (currentTime - this.lastFrameTime) / 1000; // Convert to seconds
         this.lastFrameTime = currentTime;
         
-        // Cap delta time to prevent large jumps
-        this.deltaTime = Math.min(this.deltaTime, 1/30); // Max 30fps minimum
-        
         // Update performance monitor
         this.performanceMonitor.update(currentTime);
+        this.profiler.beginFrame(currentTime);
         
-        // Update game if not paused
-        if (!this.isPaused) {
-            this.updateGame();
-        }
+        // Advance the simulation if not paused
+        const steps = this.isPaused ? 0 : this.step(frameTime);
+        
+        // Render scene between the last two simulation states
+        this.profiler.begin('render');
+        this.sceneManager.render(this.accumulator / this.fixedDeltaTime);
+        this.profiler.end('render');
+        this.hud.update();
         
-        // Render scene
-        this.sceneManager.render();
+        const renderStats = this.sceneManager.getRenderStats();
+        this.performanceMonitor.updateMetrics({
+            drawCalls: renderStats.drawCalls,
+            triangles: renderStats.triangles
+        });
+        this.profiler.endFrame({
+            frameTime: frameTime * 1000,
+            steps,
+            drawCalls: renderStats.drawCalls,
+            triangles: renderStats.triangles,
+            entities: this.sceneManager.getEntityCounts()
+        });
+        this.profilerOverlay.update(currentTime);
         
-        // Check performance and adjust quality if needed
+        // Adjust quality to the frame rate, and refresh the metrics
+        this.quality.update(currentTime);
         this.checkPerformance();
         
         // Continue loop
-        requestAnimationFrame(() => this.gameLoop());
+        this.animationFrameId = requestAnimationFrame(() => this.gameLoop());
     }
     
-    updateGame() {
+    // Advance the simulation by deltaTime seconds of real time in fixed steps.
+    // Needs no renderer; returns the number of steps taken.
+    step(deltaTime) {
+        if (!this.gameRunning || this.isPaused) return 0;
+        
+        this.accumulator += this.clock.scale(Math.min(deltaTime, this.maxFrameTime));
+        
+        let steps = 0;
+        while (this.accumulator >= this.fixedDeltaTime) {
+            // Replayed input lands between the same steps it was recorded between
+            if (this.replayPlayer) {
+                this.replayPlayer.applyDue(this.clock.ticks, this.inputHandler);
+            }
+            
+            this.updateGame(this.fixedDeltaTime);
+            this.accumulator -= this.fixedDeltaTime;
+            steps++;
+            
+            // Game over or level complete stops the remaining steps
+            if (!this.gameRunning || this.isPaused) break;
+        }
+        
+        return steps;
+    }
+    
+    updateGame(deltaTime) {
+        this.clock.tick(deltaTime);
+        
         // Update core systems
+        this.profiler.begin('flow');
+        this.scheduler.update();
         this.gameFlow.update();
         this.powerUpManager.update();
-        this.inputHandler.update(this.deltaTime);
-        
-        // Update scene
-        this.sceneManager.update(this.deltaTime);
+        this.profiler.end('flow');
         
-        // Handle spawning
-        this.handleSpawning();
+        this.profiler.begin('input');
+        this.inputHandler.update(deltaTime);
+        this.profiler.end('input');
         
-        // Check game conditions
-        this.checkGameConditions();
+        // Update scene (times its own scene and collision sections)
+        this.sceneManager.update(deltaTime);
     }
     
-    handleSpawning() {
+    checkPerformance() {
         const currentTime = Date.now();
+        if (currentTime - this.lastPerformanceCheck < 5000) return; // Check every 5 seconds
+        
+        // Update performance metrics
+        const pools = this.sceneManager.getPoolStats();
+        this.performanceMonitor.updateMetrics({
+            activeObjects: this.sceneManager.balloons.length + 
+                           this.sceneManager.enemies.length + 
+                           this.sceneManager.projectiles.length,
+            pooledObjects: Object.values(pools).reduce((total, pool) => total + pool.pooled, 0),
+            pools,
+            qualityTier: this.quality.tier
+        });
         
-        // Spawn balloons
-        const balloonRate = this.calculateBalloonSpawnRate();
-        if (currentTime - this.lastBalloonSpawn > balloonRate) {
-            this.sceneManager.spawnBalloon();
-            this.lastBalloonSpawn = currentTime;
+        this.lastPerformanceCheck = currentTime;
+    }
+    
+    // Replays
+    // Start a new game driven by a recorded replay (JSON text or object)
+    async playReplay(data) {
+        try {
+            this.replayPlayer = new ReplayPlayer(data);
+        } catch (error) {
+            console.error('Game Controller: Invalid replay', error);
+            if (this.headless) throw error;
+            return false;
         }
         
-        // Spawn enemies (starting from wave 2)
-        if (this.player.wave >= 2) {
-            const enemyRate = this.calculateEnemySpawnRate();
-            if (currentTime - this.lastEnemySpawn > enemyRate) {
-                this.sceneManager.spawnEnemy();
-                this.lastEnemySpawn = currentTime;
+        const [width, height] = this.replayPlayer.replay.viewport || [];
+        if (width !== window.innerWidth || height !== window.innerHeight) {
+            console.warn(`Game Controller: Replay was recorded at ${width}x${height}; playback may diverge`);
+        }
+        
+        // Stop a game in progress before starting over
+        this.gameRunning = false;
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        
+        await this.startGame();
+        return true;
+    }
+    
+    loadReplayFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => this.playReplay(reader.result);
+        reader.readAsText(file);
+    }
+    
+    finishReplay(gameData) {
+        const ticks = this.clock.ticks;
+        
+        // Input from the final steps may still be queued
+        this.inputHandler.processInputQueue(true);
+        
+        if (this.replayPlayer) {
+            this.lastReplayResult = this.replayPlayer.verify(gameData.score, ticks);
+            if (this.lastReplayResult.matches) {
+                console.log('Game Controller: Replay reproduced the recorded result');
+            } else {
+                console.warn('Game Controller: Replay diverged', this.lastReplayResult);
             }
+            
+            this.inputHandler.isReplaying = false;
+            this.replayPlayer = null;
+        } else {
+            this.lastReplay = this.recorder.finish(gameData.score, ticks);
         }
     }
     
-    calculateBalloonSpawnRate() {
-        // Increase spawn rate with level and wave
-        const baseRate = this.balloonSpawnRate;
-        const levelMultiplier = Math.max(0.5, 1 - (this.player.level - 1) * 0.1);
-        const waveMultiplier = Math.max(0.3, 1 - (this.player.wave - 1) * 0.05);
-        
-        return baseRate * levelMultiplier * waveMultiplier;
+    // Serialized replay of the last finished run (or the one in progress)
+    exportReplay() {
+        const replay = this.lastReplay || this.recorder.getReplay();
+        return replay ? ReplayFormat.serialize(replay) : null;
     }
     
-    calculateEnemySpawnRate() {
-        // Increase enemy spawn rate with level and wave
-        const baseRate = this.enemySpawnRate;
-        const levelMultiplier = Math.max(0.4, 1 - (this.player.level - 1) * 0.15);
-        const waveMultiplier = Math.max(0.5, 1 - (this.player.wave - 1) * 0.1);
-        
-        return baseRate * levelMultiplier * waveMultiplier;
+    downloadReplay() {
+        const data = this.exportReplay();
+        if (!data) return;
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([data], { type: 'application/json' }));
+        link.download = `ceiling-pop-replay-${this.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
     }
     
-    checkGameConditions() {
-        // Check for level completion (boss waves)
-        if (this.gameFlow.isBossWave() && this.sceneManager.enemies.length === 0) {
-            // All enemies defeated in boss wave
-            this.levelComplete();
-        }
+    // Turn one of the depth cues (fog, tint, markers, ruler) on or off
+    setDepthCueEnabled(name, enabled) {
+        if (!DEPTH_CUE_NAMES.includes(name)) return;
         
-        // Check for automatic wave progression
-        if (!this.gameFlow.isBossWave() && this.gameFlow.getWaveProgress() >= 1) {
-            this.gameFlow.advanceWave();
-        }
+        this.depthCueSettings[name] = enabled;
+        this.sceneManager.depthCues.apply();
+        this.hud.updateDepthRulerVisibility();
     }
     
-    checkPerformance() {
-        const currentTime = Date.now();
-        if (currentTime - this.lastPerformanceCheck < 5000) return; // Check every 5 seconds
+    // Turn every depth cue off, or all back on if any are off
+    toggleDepthCues() {
+        const enabled = DEPTH_CUE_NAMES.some(name => !this.depthCueSettings[name]);
+        DEPTH_CUE_NAMES.forEach(name => this.setDepthCueEnabled(name, enabled));
+        console.log(`Game Controller: Depth cues ${enabled ? 'on' : 'off'}`);
+    }
+    
+    // Turn every post effect off, or all back on if any are off (the quality
+    // tier still decides which can run)
+    togglePostEffects() {
+        const enabled = this.sceneManager.disabledEffects.length > 0;
+        POST_EFFECT_NAMES.forEach(name => this.sceneManager.setEffectEnabled(name, enabled));
+        console.log(`Game Controller: Post effects ${enabled ? 'on' : 'off'}`);
+    }
+    
+    // Off -> anaglyph -> side-by-side -> cross-eye -> off
+    cycleStereoMode() {
+        const index = (STEREO_MODES.indexOf(this.stereoSettings.mode) + 1) % STEREO_MODES.length;
+        this.stereoSettings.mode = STEREO_MODES[index];
         
-        const fps = this.performanceMonitor.fps;
-        
-        if (this.adaptiveQuality) {
-            if (fps < 30 && this.qualitySettings.particleCount > 10) {
-                // Reduce quality
-                this.qualitySettings.particleCount = Math.max(10, this.qualitySettings.particleCount - 5);
-                console.log('Game Controller: Reduced particle count for performance');
-            } else if (fps > 55 && this.qualitySettings.particleCount < 30) {
-                // Increase quality
-                this.qualitySettings.particleCount = Math.min(30, this.qualitySettings.particleCount + 2);
-                console.log('Game Controller: Increased particle count');
-            }
+        if (!this.sceneManager.stereo) {
+            console.log('Game Controller: Stereo views need WebGL');
+            return;
         }
+        console.log(`Game Controller: Stereo ${this.stereoSettings.mode}`);
+    }
+    
+    // Step the eye separation or convergence distance up (1) or down (-1)
+    adjustStereo(name, direction) {
+        const limits = STEREO_LIMITS[name];
+        const value = this.stereoSettings[name] + limits.step * direction;
         
-        // Update performance metrics
-        this.performanceMonitor.updateMetrics({
-            activeObjects: this.sceneManager.balloons.length + 
-                           this.sceneManager.enemies.length + 
-                           this.sceneManager.projectiles.length,
-            pooledObjects: this.sceneManager.particles.length
-        });
-        
-        this.lastPerformanceCheck = currentTime;
+        this.stereoSettings[name] = MathUtils.clamp(Number(value.toFixed(2)), limits.min, limits.max);
+        console.log(`Game Controller: Stereo ${name} ${this.stereoSettings[name]}`);
     }
     
     // Debug methods
+    // The profiling overlay takes the FPS counter's place while it is open
     toggleDebugMode() {
+        this.debugMode = !this.debugMode;
+        this.profiler.enabled = this.debugMode || this.profiler.isCapturing();
+        this.profilerOverlay.setVisible(this.debugMode);
+        
         const fpsCounter = document.getElementById('fps-counter');
         if (fpsCounter) {
-            fpsCounter.style.display = fpsCounter.style.display === 'none' ? 'block' : 'none';
+            fpsCounter.style.display = this.debugMode ? 'none' : 'block';
         }
     }
     
+    // Start capturing a profiler trace, or stop and download the one running
+    toggleTraceCapture() {
+        if (!this.profiler.isCapturing()) {
+            this.profiler.enabled = true;
+            this.profiler.startCapture({
+                seed: this.seed,
+                qualityTier: this.quality.tier,
+                viewport: [window.innerWidth, window.innerHeight],
+                userAgent: navigator.userAgent
+            });
+            console.log('Game Controller: Capturing profiler trace (F7 again to stop)');
+            return;
+        }
+        
+        const trace = this.profiler.stopCapture();
+        this.profiler.enabled = this.debugMode;
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(trace)], { type: 'application/json' }));
+        link.download = `ceiling-pop-trace-${Date.now()}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
     logGameState() {
         console.log('=== GAME STATE DEBUG ===');
         console.log('Game Running:', this.gameRunning);
         console.log('Is Paused:', this.isPaused);
+        console.log('Seed:', this.seed);
         console.log('Player:', this.player.getGameData());
         console.log('Active Objects:', {
             balloons: this.sceneManager.balloons.length,
@@ -520,6 +823,7 @@ class GameController {
             projectiles: this.sceneManager.projectiles.length,
             particles: this.sceneManager.particles.length
         });
+        console.log('Resources:', this.sceneManager.getResourceReport());
         console.log('Performance:', {
             fps: this.performanceMonitor.fps,
             frameTime: this.performanceMonitor.getAverageFrameTime()
@@ -538,15 +842,9 @@ class GameController {
         if (this.inputHandler) this.inputHandler.dispose();
         if (this.audioManager) this.audioManager.dispose();
         
-        // Clear global references
-        window.sceneManager = null;
-        window.audioManager = null;
-        window.inputHandler = null;
-        window.performanceMonitor = null;
-        window.gameController = null;
-        window.player = null;
-        window.powerUpManager = null;
-        window.gameFlow = null;
+        // Drop pending tasks and every subscription
+        this.scheduler.cancelAll();
+        this.events.clear();
         
         console.log('Game Controller: Disposal complete');
     }
@@ -556,7 +854,7 @@ class GameController {
 document.addEventListener('DOMContentLoaded', () => {
     console.log('DOM loaded, initializing game...');
     
-    // Create global game controller
+    // Create the page's game controller (also used by the debug shortcuts)
     window.gameController = new GameController();
     
     // Add debug keyboard shortcuts
@@ -569,6 +867,14 @@ document.addEventListener('DOMContentLoaded', () => {
             e.preventDefault();
             window.gameController.logGameState();
         }
+        if (e.key === 'F6') {
+            e.preventDefault();
+            window.gameController.downloadReplay();
+        }
+        if (e.key === 'F7') {
+            e.preventDefault();
+            window.gameController.toggleTraceCapture();
+        }
     });
 });
 
@@ -576,6 +882,7 @@ document.addEventListener('DOMContentLoaded', () => {
 window.addEventListener('beforeunload', () => {
     if (window.gameController) {
         window.gameController.dispose();
+        window.gameController = null;
     }
 });
 
@@ -0,0 +1,134 @@
+/**
+ * Particle System for 3D Ceiling Pop
+ * Draws particles and stars as batches of round, soft-edged point sprites,
+ * one draw call per batch, with per-sprite colour, size and opacity
+ */
+
+const ParticleShaders = {
+    vertex: `
+        attribute vec3 tint;
+        attribute float size;
+        attribute float alpha;
+        
+        uniform float pointScale;
+        
+        varying vec3 vTint;
+        varying float vAlpha;
+        
+        void main() {
+            vTint = tint;
+            vAlpha = alpha;
+            
+            vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+            
+            // size is the sprite's diameter in world units; never let it vanish
+            gl_PointSize = max(1.0, size * pointScale / -mvPosition.z);
+            gl_Position = projectionMatrix * mvPosition;
+        }
+    `,
+    
+    fragment: `
+        varying vec3 vTint;
+        varying float vAlpha;
+        
+        void main() {
+            // Round sprite, brightest in the middle like a lit sphere
+            float radius = length(gl_PointCoord - vec2(0.5)) * 2.0;
+            if (radius > 1.0) discard;
+            
+            gl_FragColor = vec4(vTint, vAlpha * (1.0 - radius * radius));
+        }
+    `
+};
+
+// Sprites are written fresh every frame: begin(), add() each one, end()
+class ParticleBatch {
+    constructor(scene, capacity = 256) {
+        this.scene = scene;
+        this.capacity = 0;
+        this.count = 0;
+        
+        this.geometry = new THREE.BufferGeometry();
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                pointScale: { value: 1 }
+            },
+            vertexShader: ParticleShaders.vertex,
+            fragmentShader: ParticleShaders.fragment,
+            transparent: true,
+            depthWrite: false
+        });
+        
+        this.allocate(capacity);
+        
+        this.points = new THREE.Points(this.geometry, this.material);
+        this.points.frustumCulled = false; // Sprites move every frame; bounds would go stale
+        this.scene.add(this.points);
+    }
+    
+    // (Re)create the attribute buffers, keeping what is already written
+    allocate(capacity) {
+        const buffers = {
+            position: new Float32Array(capacity * 3),
+            tint: new Float32Array(capacity * 3),
+            size: new Float32Array(capacity),
+            alpha: new Float32Array(capacity)
+        };
+        
+        Object.entries(buffers).forEach(([name, array]) => {
+            const old = this.geometry.getAttribute(name);
+            if (old) array.set(old.array);
+            
+            const attribute = new THREE.BufferAttribute(array, array.length / capacity);
+            attribute.setUsage(THREE.DynamicDrawUsage);
+            this.geometry.setAttribute(name, attribute);
+        });
+        
+        this.capacity = capacity;
+    }
+    
+    // Pixels per world unit at distance 1, for the current viewport and camera
+    setViewport(height, fov) {
+        this.material.uniforms.pointScale.value = height / (2 * Math.tan(THREE.MathUtils.degToRad(fov) / 2));
+    }
+    
+    begin() {
+        this.count = 0;
+    }
+    
+    // color is { r, g, b } in 0-255 like ColorUtils; size is a diameter in world units
+    add(position, color, size, opacity) {
+        if (this.count === this.capacity) {
+            this.allocate(this.capacity * 2);
+        }
+        
+        const i = this.count++;
+        const attributes = this.geometry.attributes;
+        
+        attributes.position.array[i * 3] = position.x;
+        attributes.position.array[i * 3 + 1] = position.y;
+        attributes.position.array[i * 3 + 2] = position.z;
+        attributes.tint.array[i * 3] = color.r / 255;
+        attributes.tint.array[i * 3 + 1] = color.g / 255;
+        attributes.tint.array[i * 3 + 2] = color.b / 255;
+        attributes.size.array[i] = size;
+        attributes.alpha.array[i] = opacity;
+    }
+    
+    end() {
+        this.geometry.setDrawRange(0, this.count);
+        Object.values(this.geometry.attributes).forEach(attribute => {
+            attribute.needsUpdate = true;
+        });
+    }
+    
+    dispose() {
+        this.scene.remove(this.points);
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+// Export globally
+window.ParticleShaders = ParticleShaders;
+window.ParticleBatch = ParticleBatch;
\ No newline at end of file
@@ -0,0 +1,470 @@
+/**
+ * Post-Processing for 3D Ceiling Pop
+ * Renders the scene to a texture and runs it through a chain of full-screen
+ * passes (bloom, chromatic aberration, vignette, screen flash) on its way out
+ */
+
+// Every effect in the chain, in the order it is applied
+const POST_EFFECT_NAMES = ['bloom', 'chromatic', 'vignette', 'flash'];
+
+const PostShaders = {
+    // Full-screen triangle pair; positions are already in clip space
+    vertex: `
+        varying vec2 vUv;
+        
+        void main() {
+            vUv = uv;
+            gl_Position = vec4(position.xy, 0.0, 1.0);
+        }
+    `,
+    
+    // Keeps only what is bright enough to glow
+    brightPass: `
+        uniform sampler2D inputTexture;
+        uniform float threshold;
+        
+        varying vec2 vUv;
+        
+        void main() {
+            vec3 color = texture2D(inputTexture, vUv).rgb;
+            float brightness = max(color.r, max(color.g, color.b));
+            gl_FragColor = vec4(color * smoothstep(threshold, threshold + 0.25, brightness), 1.0);
+        }
+    `,
+    
+    // One direction of a separable Gaussian blur, using linear filtering to
+    // read two texels per tap
+    blur: `
+        uniform sampler2D inputTexture;
+        uniform vec2 direction;
+        
+        varying vec2 vUv;
+        
+        void main() {
+            vec4 sum = texture2D(inputTexture, vUv) * 0.2270270270;
+            sum += texture2D(inputTexture, vUv + direction * 1.3846153846) * 0.3162162162;
+            sum += texture2D(inputTexture, vUv - direction * 1.3846153846) * 0.3162162162;
+            sum += texture2D(inputTexture, vUv + direction * 3.2307692308) * 0.0702702703;
+            sum += texture2D(inputTexture, vUv - direction * 3.2307692308) * 0.0702702703;
+            gl_FragColor = sum;
+        }
+    `,
+    
+    // The passes below may be the last in the chain, so they finish with the
+    // renderer's output encoding (a no-op when drawing into a render target)
+    bloomComposite: `
+        uniform sampler2D inputTexture;
+        uniform sampler2D bloomTexture;
+        uniform float strength;
+        
+        varying vec2 vUv;
+        
+        void main() {
+            vec3 color = texture2D(inputTexture, vUv).rgb + texture2D(bloomTexture, vUv).rgb * strength;
+            gl_FragColor = vec4(color, 1.0);
+            #include <encodings_fragment>
+        }
+    `,
+    
+    // Red and blue pulled apart towards the edges of the screen
+    chromatic: `
+        uniform sampler2D inputTexture;
+        uniform float amount;
+        
+        varying vec2 vUv;
+        
+        void main() {
+            vec2 offset = (vUv - 0.5) * amount;
+            vec4 color = texture2D(inputTexture, vUv);
+            color.r = texture2D(inputTexture, vUv + offset).r;
+            color.b = texture2D(inputTexture, vUv - offset).b;
+            gl_FragColor = vec4(color.rgb, 1.0);
+            #include <encodings_fragment>
+        }
+    `,
+    
+    vignette: `
+        uniform sampler2D inputTexture;
+        uniform float intensity;
+        uniform vec3 color;
+        
+        varying vec2 vUv;
+        
+        void main() {
+            vec3 scene = texture2D(inputTexture, vUv).rgb;
+            float edge = smoothstep(0.35, 1.0, length(vUv - 0.5) * 1.4142);
+            gl_FragColor = vec4(mix(scene, color, edge * intensity), 1.0);
+            #include <encodings_fragment>
+        }
+    `,
+    
+    flash: `
+        uniform sampler2D inputTexture;
+        uniform float amount;
+        uniform vec3 color;
+        
+        varying vec2 vUv;
+        
+        void main() {
+            vec3 scene = texture2D(inputTexture, vUv).rgb;
+            gl_FragColor = vec4(mix(scene, color, amount), 1.0);
+            #include <encodings_fragment>
+        }
+    `
+};
+
+// A full-screen pass reading the previous stage's output from inputTexture
+class PostPass {
+    constructor(fragmentShader, uniforms = {}) {
+        this.material = PostPass.createMaterial(fragmentShader, uniforms);
+    }
+    
+    static createMaterial(fragmentShader, uniforms = {}) {
+        return new THREE.ShaderMaterial({
+            uniforms: {
+                inputTexture: { value: null },
+                ...uniforms
+            },
+            vertexShader: PostShaders.vertex,
+            fragmentShader,
+            depthTest: false,
+            depthWrite: false,
+            toneMapped: false // The scene was tone mapped when it was drawn
+        });
+    }
+    
+    // Passes with nothing to show are skipped for the frame
+    isActive() {
+        return true;
+    }
+    
+    update(deltaTime) {}
+    
+    setSize(width, height) {}
+    
+    // output is a render target, or null for the screen
+    render(processor, input, output) {
+        this.material.uniforms.inputTexture.value = input.texture;
+        processor.renderQuad(this.material, output);
+    }
+    
+    dispose() {
+        this.material.dispose();
+    }
+}
+
+// Blurs the bright parts at half resolution and adds them back on top
+class BloomPass extends PostPass {
+    constructor() {
+        super(PostShaders.bloomComposite, {
+            bloomTexture: { value: null },
+            strength: { value: 0.9 }
+        });
+        
+        this.brightMaterial = PostPass.createMaterial(PostShaders.brightPass, {
+            threshold: { value: 0.6 }
+        });
+        this.blurMaterial = PostPass.createMaterial(PostShaders.blur, {
+            direction: { value: new THREE.Vector2() }
+        });
+        
+        // Each iteration blurs wider
+        this.iterations = 3;
+        this.width = 1;
+        this.height = 1;
+        
+        this.targetA = PostProcessor.createTarget(1, 1);
+        this.targetB = PostProcessor.createTarget(1, 1);
+    }
+    
+    setSize(width, height) {
+        this.width = Math.max(1, Math.floor(width / 2));
+        this.height = Math.max(1, Math.floor(height / 2));
+        this.targetA.setSize(this.width, this.height);
+        this.targetB.setSize(this.width, this.height);
+    }
+    
+    render(processor, input, output) {
+        this.brightMaterial.uniforms.inputTexture.value = input.texture;
+        processor.renderQuad(this.brightMaterial, this.targetA);
+        
+        const { uniforms } = this.blurMaterial;
+        for (let i = 0; i < this.iterations; i++) {
+            const spread = i + 1;
+            
+            uniforms.inputTexture.value = this.targetA.texture;
+            uniforms.direction.value.set(spread / this.width, 0);
+            processor.renderQuad(this.blurMaterial, this.targetB);
+            
+            uniforms.inputTexture.value = this.targetB.texture;
+            uniforms.direction.value.set(0, spread / this.height);
+            processor.renderQuad(this.blurMaterial, this.targetA);
+        }
+        
+        this.material.uniforms.bloomTexture.value = this.targetA.texture;
+        super.render(processor, input, output);
+    }
+    
+    dispose() {
+        super.dispose();
+        this.brightMaterial.dispose();
+        this.blurMaterial.dispose();
+        this.targetA.dispose();
+        this.targetB.dispose();
+    }
+}
+
+// Kicked when the player takes damage, then settles back
+class ChromaticAberrationPass extends PostPass {
+    constructor() {
+        super(PostShaders.chromatic, {
+            amount: { value: 0 }
+        });
+        
+        this.amount = 0;
+        this.decayRate = 0.05; // Offset lost per second
+    }
+    
+    // strength is the colour offset at the screen's edge, in screen widths
+    trigger(strength) {
+        this.amount = Math.max(this.amount, strength);
+    }
+    
+    isActive() {
+        return this.amount > 0;
+    }
+    
+    update(deltaTime) {
+        this.amount = Math.max(0, this.amount - this.decayRate * deltaTime);
+        this.material.uniforms.amount.value = this.amount;
+    }
+}
+
+// Darkens the edges of the screen, pulsing while health is low
+class VignettePass extends PostPass {
+    constructor() {
+        super(PostShaders.vignette, {
+            intensity: { value: 0 },
+            color: { value: new THREE.Color(0x660000) }
+        });
+        
+        this.level = 0;
+        this.intensity = 0;
+        this.time = 0;
+    }
+    
+    // 0 for none, 1 for full strength
+    setLevel(level) {
+        this.level = MathUtils.clamp(level, 0, 1);
+    }
+    
+    isActive() {
+        return this.intensity > 0.001;
+    }
+    
+    update(deltaTime) {
+        this.time += deltaTime;
+        
+        // Ease towards the level so health changes don't snap
+        this.intensity += (this.level - this.intensity) * Math.min(1, deltaTime * 4);
+        if (this.level === 0 && this.intensity < 0.001) this.intensity = 0;
+        
+        const pulse = 0.8 + Math.sin(this.time * 6) * 0.2;
+        this.material.uniforms.intensity.value = this.intensity * pulse;
+    }
+}
+
+// Fills the screen with a colour that fades out
+class FlashPass extends PostPass {
+    constructor() {
+        super(PostShaders.flash, {
+            amount: { value: 0 },
+            color: { value: new THREE.Color() }
+        });
+        
+        this.amount = 0;
+        this.fadeRate = 1; // Amount lost per second
+    }
+    
+    // duration in seconds
+    trigger(color, duration, strength = 0.8) {
+        this.material.uniforms.color.value.set(color);
+        this.amount = strength;
+        this.fadeRate = strength / duration;
+    }
+    
+    isActive() {
+        return this.amount > 0;
+    }
+    
+    update(deltaTime) {
+        this.amount = Math.max(0, this.amount - this.fadeRate * deltaTime);
+        this.material.uniforms.amount.value = this.amount;
+    }
+}
+
+// Owns the render targets and runs whichever passes are allowed and active.
+// An effect runs only if the quality tier allows it and the player hasn't
+// turned it off; with none running the scene goes straight to the screen.
+class PostProcessor {
+    // options.antialias multisamples the scene target where WebGL 2 allows it;
+    // options.disabledEffects lists effects the player has turned off
+    constructor(renderer, options = {}) {
+        this.renderer = renderer;
+        
+        this.passes = {
+            bloom: new BloomPass(),
+            chromatic: new ChromaticAberrationPass(),
+            vignette: new VignettePass(),
+            flash: new FlashPass()
+        };
+        
+        this.allowedEffects = new Set();
+        this.disabledEffects = new Set(options.disabledEffects || []);
+        
+        // The scene is drawn into sceneTarget, then passes ping-pong between it and spareTarget
+        this.sceneTarget = this.createSceneTarget(options.antialias);
+        this.spareTarget = PostProcessor.createTarget(1, 1, { type: this.getTextureType() });
+        
+        // Passes draw a single quad that covers the screen
+        this.quadScene = new THREE.Scene();
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+        this.quad.frustumCulled = false;
+        this.quadScene.add(this.quad);
+        
+        // A frame takes several render calls; count them all in renderer.info
+        this.renderer.info.autoReset = false;
+        
+        this.drawingBufferSize = new THREE.Vector2();
+        this.updateSize();
+    }
+    
+    static createTarget(width, height, options = {}) {
+        const { samples = 0, depthBuffer = false, type = THREE.UnsignedByteType } = options;
+        const targetOptions = {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            format: THREE.RGBAFormat,
+            type,
+            depthBuffer,
+            stencilBuffer: false
+        };
+        
+        if (samples > 0) {
+            const target = new THREE.WebGLMultisampleRenderTarget(width, height, targetOptions);
+            target.samples = samples;
+            return target;
+        }
+        return new THREE.WebGLRenderTarget(width, height, targetOptions);
+    }
+    
+    // Multisampled where WebGL 2 allows it and antialias is on
+    createSceneTarget(antialias) {
+        const multisample = antialias && this.renderer.capabilities.isWebGL2;
+        return PostProcessor.createTarget(1, 1, {
+            depthBuffer: true,
+            samples: multisample ? 4 : 0,
+            type: this.getTextureType()
+        });
+    }
+    
+    // Rebuild the scene target with or without multisampling
+    setAntialias(antialias) {
+        this.sceneTarget.dispose();
+        this.sceneTarget = this.createSceneTarget(antialias);
+        this.updateSize();
+    }
+    
+    // Half floats keep dark gradients from banding in the linear intermediates
+    getTextureType() {
+        const { capabilities, extensions } = this.renderer;
+        return capabilities.isWebGL2 || extensions.has('EXT_color_buffer_half_float') ?
+            THREE.HalfFloatType : THREE.UnsignedByteType;
+    }
+    
+    // Match the renderer's drawing buffer (call after a resize or pixel ratio change)
+    updateSize() {
+        const { x: width, y: height } = this.renderer.getDrawingBufferSize(this.drawingBufferSize);
+        
+        this.sceneTarget.setSize(width, height);
+        this.spareTarget.setSize(width, height);
+        Object.values(this.passes).forEach(pass => pass.setSize(width, height));
+    }
+    
+    // Effects the current quality tier allows
+    setAllowedEffects(names) {
+        this.allowedEffects = new Set(names);
+    }
+    
+    setEffectEnabled(name, enabled) {
+        if (enabled) {
+            this.disabledEffects.delete(name);
+        } else {
+            this.disabledEffects.add(name);
+        }
+    }
+    
+    isEffectEnabled(name) {
+        return this.allowedEffects.has(name) && !this.disabledEffects.has(name);
+    }
+    
+    // Advance timed effects (fades, pulses)
+    update(deltaTime) {
+        Object.values(this.passes).forEach(pass => pass.update(deltaTime));
+    }
+    
+    // stereo, if given, draws the scene once per eye in place of the single view
+    render(scene, camera, stereo = null) {
+        this.renderer.info.reset();
+        
+        const active = POST_EFFECT_NAMES
+            .filter(name => this.isEffectEnabled(name) && this.passes[name].isActive())
+            .filter(name => !stereo || !stereo.suppressesEffect(name))
+            .map(name => this.passes[name]);
+        
+        if (active.length === 0) {
+            this.renderScene(scene, camera, stereo, null);
+            return;
+        }
+        
+        this.renderScene(scene, camera, stereo, this.sceneTarget);
+        
+        let input = this.sceneTarget;
+        let output = this.spareTarget;
+        active.forEach((pass, index) => {
+            const last = index === active.length - 1;
+            pass.render(this, input, last ? null : output);
+            [input, output] = [output, input];
+        });
+    }
+    
+    renderScene(scene, camera, stereo, target) {
+        if (stereo) {
+            stereo.render(scene, camera, target);
+        } else {
+            this.renderer.setRenderTarget(target);
+            this.renderer.render(scene, camera);
+        }
+    }
+    
+    renderQuad(material, target) {
+        this.quad.material = material;
+        this.renderer.setRenderTarget(target);
+        this.renderer.render(this.quadScene, this.quadCamera);
+    }
+    
+    dispose() {
+        Object.values(this.passes).forEach(pass => pass.dispose());
+        this.sceneTarget.dispose();
+        this.spareTarget.dispose();
+        this.quad.geometry.dispose();
+        this.renderer.info.autoReset = true;
+    }
+}
+
+// Export globally
+window.POST_EFFECT_NAMES = POST_EFFECT_NAMES;
+window.PostShaders = PostShaders;
+window.PostPass = PostPass;
+window.PostProcessor = PostProcessor;
\ No newline at end of file
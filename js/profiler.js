@@ -0,0 +1,239 @@
+/**
+ * Profiler for 3D Ceiling Pop
+ * Times each subsystem's share of a frame, keeps a short history for the
+ * debug overlay, and can capture a longer trace to export as JSON
+ */
+
+// Subsystems timed each frame, in the order they run
+const PROFILER_SECTIONS = ['input', 'flow', 'scene', 'collisions', 'render'];
+
+class Profiler {
+    constructor(historySize = 240) {
+        // Timing costs a little, so it only runs while someone is looking
+        this.enabled = false;
+        
+        // Ring buffer of the most recent frames, oldest first from historyIndex
+        this.history = new Array(historySize).fill(null);
+        this.historyIndex = 0;
+        
+        this.frame = null;
+        this.starts = {};
+        
+        // Trace being captured, if any; capped at about a minute at 60fps
+        this.trace = null;
+        this.maxTraceFrames = 3600;
+    }
+    
+    beginFrame(now) {
+        if (!this.enabled) return;
+        
+        const sections = {};
+        PROFILER_SECTIONS.forEach(name => {
+            sections[name] = 0;
+        });
+        this.frame = { time: now, frameTime: 0, steps: 0, sections };
+    }
+    
+    // Sections may be entered several times a frame; their times add up
+    begin(section) {
+        if (!this.frame) return;
+        this.starts[section] = performance.now();
+    }
+    
+    end(section) {
+        if (!this.frame) return;
+        this.frame.sections[section] += performance.now() - this.starts[section];
+    }
+    
+    // details: frameTime, steps and anything else worth keeping with the frame
+    endFrame(details) {
+        const frame = this.frame;
+        if (!frame) return;
+        
+        Object.assign(frame, details);
+        this.frame = null;
+        
+        this.history[this.historyIndex] = frame;
+        this.historyIndex = (this.historyIndex + 1) % this.history.length;
+        
+        if (this.trace) {
+            if (this.trace.frames.length < this.maxTraceFrames) {
+                this.trace.frames.push(frame);
+            } else {
+                this.trace.truncated = true;
+            }
+        }
+    }
+    
+    // Recorded frames, oldest first
+    getHistory() {
+        return [
+            ...this.history.slice(this.historyIndex),
+            ...this.history.slice(0, this.historyIndex)
+        ].filter(Boolean);
+    }
+    
+    // Average time (ms) per section over the recorded frames
+    getAverages() {
+        const frames = this.getHistory();
+        const averages = { frameTime: 0 };
+        PROFILER_SECTIONS.forEach(name => {
+            averages[name] = 0;
+        });
+        if (frames.length === 0) return averages;
+        
+        frames.forEach(frame => {
+            averages.frameTime += frame.frameTime;
+            PROFILER_SECTIONS.forEach(name => {
+                averages[name] += frame.sections[name];
+            });
+        });
+        Object.keys(averages).forEach(key => {
+            averages[key] /= frames.length;
+        });
+        return averages;
+    }
+    
+    isCapturing() {
+        return this.trace !== null;
+    }
+    
+    // info: anything describing the session, stored with the trace
+    startCapture(info = {}) {
+        this.trace = {
+            version: 1,
+            startedAt: new Date().toISOString(),
+            sections: PROFILER_SECTIONS,
+            ...info,
+            truncated: false,
+            frames: []
+        };
+    }
+    
+    // Returns the captured trace, or null if nothing was being captured
+    stopCapture() {
+        const trace = this.trace;
+        this.trace = null;
+        return trace;
+    }
+}
+
+// Debug panel: renderer statistics, per-subsystem CPU time, entity counts,
+// pool sizes and a frame-time graph
+class ProfilerOverlay {
+    constructor(game) {
+        this.game = game;
+        this.visible = false;
+        
+        this.panelEl = document.getElementById('profiler-overlay');
+        this.statsEl = document.getElementById('profiler-stats');
+        this.graphEl = document.getElementById('profiler-graph');
+        this.graphContext = this.graphEl ? this.graphEl.getContext('2d') : null;
+        
+        // Refresh the text a few times a second; the graph every frame
+        this.textInterval = 250;
+        this.lastTextUpdate = 0;
+        
+        // The graph's top edge, in milliseconds
+        this.graphScale = 50;
+        this.sectionColors = {
+            input: '#ff66ff',
+            flow: '#ffff00',
+            scene: '#00ffff',
+            collisions: '#ff6600',
+            render: '#00ff00'
+        };
+    }
+    
+    setVisible(visible) {
+        this.visible = visible;
+        this.lastTextUpdate = 0;
+        if (this.panelEl) this.panelEl.classList.toggle('hidden', !visible);
+    }
+    
+    // Called once per rendered frame
+    update(now) {
+        if (!this.visible || !this.panelEl) return;
+        
+        this.drawGraph();
+        
+        if (now - this.lastTextUpdate >= this.textInterval) {
+            this.statsEl.textContent = this.getStatsText();
+            this.lastTextUpdate = now;
+        }
+    }
+    
+    getStatsText() {
+        const { profiler, performanceMonitor, sceneManager, quality } = this.game;
+        const averages = profiler.getAverages();
+        const renderStats = sceneManager.getRenderStats();
+        const format = (ms) => ms.toFixed(2).padStart(6);
+        
+        const lines = [
+            `FPS ${performanceMonitor.fps}  frame ${averages.frameTime.toFixed(1)} ms  quality ${quality.tier}`,
+            `${sceneManager.rendererType} draw calls ${renderStats.drawCalls}  triangles ${renderStats.triangles}`,
+            `geometries ${renderStats.geometries}  textures ${renderStats.textures}`,
+            '',
+            'CPU (ms/frame)'
+        ];
+        PROFILER_SECTIONS.forEach(name => {
+            lines.push(`  ${name.padEnd(11)}${format(averages[name])}`);
+        });
+        
+        lines.push('', 'Entities');
+        Object.entries(sceneManager.getEntityCounts()).forEach(([name, count]) => {
+            lines.push(`  ${name.padEnd(11)}${String(count).padStart(6)}`);
+        });
+        
+        lines.push('', 'Pools (active / idle)');
+        Object.entries(sceneManager.getPoolStats()).forEach(([name, pool]) => {
+            lines.push(`  ${name.padEnd(18)}${pool.active} / ${pool.pooled}`);
+        });
+        
+        if (profiler.isCapturing()) {
+            lines.push('', `Capturing trace: ${profiler.trace.frames.length} frames`);
+        }
+        return lines.join('\n');
+    }
+    
+    // One column per frame: the frame time in grey with each section's CPU
+    // time stacked on top of it in colour
+    drawGraph() {
+        const ctx = this.graphContext;
+        if (!ctx) return;
+        
+        const { width, height } = this.graphEl;
+        const frames = this.game.profiler.getHistory();
+        const barWidth = width / this.game.profiler.history.length;
+        const toHeight = (ms) => Math.min(height, (ms / this.graphScale) * height);
+        
+        ctx.clearRect(0, 0, width, height);
+        
+        frames.forEach((frame, i) => {
+            const x = i * barWidth;
+            
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+            const frameHeight = toHeight(frame.frameTime);
+            ctx.fillRect(x, height - frameHeight, barWidth, frameHeight);
+            
+            let y = height;
+            PROFILER_SECTIONS.forEach(name => {
+                const sectionHeight = toHeight(frame.sections[name]);
+                y -= sectionHeight;
+                ctx.fillStyle = this.sectionColors[name];
+                ctx.fillRect(x, y, barWidth, sectionHeight);
+            });
+        });
+        
+        // 60fps and 30fps budgets
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        [1000 / 60, 1000 / 30].forEach(ms => {
+            ctx.fillRect(0, height - toHeight(ms), width, 1);
+        });
+    }
+}
+
+// Export globally
+window.PROFILER_SECTIONS = PROFILER_SECTIONS;
+window.Profiler = Profiler;
+window.ProfilerOverlay = ProfilerOverlay;
\ No newline at end of file
@@ -0,0 +1,145 @@
+/**
+ * Quality Manager for 3D Ceiling Pop
+ * Picks a quality tier for the device and steps it down or back up at
+ * runtime from measured frame times, unless the player has chosen a tier
+ */
+
+// Lowest to highest
+const QualityTiers = {
+    low: {
+        renderScale: 0.6,
+        shadowsEnabled: false,
+        antialiasing: false,
+        starCount: 50,
+        maxParticles: 100,
+        maxVoices: 4, // Shared out between every polyphonic synth
+        postEffects: []
+    },
+    medium: {
+        renderScale: 0.8,
+        shadowsEnabled: false,
+        antialiasing: false,
+        starCount: 100,
+        maxParticles: 200,
+        maxVoices: 8,
+        postEffects: ['chromatic', 'vignette', 'flash']
+    },
+    high: {
+        renderScale: 1.0,
+        shadowsEnabled: true,
+        antialiasing: true,
+        starCount: 200,
+        maxParticles: 500,
+        maxVoices: 16,
+        postEffects: ['bloom', 'chromatic', 'vignette', 'flash']
+    }
+};
+
+const QUALITY_TIER_NAMES = Object.keys(QualityTiers);
+
+class QualityManager {
+    // options.override: a tier name to lock to, or 'auto'
+    constructor(game, options = {}) {
+        this.game = game;
+        
+        // Never adapt above the tier the device is rated for
+        this.ceiling = DeviceUtils.getQualityTier();
+        this.override = this.isTier(options.override) ? options.override : null;
+        this.tier = this.override || this.ceiling;
+        this.settings = { ...QualityTiers[this.tier] };
+        
+        // Average frame times (ms) that count as too slow or comfortably fast,
+        // and how long (ms) they have to last before the tier changes
+        this.slowFrameTime = 1000 / 45;
+        this.fastFrameTime = 1000 / 58;
+        this.downgradeDelay = 2000;
+        this.baseUpgradeDelay = 5000;
+        this.maxUpgradeDelay = 60000;
+        this.upgradeDelay = this.baseUpgradeDelay;
+        
+        this.slowSince = null;
+        this.fastSince = null;
+        this.lastUpgradeTime = -Infinity;
+    }
+    
+    isTier(name) {
+        return QUALITY_TIER_NAMES.includes(name);
+    }
+    
+    isAdaptive() {
+        return !this.override;
+    }
+    
+    // Called once per rendered frame with the frame's timestamp
+    update(now) {
+        if (this.override) return;
+        
+        const frameTime = this.game.performanceMonitor.getAverageFrameTime();
+        
+        if (frameTime > this.slowFrameTime) {
+            this.fastSince = null;
+            if (this.slowSince === null) this.slowSince = now;
+            if (now - this.slowSince >= this.downgradeDelay) this.stepTier(-1, now);
+        } else if (frameTime < this.fastFrameTime) {
+            this.slowSince = null;
+            if (this.fastSince === null) this.fastSince = now;
+            if (now - this.fastSince >= this.upgradeDelay) this.stepTier(1, now);
+        } else {
+            // In the comfortable band: hold the current tier
+            this.slowSince = null;
+            this.fastSince = null;
+        }
+    }
+    
+    stepTier(direction, now) {
+        this.slowSince = null;
+        this.fastSince = null;
+        
+        const index = QUALITY_TIER_NAMES.indexOf(this.tier) + direction;
+        if (index < 0 || index > QUALITY_TIER_NAMES.indexOf(this.ceiling)) return;
+        
+        if (direction > 0) {
+            this.lastUpgradeTime = now;
+        } else if (now - this.lastUpgradeTime < this.upgradeDelay) {
+            // The last upgrade didn't hold up; wait longer before trying again
+            this.upgradeDelay = Math.min(this.maxUpgradeDelay, this.upgradeDelay * 2);
+        }
+        
+        this.setTier(QUALITY_TIER_NAMES[index]);
+        console.log(`Quality Manager: ${direction > 0 ? 'Raised' : 'Lowered'} quality to ${this.tier}`);
+    }
+    
+    // Lock to a tier chosen by the player, or pass null to go back to automatic
+    setOverride(tier) {
+        this.override = this.isTier(tier) ? tier : null;
+        this.slowSince = null;
+        this.fastSince = null;
+        this.upgradeDelay = this.baseUpgradeDelay;
+        
+        this.setTier(this.override || this.ceiling);
+        console.log(`Quality Manager: ${this.override ? `Locked to ${this.tier}` : 'Automatic'} quality`);
+    }
+    
+    // Automatic -> low -> medium -> high -> automatic
+    cycleOverride() {
+        const index = this.override ? QUALITY_TIER_NAMES.indexOf(this.override) + 1 : 0;
+        this.setOverride(QUALITY_TIER_NAMES[index] || null);
+    }
+    
+    setTier(tier) {
+        this.tier = tier;
+        this.settings = { ...QualityTiers[tier] };
+        this.apply();
+    }
+    
+    // Push the current settings to every system that uses them
+    apply() {
+        const { sceneManager, audioManager } = this.game;
+        if (sceneManager) sceneManager.applyQuality(this.settings);
+        if (audioManager) audioManager.setMaxVoices(this.settings.maxVoices);
+    }
+}
+
+// Export globally
+window.QualityTiers = QualityTiers;
+window.QualityManager = QualityManager;
\ No newline at end of file
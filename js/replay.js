@@ -0,0 +1,188 @@
+/**
+ * Input Recording and Replay for 3D Ceiling Pop
+ * Captures player input against simulation ticks so a run can be
+ * reproduced exactly from its seed
+ */
+
+// Serialized replay layout:
+// {
+//   version, seed, simulationRate,
+//   viewport: [width, height],
+//   pointer: [x, y],        // pointer position when the run started
+//   events: [[tickDelta, code, ...args], ...],
+//   result: { score, ticks }
+// }
+// tickDelta counts simulation steps since the previous event.
+const ReplayFormat = {
+    VERSION: 1,
+    
+    // Short event codes keep replays small
+    CODES: {
+        pointerStart: 's',
+        pointerMove: 'm',
+        pointerEnd: 'e',
+        pointerCancel: 'c',
+        keyDown: 'd',
+        keyUp: 'u',
+        inputReset: 'r'
+    },
+    
+    serialize: (replay) => JSON.stringify(replay),
+    
+    // Accepts JSON text or an already parsed object; throws on bad data
+    parse: (data) => {
+        const replay = typeof data === 'string' ? JSON.parse(data) : data;
+        
+        if (!replay || replay.version !== ReplayFormat.VERSION) {
+            throw new Error(`Replay: unsupported version ${replay ? replay.version : 'none'}`);
+        }
+        if (!Number.isFinite(replay.seed)) {
+            throw new Error('Replay: missing seed');
+        }
+        if (!Array.isArray(replay.events)) {
+            throw new Error('Replay: missing events');
+        }
+        
+        return replay;
+    }
+};
+
+class InputRecorder {
+    constructor() {
+        this.isRecording = false;
+        this.replay = null;
+        this.lastTick = 0;
+    }
+    
+    start(seed, options = {}) {
+        this.replay = {
+            version: ReplayFormat.VERSION,
+            seed,
+            simulationRate: options.simulationRate,
+            viewport: [window.innerWidth, window.innerHeight],
+            pointer: options.pointer ? [options.pointer.x, options.pointer.y] : null,
+            events: [],
+            result: null
+        };
+        this.lastTick = 0;
+        this.isRecording = true;
+    }
+    
+    // Takes an input entry as queued by InputHandler ({ type, tick, data })
+    record(input) {
+        if (!this.isRecording) return;
+        
+        const code = ReplayFormat.CODES[input.type];
+        if (!code) return;
+        
+        const events = this.replay.events;
+        const last = events[events.length - 1];
+        
+        // Only the latest pointer position within a tick can affect the game
+        if (code === 'm' && last && last[1] === 'm' && input.tick === this.lastTick) {
+            last[2] = input.data.x;
+            last[3] = input.data.y;
+            return;
+        }
+        
+        const event = [input.tick - this.lastTick, code];
+        if (input.data && input.data.key !== undefined) {
+            event.push(input.data.key);
+        } else if (input.data && input.data.x !== undefined) {
+            event.push(input.data.x, input.data.y);
+        }
+        
+        events.push(event);
+        this.lastTick = input.tick;
+    }
+    
+    finish(score, ticks) {
+        if (!this.replay) return null;
+        
+        this.replay.result = { score, ticks };
+        this.isRecording = false;
+        return this.replay;
+    }
+    
+    getReplay() {
+        return this.replay;
+    }
+}
+
+class ReplayPlayer {
+    constructor(data) {
+        this.replay = ReplayFormat.parse(data);
+        this.seed = this.replay.seed;
+        this.index = 0;
+        this.nextTick = this.replay.events.length > 0 ? this.replay.events[0][0] : Infinity;
+    }
+    
+    // Restore the pointer position the recording started from
+    applyInitialState(inputHandler) {
+        if (this.replay.pointer) {
+            inputHandler.lastPointerPosition = { x: this.replay.pointer[0], y: this.replay.pointer[1] };
+        }
+    }
+    
+    // Feed every event recorded at or before this tick to the input handler
+    applyDue(tick, inputHandler) {
+        const events = this.replay.events;
+        
+        while (this.index < events.length && this.nextTick <= tick) {
+            this.dispatch(events[this.index], inputHandler);
+            this.index++;
+            if (this.index < events.length) {
+                this.nextTick += events[this.index][0];
+            }
+        }
+    }
+    
+    dispatch(event, inputHandler) {
+        const [, code, a, b] = event;
+        
+        switch (code) {
+            case 's':
+                inputHandler.beginPointer({ x: a, y: b });
+                break;
+            case 'm':
+                inputHandler.movePointer({ x: a, y: b });
+                break;
+            case 'e':
+                inputHandler.endPointer({ x: a, y: b });
+                break;
+            case 'c':
+                inputHandler.cancelPointer();
+                break;
+            case 'd':
+                inputHandler.pressKey(a);
+                break;
+            case 'u':
+                inputHandler.releaseKey(a);
+                break;
+            case 'r':
+                inputHandler.clearInputState();
+                break;
+            default:
+                console.warn(`Replay: unknown event code ${code}`);
+        }
+    }
+    
+    isFinished() {
+        return this.index >= this.replay.events.length;
+    }
+    
+    // Compare a finished playback against the recorded result
+    verify(score, ticks) {
+        const expected = this.replay.result;
+        return {
+            expected,
+            actual: { score, ticks },
+            matches: !!expected && expected.score === score && expected.ticks === ticks
+        };
+    }
+}
+
+// Export globally
+window.ReplayFormat = ReplayFormat;
+window.InputRecorder = InputRecorder;
+window.ReplayPlayer = ReplayPlayer;
\ No newline at end of file
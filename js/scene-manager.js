@@ -3,26 +3,95 @@
  * Manages Three.js scene, camera, lighting, and all 3D objects
  */
 
+// Renderers SceneManager can draw with, best first. Each factory takes the
+// canvas and quality settings and throws if it can't run on this machine.
+// Whatever it returns must offer the parts of THREE.WebGLRenderer's surface
+// the game uses: domElement, info, shadowMap, setSize, setPixelRatio,
+// getPixelRatio, setClearColor, render(scene, camera) and dispose().
+const SceneRenderers = {
+    webgl: (canvas, settings) => new THREE.WebGLRenderer({
+        canvas,
+        antialias: settings.antialiasing,
+        alpha: false,
+        powerPreference: "high-performance"
+    }),
+    canvas: (canvas) => new CanvasRenderer(canvas)
+};
+
+// Stand-in for THREE.WebGLRenderer in headless mode (no GPU or DOM needed)
+class NullRenderer {
+    constructor() {
+        this.domElement = null;
+        this.shadowMap = { enabled: false, type: null };
+        this.info = {
+            render: { calls: 0, triangles: 0 },
+            memory: { geometries: 0, textures: 0 }
+        };
+        this.pixelRatio = 1;
+    }
+    
+    setSize() {}
+    
+    setPixelRatio(ratio) {
+        this.pixelRatio = ratio;
+    }
+    
+    getPixelRatio() {
+        return this.pixelRatio;
+    }
+    
+    setClearColor() {}
+    
+    render() {}
+    
+    dispose() {}
+}
+
 class SceneManager {
-    constructor(canvas) {
+    constructor(canvas, game, options = {}) {
         this.canvas = canvas;
+        this.game = game;
+        this.clock = game.clock;
+        this.scheduler = game.scheduler;
+        this.events = game.events;
+        this.headless = !!options.headless;
+        this.disabledEffects = options.disabledEffects || []; // Post effects the player turned off
+        this.requestedRenderer = options.renderer || null; // Tried before the others
+        this.rendererType = null; // Key in SceneRenderers, or 'null' headless
         this.scene = null;
         this.camera = null;
+        this.worldBounds = null;
         this.renderer = null;
+        this.contextLost = false; // Nothing can be drawn until the browser restores it
+        this.onContextLost = null;
+        this.onContextRestored = null;
         this.geometryCache = new GeometryCache();
+        this.materialCache = new MaterialCache();
         
         // Game objects
         this.balloons = [];
         this.enemies = [];
+        this.bosses = []; // At most one, kept in an array like the others
         this.projectiles = [];
         this.particles = [];
         this.stars = [];
         this.miniShips = [];
         this.effects = [];
         
-        // Object pools for performance
+        // Particles and stars are drawn in batches, one draw call each
+        this.particleBatch = null;
+        this.starBatch = null;
+        this.postProcessor = null; // WebGL only
+        this.stereo = null; // Likewise; draws through the post processor
+        this.depthCues = null;
+        this.batchPosition = new THREE.Vector3();
+        
+        // Object pools for every transient entity type
+        this.balloonPool = null;
+        this.enemyPool = null;
         this.particlePool = null;
         this.projectilePool = null;
+        this.enemyProjectilePool = null;
         
         // Lighting
         this.ambientLight = null;
@@ -34,44 +103,83 @@ class SceneManager {
         this.depthVisionEffect = null;
         this.vortexAmplifierActive = false;
         
-        // Quality settings
-        this.qualitySettings = DeviceUtils.getQualitySettings();
+        // Quality settings, kept current by the game's quality manager
+        this.qualitySettings = game.quality.settings;
         
-        // Performance tracking
-        this.lastCleanupTime = 0;
-        this.cleanupInterval = 5000; // Cleanup every 5 seconds
+        // Broadphase for balloons and enemies, rebuilt lazily after they move
+        this.targetHash = new SpatialHash(10);
+        this.targetHashDirty = true;
+        this.collisionCandidates = [];
+        this.sweepStart = new THREE.Vector3();
         
         this.init();
     }
     
     init() {
         this.setupRenderer();
+        this.setupContextLossHandling();
         this.setupScene();
         this.setupCamera();
         this.setupLighting();
         this.setupObjectPools();
+        this.setupParticleBatches();
         this.createStarField();
         this.setupPostProcessing();
+        this.subscribe();
         
         console.log('Scene Manager: Initialization complete');
     }
     
+    subscribe() {
+        const events = this.events;
+        
+        events.on(GameEvents.ENEMY_FIRED, (event) => this.createEnemyProjectile(event));
+        events.on(GameEvents.BALLOON_POPPED, ({ balloon }) => this.checkVortexChain(balloon));
+        events.on(GameEvents.BALLOON_POPPED, ({ balloon }) => this.checkBombBlast(balloon));
+        events.on(GameEvents.PLAYER_DAMAGED, () => this.addCameraShake(0.5));
+        events.on(GameEvents.PLAYER_DAMAGED, () => this.showDamageEffect());
+        events.on(GameEvents.PLAYER_UPDATED, ({ player }) => this.showHealthEffect(player));
+        events.on(GameEvents.PLAYER_HEALED, () => this.showHealEffect());
+        events.on(GameEvents.BOSS_WAVE_STARTED, () => this.showBossArrivalEffect());
+        events.on(GameEvents.BOSS_PHASE_CHANGED, () => this.showBossPhaseEffect());
+        events.on(GameEvents.POWER_UP_ACTIVATED, ({ type }) => this.activatePowerUpEffect(type));
+        events.on(GameEvents.POWER_UP_DEACTIVATED, ({ type }) => this.deactivatePowerUpEffect(type));
+        events.on(GameEvents.POWER_UP_TRIGGERED, ({ type }) => this.triggerPowerUp(type));
+    }
+    
     setupRenderer() {
-        this.renderer = new THREE.WebGLRenderer({
-            canvas: this.canvas,
-            antialias: this.qualitySettings.antialiasing,
-            alpha: false,
-            powerPreference: "high-performance"
-        });
+        if (this.headless) {
+            this.renderer = new NullRenderer();
+            this.rendererType = 'null';
+            return;
+        }
         
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2) * this.qualitySettings.renderScale);
+        // Fall back through the others when one can't be created (no GPU,
+        // WebGL blocked by policy)
+        const types = Object.keys(SceneRenderers);
+        if (types.includes(this.requestedRenderer)) {
+            types.splice(types.indexOf(this.requestedRenderer), 1);
+            types.unshift(this.requestedRenderer);
+        }
         
-        // Enable shadows if supported
-        if (this.qualitySettings.shadowsEnabled) {
-            this.renderer.shadowMap.enabled = true;
-            this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        this.renderer = null;
+        for (const type of types) {
+            try {
+                this.renderer = SceneRenderers[type](this.canvas, this.qualitySettings);
+                this.rendererType = type;
+                break;
+            } catch (error) {
+                console.warn(`Scene Manager: ${type} renderer unavailable`, error);
+            }
         }
+        if (!this.renderer) {
+            throw new Error('No renderer could be created');
+        }
+        console.log(`Scene Manager: Rendering with ${this.rendererType}`);
+        
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.setPixelRatio(this.getPixelRatio());
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
         
         // Set background color
         this.renderer.setClearColor(0x000000, 1);
@@ -81,14 +189,74 @@ class SceneManager {
         this.renderer.toneMappingExposure = 1.2;
     }
     
+    // Browsers may drop the WebGL context at any time (mobile ones do when
+    // memory runs short). Cancelling the lost event lets it be restored.
+    setupContextLossHandling() {
+        if (!this.renderer.isWebGLRenderer) return;
+        
+        this.onContextLost = (event) => {
+            event.preventDefault();
+            this.handleContextLost();
+        };
+        this.onContextRestored = () => this.handleContextRestored();
+        
+        this.canvas.addEventListener('webglcontextlost', this.onContextLost);
+        this.canvas.addEventListener('webglcontextrestored', this.onContextRestored);
+    }
+    
+    handleContextLost() {
+        console.warn('Scene Manager: WebGL context lost');
+        this.contextLost = true;
+        this.events.emit(GameEvents.CONTEXT_LOST);
+    }
+    
+    handleContextRestored() {
+        console.log('Scene Manager: WebGL context restored, rebuilding graphics');
+        this.rebuildGraphics();
+        this.contextLost = false;
+        this.events.emit(GameEvents.CONTEXT_RESTORED);
+    }
+    
+    // Recreate everything that lived on the GPU - renderer, caches, meshes,
+    // sprite batches and post-processing - from the simulation state, which
+    // the context loss never touched
+    rebuildGraphics() {
+        if (this.postProcessor) this.postProcessor.dispose();
+        if (this.stereo) this.stereo.dispose();
+        this.starBatch.dispose();
+        this.particleBatch.dispose();
+        this.depthCues.dispose();
+        
+        const oldGeometryCache = this.geometryCache;
+        const oldMaterialCache = this.materialCache;
+        this.geometryCache = new GeometryCache();
+        this.materialCache = new MaterialCache();
+        
+        const owners = this.getMeshOwners();
+        owners.forEach(owner => owner.rebuildMesh(this.geometryCache, this.materialCache));
+        oldGeometryCache.dispose();
+        oldMaterialCache.dispose();
+        
+        this.renderer.dispose();
+        this.setupRenderer();
+        
+        this.depthCues = new DepthCues(this.scene, this.game.depthCueSettings);
+        owners.forEach(owner => this.depthCues.patchObject(owner));
+        this.setupParticleBatches();
+        this.setupPostProcessing();
+        this.setShadowsEnabled(this.qualitySettings.shadowsEnabled);
+    }
+    
     setupScene() {
         this.scene = new THREE.Scene();
         
-        // Add fog for depth perception
-        this.scene.fog = new THREE.Fog(0x000000, 50, 200);
+        // Fog, depth tint and floor markers for depth perception
+        this.depthCues = new DepthCues(this.scene, this.game.depthCueSettings);
         
-        // Add background (space nebula effect)
-        this.createSpaceBackground();
+        // Add background (space nebula effect); it is drawn on a DOM canvas
+        if (!this.headless) {
+            this.createSpaceBackground();
+        }
     }
     
     setupCamera() {
@@ -105,6 +273,9 @@ class SceneManager {
         
         // Add subtle camera movement for immersion
         this.cameraBasePosition = this.camera.position.clone();
+        
+        // What the camera can see at each depth; spawns and culling use it
+        this.worldBounds = new WorldBounds(this.camera, this.cameraBasePosition.z);
         this.cameraShake = { x: 0, y: 0, intensity: 0 };
     }
     
@@ -117,14 +288,11 @@ class SceneManager {
         this.directionalLight = new THREE.DirectionalLight(0xffffff, 1.5);
         this.directionalLight.position.set(0, 0, 1);
         this.directionalLight.target.position.set(0, 0, 0);
-        
-        if (this.qualitySettings.shadowsEnabled) {
-            this.directionalLight.castShadow = true;
-            this.directionalLight.shadow.mapSize.width = 1024;
-            this.directionalLight.shadow.mapSize.height = 1024;
-            this.directionalLight.shadow.camera.near = 0.5;
-            this.directionalLight.shadow.camera.far = 100;
-        }
+        this.directionalLight.shadow.mapSize.width = 1024;
+        this.directionalLight.shadow.mapSize.height = 1024;
+        this.directionalLight.shadow.camera.near = 0.5;
+        this.directionalLight.shadow.camera.far = 100;
+        this.setShadowsEnabled(this.qualitySettings.shadowsEnabled);
         
         this.scene.add(this.directionalLight);
         this.scene.add(this.directionalLight.target);
@@ -154,42 +322,157 @@ class SceneManager {
     }
     
     setupObjectPools() {
-        // Particle pool
-        this.particlePool = new ObjectPool(
-            () => new Particle3D(this.scene, this.geometryCache),
-            (particle) => {
-                particle.isAlive = true;
-                particle.age = 0;
-                if (particle.mesh) {
-                    particle.mesh.visible = true;
-                }
-            },
+        const geometryCache = this.geometryCache;
+        const materialCache = this.materialCache;
+        
+        this.balloonPool = this.createPool(
+            () => new Balloon3D(this.game, this.scene, geometryCache, materialCache), 20
+        );
+        this.enemyPool = this.createPool(
+            () => new EnemyDrone3D(this.game, this.scene, geometryCache, materialCache), 10
+        );
+        this.kamikazePool = this.createPool(
+            () => new Kamikaze3D(this.game, this.scene, geometryCache, materialCache), 6
+        );
+        this.splitterPool = this.createPool(
+            () => new Splitter3D(this.game, this.scene, geometryCache, materialCache), 6
+        );
+        this.carrierPool = this.createPool(
+            () => new Carrier3D(this.game, this.scene, geometryCache, materialCache), 2
+        );
+        this.particlePool = this.createPool(
+            () => new Particle3D(),
             this.qualitySettings.maxParticles / 4
         );
-        
-        // Projectile pool
-        this.projectilePool = new ObjectPool(
-            () => new Projectile3D(this.scene, this.geometryCache),
-            (projectile) => {
-                projectile.isAlive = true;
-                projectile.age = 0;
-                if (projectile.mesh) {
-                    projectile.mesh.visible = true;
-                }
+        this.projectilePool = this.createPool(
+            () => new Projectile3D(this.game, this.scene, geometryCache, materialCache, 'player'), 50
+        );
+        this.enemyProjectilePool = this.createPool(
+            () => new Projectile3D(this.game, this.scene, geometryCache, materialCache, 'enemy'), 20
+        );
+    }
+    
+    // Pooled objects wait out of the scene and keep their mesh resources
+    // until the pool is disposed
+    createPool(create, initialSize) {
+        return new ObjectPool(
+            () => {
+                const object = create();
+                object.pooled = true;
+                this.depthCues.patchObject(object);
+                object.reset();
+                return object;
             },
-            50
+            (object) => object.reset(),
+            initialSize
         );
     }
     
+    getPools() {
+        return {
+            balloons: this.balloonPool,
+            enemies: this.enemyPool,
+            kamikazes: this.kamikazePool,
+            splitters: this.splitterPool,
+            carriers: this.carrierPool,
+            particles: this.particlePool,
+            projectiles: this.projectilePool,
+            enemyProjectiles: this.enemyProjectilePool
+        };
+    }
+    
+    // Return a dead object to the pool it came from
+    recycle(object) {
+        if (!object.pooled) return;
+        
+        if (object instanceof Balloon3D) {
+            this.balloonPool.release(object);
+        } else if (object instanceof EnemyDrone3D) {
+            this.enemyPool.release(object);
+        } else if (object instanceof Kamikaze3D) {
+            this.kamikazePool.release(object);
+        } else if (object instanceof Splitter3D) {
+            this.splitterPool.release(object);
+        } else if (object instanceof Carrier3D) {
+            this.carrierPool.release(object);
+        } else if (object instanceof Particle3D) {
+            this.particlePool.release(object);
+        } else if (object instanceof Projectile3D) {
+            const pool = object.owner === 'enemy' ? this.enemyProjectilePool : this.projectilePool;
+            pool.release(object);
+        }
+    }
+    
+    // In use / waiting counts for each pool
+    getPoolStats() {
+        const stats = {};
+        Object.entries(this.getPools()).forEach(([name, pool]) => {
+            stats[name] = { active: pool.getActiveCount(), pooled: pool.getPoolCount() };
+        });
+        return stats;
+    }
+    
+    setupParticleBatches() {
+        this.starBatch = new ParticleBatch(this.scene, this.qualitySettings.starCount);
+        this.particleBatch = new ParticleBatch(this.scene, this.qualitySettings.maxParticles);
+        this.updateBatchViewports();
+    }
+    
+    // Sprite sizes depend on the drawing buffer height and the camera's field of view
+    updateBatchViewports() {
+        const height = window.innerHeight * this.renderer.getPixelRatio();
+        this.starBatch.setViewport(height, this.camera.fov);
+        this.particleBatch.setViewport(height, this.camera.fov);
+    }
+    
     createStarField() {
-        const starCount = this.qualitySettings.starCount;
-        
-        for (let i = 0; i < starCount; i++) {
-            const star = new Star3D(this.scene, this.geometryCache);
-            this.stars.push(star);
+        this.setStarCount(this.qualitySettings.starCount);
+        console.log(`Scene Manager: Created ${this.stars.length} stars`);
+    }
+    
+    setStarCount(count) {
+        while (this.stars.length < count) {
+            this.stars.push(new Star3D());
         }
+        this.stars.length = count;
+    }
+    
+    // Device pixels per CSS pixel for the current render scale
+    getPixelRatio() {
+        return Math.min(window.devicePixelRatio, 2) * this.qualitySettings.renderScale;
+    }
+    
+    setShadowsEnabled(enabled) {
+        this.renderer.shadowMap.enabled = enabled;
+        this.directionalLight.castShadow = enabled;
         
-        console.log(`Scene Manager: Created ${starCount} stars`);
+        // Materials compile differently with shadows on, so rebuild them
+        this.scene.traverse(object => {
+            if (object.material) object.material.needsUpdate = true;
+        });
+    }
+    
+    // Switch to new quality settings at runtime. The screen's own antialiasing
+    // is fixed when the WebGL context is created, so frames drawn straight to
+    // it only pick a change up on the next one; post-processed frames are
+    // multisampled in the scene target, which is rebuilt right away.
+    applyQuality(settings) {
+        const previous = this.qualitySettings;
+        this.qualitySettings = settings;
+        
+        if (settings.renderScale !== previous.renderScale) {
+            this.renderer.setPixelRatio(this.getPixelRatio());
+            this.updateBatchViewports();
+            if (this.postProcessor) this.postProcessor.updateSize();
+        }
+        if (settings.shadowsEnabled !== previous.shadowsEnabled) {
+            this.setShadowsEnabled(settings.shadowsEnabled);
+        }
+        if (settings.antialiasing !== previous.antialiasing && this.postProcessor) {
+            this.postProcessor.setAntialias(settings.antialiasing);
+        }
+        this.setStarCount(settings.starCount);
+        if (this.postProcessor) this.postProcessor.setAllowedEffects(settings.postEffects);
     }
     
     createSpaceBackground() {
@@ -209,9 +492,9 @@ class SceneManager {
         // Add stars
         ctx.fillStyle = '#ffffff';
         for (let i = 0; i < 200; i++) {
-            const x = Math.random() * 512;
-            const y = Math.random() * 512;
-            const size = Math.random() * 2;
+            const x = MathUtils.random(0, 512);
+            const y = MathUtils.random(0, 512);
+            const size = MathUtils.random(0, 2);
             ctx.beginPath();
             ctx.arc(x, y, size, 0, Math.PI * 2);
             ctx.fill();
@@ -228,29 +511,113 @@ class SceneManager {
         const texture = new THREE.CanvasTexture(canvas);
         const backgroundMaterial = new THREE.MeshBasicMaterial({
             map: texture,
-            side: THREE.BackSide
+            side: THREE.BackSide,
+            fog: false // Far beyond the fog; it would black the sky out
         });
         
         const backgroundMesh = new THREE.Mesh(backgroundGeometry, backgroundMaterial);
         this.scene.add(backgroundMesh);
     }
     
+    // Bloom and screen effects; which run depends on the quality tier
     setupPostProcessing() {
-        // Add bloom effect for enhanced visuals
-        // This is a simplified version - in a full implementation, you'd use EffectComposer
         this.renderer.outputEncoding = THREE.sRGBEncoding;
+        if (!this.renderer.isWebGLRenderer) return;
+        
+        this.postProcessor = new PostProcessor(this.renderer, {
+            antialias: this.qualitySettings.antialiasing,
+            disabledEffects: this.disabledEffects
+        });
+        this.postProcessor.setAllowedEffects(this.qualitySettings.postEffects);
+        this.stereo = new StereoRenderer(this.postProcessor, this.game.stereoSettings);
+    }
+    
+    // Whether the screen shows one view per half (side-by-side stereo)
+    isStereoSplit() {
+        return !!this.stereo && this.stereo.isSplit();
+    }
+    
+    // Let the player turn a post effect on or off, within what the tier allows.
+    // disabledEffects keeps the choice for a post processor rebuilt later.
+    setEffectEnabled(name, enabled) {
+        const index = this.disabledEffects.indexOf(name);
+        if (enabled && index !== -1) this.disabledEffects.splice(index, 1);
+        if (!enabled && index === -1) this.disabledEffects.push(name);
+        
+        if (this.postProcessor) this.postProcessor.setEffectEnabled(name, enabled);
+    }
+    
+    // Screen effects (no-ops without post-processing)
+    showDamageEffect() {
+        if (this.postProcessor) this.postProcessor.passes.chromatic.trigger(0.015);
+    }
+    
+    // The vignette creeps in below 30% health
+    showHealthEffect(player) {
+        if (!this.postProcessor) return;
+        
+        const health = player.health / player.maxHealth;
+        this.postProcessor.passes.vignette.setLevel(1 - health / 0.3);
+    }
+    
+    showHealEffect() {
+        if (this.postProcessor) this.postProcessor.passes.flash.trigger(0xff66cc, 0.3);
+    }
+    
+    showBossArrivalEffect() {
+        if (this.postProcessor) this.postProcessor.passes.flash.trigger(0xff00ff, 0.6);
+    }
+    
+    showBossPhaseEffect() {
+        this.addCameraShake(1);
+        if (this.postProcessor) this.postProcessor.passes.flash.trigger(0xff3300, 0.4);
     }
     
     // Game object creation methods
-    spawnBalloon() {
-        const balloon = new Balloon3D(this.scene, this.geometryCache);
+    
+    // Spawn one of the wave scripts' entities (see WaveScriptFormat.ENTITIES)
+    spawnEntity(entity, options) {
+        switch (entity) {
+            case 'balloon':
+                return this.spawnBalloon(options);
+            case 'drone':
+                return this.spawnEnemy(options);
+            case 'kamikaze':
+                return this.spawnEnemyFrom(this.kamikazePool, options);
+            case 'splitter':
+                return this.spawnEnemyFrom(this.splitterPool, options);
+            case 'carrier':
+                return this.spawnEnemyFrom(this.carrierPool, options);
+        }
+        return null;
+    }
+    
+    // Spawn an entity from somewhere other than its usual start, such as a
+    // carrier's bay or where a splitter or cluster balloon broke up
+    launchEntity(entity, position, options) {
+        const spawned = this.spawnEntity(entity, options);
+        spawned.setPosition(position.x, position.y, position.z);
+        return spawned;
+    }
+    
+    spawnBalloon(options) {
+        const balloon = this.balloonPool.acquire();
+        balloon.spawn(options);
         this.balloons.push(balloon);
+        this.targetHashDirty = true;
         return balloon;
     }
     
-    spawnEnemy() {
-        const enemy = new EnemyDrone3D(this.scene, this.geometryCache);
+    spawnEnemy(options) {
+        return this.spawnEnemyFrom(this.enemyPool, options);
+    }
+    
+    // Every kind of enemy shares the enemies list
+    spawnEnemyFrom(pool, options) {
+        const enemy = pool.acquire();
+        enemy.spawn(options);
         this.enemies.push(enemy);
+        this.targetHashDirty = true;
         return enemy;
     }
     
@@ -259,7 +626,8 @@ class SceneManager {
         this.removeMiniShips();
         
         for (let i = 0; i < count; i++) {
-            const miniShip = new MiniShip3D(this.scene, this.geometryCache, i);
+            const miniShip = new MiniShip3D(this.game, this.scene, this.geometryCache, this.materialCache, i);
+            this.depthCues.patchObject(miniShip);
             this.miniShips.push(miniShip);
         }
         
@@ -271,62 +639,110 @@ class SceneManager {
         this.miniShips = [];
     }
     
+    // Cosmetic only, so bursts are simply cut short at the quality limit
     createParticle(options) {
-        let particle = this.particlePool.acquire();
-        
-        // Reset particle properties
-        particle.size = options.size || MathUtils.random(0.05, 0.2);
-        particle.color = options.color || ColorUtils.randomVibrant();
-        particle.life = options.life || MathUtils.random(1, 3);
-        particle.maxAge = particle.life;
-        
-        if (options.position) particle.position.copy(options.position);
-        if (options.velocity) particle.velocity.copy(options.velocity);
-        
-        // Update mesh properties
-        if (particle.mesh) {
-            particle.mesh.material.color = ColorUtils.toThreeColor(particle.color);
-            particle.mesh.scale.setScalar(particle.size / 0.1); // Normalize scale
-            particle.mesh.visible = true;
-        }
+        if (this.particles.length >= this.qualitySettings.maxParticles) return null;
         
+        const particle = this.particlePool.acquire();
+        particle.spawn(options);
         this.particles.push(particle);
         return particle;
     }
     
     createPlayerProjectile(options) {
         const projectile = this.projectilePool.acquire();
-        projectile.owner = 'player';
         
         // Set starting position (from player/camera area)
         const startPos = new THREE.Vector3(0, 0, 15); // Player position
-        projectile.setPosition(startPos.x, startPos.y, startPos.z);
         
-        if (options.targetPosition) {
-            // Calculate direction FROM player TO target (not the other way around)
-            const direction = options.targetPosition.clone().sub(startPos).normalize();
-            projectile.setDirection(direction);
-        }
+        // Calculate direction FROM player TO target (not the other way around)
+        const direction = options.targetPosition ?
+            options.targetPosition.clone().sub(startPos).normalize() : null;
         
+        projectile.spawn(startPos, direction);
         this.projectiles.push(projectile);
         return projectile;
     }
     
     createEnemyProjectile(options) {
-        const projectile = new Projectile3D(this.scene, this.geometryCache, 'enemy');
+        const projectile = this.enemyProjectilePool.acquire();
         
-        if (options.position) projectile.setPosition(options.position.x, options.position.y, options.position.z);
-        
-        if (options.targetPosition) {
-            const direction = options.targetPosition.clone().sub(projectile.position).normalize();
-            projectile.setDirection(direction);
-        }
+        const direction = options.targetPosition ?
+            options.targetPosition.clone().sub(options.position).normalize() : null;
         
+        projectile.spawn(options.position, direction);
         this.projectiles.push(projectile);
         return projectile;
     }
     
     // Power-up effect methods
+    activatePowerUpEffect(type) {
+        switch (type) {
+            case 'MINI_SHIPS':
+                this.spawnMiniShips(3);
+                break;
+                
+            case 'SHIELD':
+                this.activateShieldEffect();
+                break;
+                
+            case 'DEPTH_VISION':
+                // Enhanced depth perception effect
+                this.activateDepthVision();
+                break;
+                
+            case 'VORTEX_AMPLIFIER':
+                // Increase chain reaction potential
+                this.activateVortexAmplifier();
+                break;
+        }
+    }
+    
+    deactivatePowerUpEffect(type) {
+        switch (type) {
+            case 'MINI_SHIPS':
+                this.removeMiniShips();
+                break;
+                
+            case 'SHIELD':
+                this.deactivateShieldEffect();
+                break;
+                
+            case 'DEPTH_VISION':
+                this.deactivateDepthVision();
+                break;
+                
+            case 'VORTEX_AMPLIFIER':
+                this.deactivateVortexAmplifier();
+                break;
+        }
+    }
+    
+    // Fire the active power-up's special action
+    triggerPowerUp(type) {
+        switch (type) {
+            case 'ENERGY_BEAM':
+                // Fire from the bottom of the screen to the current mouse/touch position
+                this.fireEnergyBeam(
+                    { x: window.innerWidth / 2, y: window.innerHeight },
+                    this.game.inputHandler.getLastPointerPosition()
+                );
+                break;
+                
+            case 'MINI_SHIPS':
+                this.triggerMiniShipVolley();
+                break;
+                
+            case 'DEPTH_VISION':
+                this.triggerDepthScan();
+                break;
+                
+            case 'VORTEX_AMPLIFIER':
+                this.triggerVortexBlast();
+                break;
+        }
+    }
+    
     activateShieldEffect() {
         if (this.shieldEffect) return;
         
@@ -407,7 +823,7 @@ class SceneManager {
     
     // Special effects
     fireEnergyBeam(startPos, endPos) {
-        if (!window.powerUpManager || !window.powerUpManager.isActive('ENERGY_BEAM')) return;
+        if (!this.game.powerUpManager.isActive('ENERGY_BEAM')) return;
         
         const start3D = this.screenToWorld(startPos.x, startPos.y, 15);
         const end3D = this.screenToWorld(endPos.x, endPos.y, -50);
@@ -424,19 +840,17 @@ class SceneManager {
         this.scene.add(beam);
         
         // Remove beam after short duration
-        setTimeout(() => {
+        const removeBeam = () => {
             this.scene.remove(beam);
             beamGeometry.dispose();
             beamMaterial.dispose();
-        }, 200);
+        };
+        this.scheduler.schedule(200, removeBeam, { onCancel: removeBeam });
         
         // Beam collision detection
         this.checkBeamCollisions(start3D, end3D);
         
-        // Play sound
-        if (window.audioManager) {
-            window.audioManager.play('laser');
-        }
+        this.events.emit(GameEvents.BEAM_FIRED, { start: start3D, end: end3D });
         
         console.log('Scene Manager: Energy beam fired');
     }
@@ -444,14 +858,12 @@ class SceneManager {
     checkBeamCollisions(start, end) {
         const direction = end.clone().sub(start).normalize();
         const distance = start.distanceTo(end);
-        
-        // Check collisions with balloons and enemies
-        const targets = [...this.balloons, ...this.enemies];
-        let hits = 0;
         const maxHits = 5;
         
-        targets.forEach(target => {
-            if (!target.isAlive || hits >= maxHits) return;
+        // Check collisions with balloons and enemies along the beam
+        const hits = [];
+        this.getTargetHash().querySegment(start, end, 0, []).forEach(target => {
+            if (!target.isAlive) return;
             
             // Simple ray-sphere intersection
             const toTarget = target.position.clone().sub(start);
@@ -464,32 +876,37 @@ class SceneManager {
             
             const hitRadius = target.radius || 2;
             if (distanceToRay <= hitRadius) {
-                target.destroy();
-                hits++;
-                
-                // Create impact particles
-                for (let i = 0; i < 10; i++) {
-                    this.createParticle({
-                        position: target.position.clone(),
-                        color: { r: 0, g: 255, b: 255 },
-                        size: MathUtils.random(0.1, 0.3),
-                        velocity: new THREE.Vector3(
-                            MathUtils.random(-5, 5),
-                            MathUtils.random(-5, 5),
-                            MathUtils.random(-3, 3)
-                        ),
-                        life: 1
-                    });
-                }
+                hits.push({ target, projectionLength });
+            }
+        });
+        
+        // The beam stops after maxHits targets, nearest first
+        hits.sort((a, b) => a.projectionLength - b.projectionLength);
+        hits.slice(0, maxHits).forEach(({ target }) => {
+            this.strikeTarget(target, 3);
+            
+            // Create impact particles
+            for (let i = 0; i < 10; i++) {
+                this.createParticle({
+                    position: target.position.clone(),
+                    color: { r: 0, g: 255, b: 255 },
+                    size: MathUtils.random(0.1, 0.3),
+                    velocity: new THREE.Vector3(
+                        MathUtils.random(-5, 5),
+                        MathUtils.random(-5, 5),
+                        MathUtils.random(-3, 3)
+                    ),
+                    life: 1
+                });
             }
         });
     }
     
     triggerMiniShipVolley() {
         this.miniShips.forEach((ship, index) => {
-            setTimeout(() => {
-                ship.triggerVolley();
-            }, index * 100);
+            this.scheduler.schedule(index * 100, () => {
+                if (ship.isAlive) ship.triggerVolley();
+            });
         });
     }
     
@@ -508,22 +925,17 @@ class SceneManager {
         this.scene.add(scan);
         
         // Animate scan
-        let scanRadius = 1;
-        const scanAnimation = () => {
-            scanRadius += 2;
-            scan.scale.setScalar(scanRadius);
-            scan.material.opacity = Math.max(0, 0.6 - scanRadius * 0.02);
-            
-            if (scanRadius < 50) {
-                requestAnimationFrame(scanAnimation);
-            } else {
-                this.scene.remove(scan);
-                scanGeometry.dispose();
-                scanMaterial.dispose();
-            }
+        const removeScan = () => {
+            this.scene.remove(scan);
+            scanGeometry.dispose();
+            scanMaterial.dispose();
         };
         
-        scanAnimation();
+        this.scheduler.tween(400, (progress) => {
+            const scanRadius = 1 + progress * 49;
+            scan.scale.setScalar(scanRadius);
+            scan.material.opacity = Math.max(0, 0.6 - scanRadius * 0.02);
+        }, { onComplete: removeScan, onCancel: removeScan });
         
         // Highlight targets in depth
         this.highlightTargetsByDepth();
@@ -541,42 +953,53 @@ class SceneManager {
             const depthFactor = Math.abs(target.position.z) / 100;
             const highlightColor = depthFactor > 0.5 ? 0xff0000 : 0x00ff00;
             
-            if (originalMaterial.emissive) {
+            // Groups (enemy drones) have no material of their own
+            if (originalMaterial && originalMaterial.emissive) {
                 originalMaterial.emissive.setHex(highlightColor);
-                setTimeout(() => {
-                    if (originalMaterial.emissive) {
+                const generation = target.generation;
+                this.scheduler.schedule(1000, () => {
+                    if (target.isAliveIn(generation)) {
                         originalMaterial.emissive.setHex(0x000000);
                     }
-                }, 1000);
+                });
             }
         });
     }
     
     triggerVortexBlast() {
         // Create a massive vortex effect at cursor position
-        if (!window.inputHandler) return;
-        
-        const pointerPos = window.inputHandler.getLastPointerPosition();
+        const pointerPos = this.game.inputHandler.getLastPointerPosition();
         const worldPos = this.screenToWorld(pointerPos.x, pointerPos.y, -20);
         
         this.createVortexEffect(worldPos, 15);
         
         // Find and chain-destroy nearby targets
-        const targets = [...this.balloons, ...this.enemies];
         const chainRadius = 15;
+        const targets = this.getTargetHash().queryRadius(worldPos, chainRadius, []);
         
         targets.forEach(target => {
             if (!target.isAlive) return;
             
             const distance = worldPos.distanceTo(target.position);
             if (distance <= chainRadius) {
-                setTimeout(() => {
-                    if (target.isAlive) target.destroy();
-                }, MathUtils.random(100, 500));
+                const generation = target.generation;
+                this.scheduler.schedule(this.game.random.range(100, 500), () => {
+                    if (target.isAliveIn(generation)) this.strikeTarget(target, 2);
+                });
             }
         });
     }
     
+    // Power-ups destroy ordinary targets outright but only wound the boss
+    strikeTarget(target, bossDamage) {
+        if (target instanceof Boss3D) {
+            target.takeDamage(bossDamage);
+        } else {
+            target.impactPoint = null; // Not a shot: burst from the centre
+            target.destroy();
+        }
+    }
+    
     createVortexEffect(position, radius) {
         // Create swirling particle effect
         for (let i = 0; i < 30; i++) {
@@ -600,29 +1023,102 @@ class SceneManager {
             });
         }
         
-        // Play vortex sound
-        if (window.audioManager) {
-            window.audioManager.play('vortexChain', { position: position });
-        }
+        this.events.emit(GameEvents.VORTEX_CREATED, { position: position.clone(), radius });
+    }
+    
+    // Popping a balloon with the vortex amplifier active damages its neighbours
+    checkVortexChain(balloon) {
+        if (!this.vortexAmplifierActive) return;
+        
+        const chainRadius = 8;
+        const nearbyBalloons = this.getTargetHash().queryRadius(balloon.position, chainRadius, [])
+            .filter(other => 
+                other instanceof Balloon3D && 
+                other !== balloon && 
+                other.isAlive && 
+                balloon.getDistance(other) < chainRadius
+            );
+        
+        if (nearbyBalloons.length === 0) return;
+        
+        // Trigger chain reaction
+        this.events.emit(GameEvents.VORTEX_CHAIN, {
+            position: balloon.position.clone(),
+            radius: chainRadius,
+            targets: nearbyBalloons
+        });
+        
+        // Create vortex effect
+        this.createVortexEffect(balloon.position, chainRadius);
+        
+        // Damage nearby balloons
+        nearbyBalloons.forEach(other => {
+            const generation = other.generation;
+            this.scheduler.schedule(this.game.random.range(100, 300), () => {
+                if (other.isAliveIn(generation)) other.hit();
+            });
+        });
     }
     
-    spawnBoss() {
-        // Create a larger, more powerful enemy
-        const boss = new EnemyDrone3D(this.scene, this.geometryCache);
-        boss.width *= 2;
-        boss.height *= 2;
-        boss.depth *= 2;
-        boss.health = 10;
-        boss.points = 500;
-        boss.speed *= 0.7; // Slower but more menacing
+    // Bomb balloons hit everything near them when popped, other bombs included
+    checkBombBlast(balloon) {
+        const blastRadius = BalloonTypes[balloon.type].blastRadius;
+        if (!blastRadius) return;
+        
+        const position = balloon.position.clone();
+        const targets = this.getTargetHash().queryRadius(position, blastRadius, [])
+            .filter(other =>
+                other !== balloon &&
+                other.isAlive &&
+                position.distanceTo(other.position) < blastRadius
+            );
+        
+        this.events.emit(GameEvents.BALLOON_EXPLODED, {
+            balloon,
+            position,
+            radius: blastRadius,
+            targets
+        });
         
-        // Recreate mesh with larger size
-        boss.destroy();
-        boss.createMesh(this.geometryCache);
-        boss.setupMovement();
+        this.createBlastEffect(position, blastRadius);
+        this.addCameraShake(0.3);
         
-        this.enemies.push(boss);
+        targets.forEach(other => {
+            const generation = other.generation;
+            this.scheduler.schedule(this.game.random.range(50, 150), () => {
+                if (other.isAliveIn(generation)) other.hit();
+            });
+        });
+    }
+    
+    createBlastEffect(position, radius) {
+        for (let i = 0; i < 30; i++) {
+            const direction = new THREE.Vector3(
+                MathUtils.random(-1, 1),
+                MathUtils.random(-1, 1),
+                MathUtils.random(-1, 1)
+            ).normalize();
+            
+            this.createParticle({
+                position: position.clone(),
+                color: { r: 255, g: MathUtils.random(60, 160), b: 0 },
+                size: MathUtils.random(0.2, 0.5),
+                velocity: direction.multiplyScalar(radius * MathUtils.random(1, 2)),
+                life: MathUtils.random(0.5, 1)
+            });
+        }
+    }
+    
+    // options: the wave script's boss entry (health, points, speed, size)
+    spawnBoss(options = {}) {
+        const boss = new Boss3D(this.game, this.scene, this.geometryCache, this.materialCache, options);
+        this.depthCues.patchObject(boss);
+        boss.spawn();
+        
+        this.bosses.push(boss);
+        this.targetHashDirty = true;
         console.log('Scene Manager: Boss spawned!');
+        return boss;
     }
     
     // Utility methods
@@ -642,162 +1138,226 @@ class SceneManager {
     
     // Update method
     update(deltaTime) {
+        const profiler = this.game.profiler;
+        
         // Update camera effects
+        profiler.begin('scene');
         this.updateCamera(deltaTime);
         
         // Update all game objects
         this.updateGameObjects(deltaTime);
+        this.targetHashDirty = true;
+        profiler.end('scene');
         
         // Handle collisions
+        profiler.begin('collisions');
         this.handleCollisions();
+        profiler.end('collisions');
         
-        // Cleanup dead objects
+        // Remove everything destroyed during this step
+        profiler.begin('scene');
         this.cleanup();
         
         // Update effects
         this.updateEffects(deltaTime);
+        profiler.end('scene');
     }
     
     updateCamera(deltaTime) {
         // Apply camera shake
         if (this.cameraShake.intensity > 0) {
             this.camera.position.x = this.cameraBasePosition.x + 
-                (Math.random() - 0.5) * this.cameraShake.intensity;
+                MathUtils.random(-0.5, 0.5) * this.cameraShake.intensity;
             this.camera.position.y = this.cameraBasePosition.y + 
-                (Math.random() - 0.5) * this.cameraShake.intensity;
+                MathUtils.random(-0.5, 0.5) * this.cameraShake.intensity;
             
             this.cameraShake.intensity *= 0.95; // Decay shake
         }
         
         // Subtle breathing effect
-        const breathe = Math.sin(Date.now() * 0.001) * 0.1;
+        const breathe = Math.sin(this.clock.now() * 0.001) * 0.1;
         this.camera.position.z = this.cameraBasePosition.z + breathe;
+        
+        // Aiming reads the camera matrices, so keep them in step with the simulation
+        this.camera.updateMatrixWorld();
     }
     
     updateGameObjects(deltaTime) {
         // Update all object arrays
-        [this.balloons, this.enemies, this.projectiles, this.particles, this.stars, this.miniShips]
+        [this.balloons, this.enemies, this.bosses, this.projectiles, this.particles, this.stars, this.miniShips]
             .forEach(array => {
-                array.forEach(obj => obj.update(deltaTime));
+                array.forEach(obj => {
+                    if (obj.isAlive) obj.update(deltaTime);
+                });
             });
     }
     
-    handleCollisions() {
-        // Player projectiles vs targets
-        this.projectiles.filter(p => p.owner === 'player').forEach(projectile => {
-            if (!projectile.isAlive) return;
-            
-            // Check against enemies first (higher priority)
-            this.enemies.forEach(enemy => {
-                if (!enemy.isAlive) return;
-                
-                const distance = projectile.getDistance(enemy);
-                const hitRadius = Math.max(enemy.width, enemy.height) / 2 + 1;
-                
-                if (distance <= hitRadius) {
-                    if (enemy.hit()) {
-                        this.removeObject(this.enemies, enemy);
+    // Spatial hash of live balloons, enemies and boss, sized by their hit radius
+    getTargetHash() {
+        if (this.targetHashDirty) {
+            this.targetHash.clear();
+            [this.balloons, this.enemies, this.bosses].forEach(array => {
+                array.forEach(target => {
+                    if (target.isAlive) {
+                        this.targetHash.insert(target, target.position, target.getHitRadius());
                     }
-                    this.removeObject(this.projectiles, projectile);
-                    projectile.destroy();
-                }
+                });
             });
+            this.targetHashDirty = false;
+        }
+        return this.targetHash;
+    }
+    
+    // Objects destroyed here stay in their arrays until cleanup() at the end of the step
+    handleCollisions() {
+        this.projectiles.forEach(projectile => {
+            if (!projectile.isAlive) return;
             
-            // Check against balloons
-            if (projectile.isAlive) {
-                this.balloons.forEach(balloon => {
-                    if (!balloon.isAlive) return;
-                    
-                    const distance = projectile.getDistance(balloon);
-                    const hitRadius = balloon.radius + 0.5;
-                    
-                    if (distance <= hitRadius) {
-                        if (balloon.hit()) {
-                            this.removeObject(this.balloons, balloon);
-                        }
-                        this.removeObject(this.projectiles, projectile);
-                        projectile.destroy();
-                    }
-                });
-            }
-        });
-        
-        // Enemy projectiles vs player area
-        this.projectiles.filter(p => p.owner === 'enemy').forEach(projectile => {
-            if (projectile.position.z > 15) {
-                // Projectile reached player area
-                if (window.player) {
-                    const gameOver = window.player.takeDamage(projectile.damage);
-                    if (gameOver && window.gameController) {
-                        window.gameController.gameOver();
-                    }
-                }
-                this.removeObject(this.projectiles, projectile);
+            if (projectile.owner === 'player') {
+                // Player projectiles vs targets
+                this.checkProjectileHit(projectile);
+            } else if (projectile.position.z > 15) {
+                // Enemy projectile reached player area (the hit also shakes the camera)
                 projectile.destroy();
                 
-                // Add screen shake
-                this.addCameraShake(0.5);
+                this.events.emit(GameEvents.PLAYER_DAMAGED, {
+                    amount: projectile.damage,
+                    position: projectile.position.clone()
+                });
             }
         });
     }
     
-    cleanup() {
-        const currentTime = Date.now();
-        if (currentTime - this.lastCleanupTime < this.cleanupInterval) return;
-        
-        // Remove dead objects
-        this.balloons = this.balloons.filter(obj => obj.isAlive);
-        this.enemies = this.enemies.filter(obj => obj.isAlive);
-        this.projectiles = this.projectiles.filter(obj => obj.isAlive);
-        this.miniShips = this.miniShips.filter(obj => obj.isAlive);
-        
-        // Return dead particles to pool
-        this.particles = this.particles.filter(particle => {
-            if (!particle.isAlive) {
-                if (particle.mesh) particle.mesh.visible = false;
-                this.particlePool.release(particle);
-                return false;
+    // Sweep the shot along its path for this step so fast projectiles can't
+    // tunnel through small targets; the first target it reaches is hit.
+    // Composite targets (those with parts) are only hit where the shot
+    // meets one of their part meshes, and learn which part that was.
+    checkProjectileHit(projectile) {
+        const start = projectile.previousPosition;
+        const end = projectile.position;
+        
+        // Pad the query by how far a target can move in one step
+        const candidates = this.getTargetHash().querySegment(start, end, 1, this.collisionCandidates);
+        
+        let target = null;
+        let targetTime = Infinity;
+        let targetPart = null;
+        const relativeStart = this.sweepStart;
+        
+        candidates.forEach(candidate => {
+            if (!candidate.isAlive) return;
+            
+            // Sweep relative to the target, which also moved this step
+            relativeStart.copy(start)
+                .add(candidate.position)
+                .sub(candidate.previousPosition);
+            
+            let time = MathUtils.segmentSphereTime(
+                relativeStart, end, candidate.position, candidate.getHitRadius()
+            );
+            if (time < 0 || time >= targetTime) return;
+            
+            let part = null;
+            if (candidate.parts) {
+                const partHit = candidate.parts.raycast(candidate, relativeStart, end);
+                if (!partHit || partHit.time >= targetTime) return;
+                ({ part, time } = partHit);
             }
-            return true;
+            
+            target = candidate;
+            targetTime = time;
+            targetPart = part;
         });
         
-        this.lastCleanupTime = currentTime;
+        candidates.length = 0;
+        if (!target) return;
+        
+        // The projectile's position at the moment of contact
+        const impactPoint = start.clone().lerp(end, targetTime);
+        
+        if (!target.hit(impactPoint, targetPart)) {
+            this.createImpactSparks(impactPoint);
+        }
+        projectile.destroy();
+    }
+    
+    // Small burst where a shot struck a target without destroying it
+    createImpactSparks(position) {
+        for (let i = 0; i < 6; i++) {
+            this.createParticle({
+                position: position.clone(),
+                color: { r: 255, g: 255, b: 255 },
+                size: MathUtils.random(0.05, 0.15),
+                velocity: new THREE.Vector3(
+                    MathUtils.random(-3, 3),
+                    MathUtils.random(-3, 3),
+                    MathUtils.random(-2, 2)
+                ),
+                life: 0.4
+            });
+        }
+    }
+    
+    cleanup() {
+        // Remove dead objects, returning pooled ones to their pools
+        const recycle = (object) => this.recycle(object);
+        this.removeDeadObjects(this.balloons, recycle);
+        this.removeDeadObjects(this.enemies, recycle);
+        this.removeDeadObjects(this.bosses);
+        this.removeDeadObjects(this.projectiles, recycle);
+        this.removeDeadObjects(this.particles, recycle);
+        this.removeDeadObjects(this.miniShips);
     }
     
     updateEffects(deltaTime) {
         // Shield effect animation
         if (this.shieldEffect) {
             this.shieldEffect.rotation.y += deltaTime * 0.5;
-            const pulse = Math.sin(Date.now() * 0.005) * 0.1 + 0.2;
+            const pulse = Math.sin(this.clock.now() * 0.005) * 0.1 + 0.2;
             this.shieldEffect.material.opacity = pulse;
         }
         
         // Depth grid animation
         if (this.depthGrid) {
-            this.depthGrid.material.opacity = 0.1 + Math.sin(Date.now() * 0.003) * 0.05;
+            this.depthGrid.material.opacity = 0.1 + Math.sin(this.clock.now() * 0.003) * 0.05;
         }
         
         // Atmospheric light animation
         this.pointLights.forEach((light, index) => {
-            const time = Date.now() * 0.001 + index * 2;
+            const time = this.clock.now() * 0.001 + index * 2;
             light.intensity = 0.2 + Math.sin(time) * 0.1;
         });
+        
+        // Screen effect fades
+        if (this.postProcessor) this.postProcessor.update(deltaTime);
     }
     
     addCameraShake(intensity) {
         this.cameraShake.intensity = Math.max(this.cameraShake.intensity, intensity);
     }
     
-    removeObject(array, object) {
-        const index = array.indexOf(object);
-        if (index !== -1) {
-            array.splice(index, 1);
+    // Compact dead objects out of an array in place (no allocation per step)
+    removeDeadObjects(array, onRemove = null) {
+        let count = 0;
+        for (let i = 0; i < array.length; i++) {
+            const obj = array[i];
+            if (obj.isAlive) {
+                array[count++] = obj;
+            } else if (onRemove) {
+                onRemove(obj);
+            }
+        }
+        
+        if (count !== array.length) {
+            array.length = count;
+            this.targetHashDirty = true;
         }
     }
     
     // Getters for game objects
     getBalloons() { return this.balloons; }
     getEnemies() { return this.enemies; }
+    getBoss() { return this.bosses[0] || null; }
     getProjectiles() { return this.projectiles; }
     getParticles() { return this.particles; }
     getMiniShips() { return this.miniShips; }
@@ -811,12 +1371,27 @@ class SceneManager {
         );
         const raycaster = new THREE.Raycaster();
         raycaster.setFromCamera(mouse, this.camera);
-        // Only test balloons for now
-        const balloonMeshes = this.balloons.filter(b => b.isAlive && b.mesh).map(b => b.mesh);
-        const intersects = raycaster.intersectObjects(balloonMeshes, false);
+        // Only test balloons for now; test simulation positions rather than the
+        // interpolated meshes so the result doesn't depend on frame timing
+        const sphere = new THREE.Sphere();
+        const hitPoint = new THREE.Vector3();
+        let closestBalloon = null;
+        let closestDistance = Infinity;
+        this.balloons.forEach(balloon => {
+            if (!balloon.isAlive) return;
+            
+            sphere.set(balloon.position, balloon.radius);
+            if (raycaster.ray.intersectSphere(sphere, hitPoint)) {
+                const distance = hitPoint.distanceTo(raycaster.ray.origin);
+                if (distance < closestDistance) {
+                    closestDistance = distance;
+                    closestBalloon = balloon;
+                }
+            }
+        });
         let targetPos = null;
-        if (intersects.length > 0) {
-            targetPos = intersects[0].object.position.clone();
+        if (closestBalloon) {
+            targetPos = closestBalloon.position.clone();
         } else {
             // If no balloon hit, shoot in the direction of the tap
             targetPos = this.screenToWorld(screenX, screenY, -50);
@@ -824,7 +1399,7 @@ class SceneManager {
         // Fire a projectile toward the target position
         this.createPlayerProjectile({ targetPosition: targetPos });
         // Return true if a balloon was hit
-        return intersects.length > 0;
+        return closestBalloon !== null;
     }
     
     // Handle window resize
@@ -832,31 +1407,162 @@ class SceneManager {
         this.camera.aspect = window.innerWidth / window.innerHeight;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.updateBatchViewports();
+        if (this.postProcessor) this.postProcessor.updateSize();
+    }
+    
+    // Render the scene; alpha is how far we are between the last two simulation steps
+    render(alpha = 1) {
+        if (this.contextLost) return;
+        
+        this.interpolateObjects(alpha);
+        this.depthCues.update(this.balloons, this.enemies, this.bosses);
+        
+        if (this.postProcessor) {
+            const stereo = this.stereo.isEnabled() ? this.stereo : null;
+            this.postProcessor.render(this.scene, this.camera, stereo);
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+    
+    interpolateObjects(alpha) {
+        [this.balloons, this.enemies, this.bosses, this.projectiles, this.miniShips]
+            .forEach(array => {
+                array.forEach(obj => obj.interpolate(alpha));
+            });
+        
+        this.fillBatch(this.starBatch, this.stars, alpha);
+        this.fillBatch(this.particleBatch, this.particles, alpha);
+    }
+    
+    // Write this frame's sprite for every live object (stars and particles)
+    fillBatch(batch, objects, alpha) {
+        const position = this.batchPosition;
+        
+        batch.begin();
+        objects.forEach(obj => {
+            if (!obj.isAlive) return;
+            
+            position.lerpVectors(obj.previousPosition, obj.position, alpha);
+            batch.add(position, obj.color, obj.scale.x * 2, obj.opacity);
+        });
+        batch.end();
+    }
+    
+    // Remove every balloon, enemy, boss, projectile, particle and mini ship
+    // without scoring or effects (stars stay)
+    // Spawns and culling keep the play area a run started with: resizing the
+    // window mid-run must not change the simulation, and replays only record
+    // the starting viewport
+    resetPlayArea() {
+        this.worldBounds.update();
+    }
+    
+    clearGameObjects() {
+        [...this.balloons, ...this.enemies, ...this.bosses, ...this.projectiles, ...this.particles, ...this.miniShips]
+            .forEach(obj => {
+                obj.despawn();
+                this.recycle(obj);
+            });
+        
+        this.balloons = [];
+        this.enemies = [];
+        this.bosses = [];
+        this.projectiles = [];
+        this.particles = [];
+        this.miniShips = [];
+        this.targetHashDirty = true;
+    }
+    
+    // What the renderer drew last frame and what it holds on the GPU
+    getRenderStats() {
+        const { render, memory } = this.renderer.info;
+        return {
+            drawCalls: render.calls,
+            triangles: render.triangles,
+            geometries: memory.geometries,
+            textures: memory.textures
+        };
+    }
+    
+    getEntityCounts() {
+        return {
+            balloons: this.balloons.length,
+            enemies: this.enemies.length,
+            bosses: this.bosses.length,
+            projectiles: this.projectiles.length,
+            particles: this.particles.length,
+            stars: this.stars.length,
+            miniShips: this.miniShips.length,
+            effects: this.effects.length
+        };
+    }
+    
+    // Every object that may hold a mesh: live ones and those waiting in pools
+    getMeshOwners() {
+        const owners = new Set([
+            ...this.balloons, ...this.enemies, ...this.bosses, ...this.projectiles,
+            ...this.particles, ...this.stars, ...this.miniShips
+        ]);
+        Object.values(this.getPools()).forEach(pool => {
+            [...pool.pool, ...pool.active].forEach(owner => owners.add(owner));
+        });
+        return owners;
     }
     
-    // Render the scene
-    render() {
-        this.renderer.render(this.scene, this.camera);
+    // Debug report of cached geometry and materials: what is in use, what is
+    // idle, and any references still counted for objects that are gone
+    getResourceReport() {
+        const heldGeometries = new Map();
+        const heldMaterials = new Map();
+        const count = (held, resource) => held.set(resource, (held.get(resource) || 0) + 1);
+        
+        // Each owner holds one reference per distinct resource
+        this.getMeshOwners().forEach(owner => {
+            owner.getMeshResources().forEach(resource => {
+                count(resource.isMaterial ? heldMaterials : heldGeometries, resource);
+            });
+        });
+        
+        return {
+            geometries: this.geometryCache.getReport(heldGeometries),
+            materials: this.materialCache.getReport(heldMaterials),
+            renderer: this.renderer.info.memory
+        };
     }
     
     // Dispose of all resources
     dispose() {
-        // Dispose all game objects
-        [...this.balloons, ...this.enemies, ...this.projectiles, ...this.particles, ...this.stars, ...this.miniShips]
-            .forEach(obj => obj.destroy());
+        // Remove all game objects
+        this.clearGameObjects();
+        this.stars.forEach(star => star.despawn());
+        this.stars = [];
         
-        // Dispose object pools
-        if (this.particlePool) this.particlePool.releaseAll();
-        if (this.projectilePool) this.projectilePool.releaseAll();
+        // Pooled objects kept their resources; hand them back now
+        Object.values(this.getPools()).forEach(pool => {
+            if (!pool) return;
+            [...pool.pool, ...pool.active].forEach(obj => obj.releaseResources());
+        });
         
-        // Dispose geometry cache
+        // Dispose shared geometry and materials
         this.geometryCache.dispose();
+        this.materialCache.dispose();
+        this.starBatch.dispose();
+        this.particleBatch.dispose();
+        if (this.postProcessor) this.postProcessor.dispose();
+        if (this.stereo) this.stereo.dispose();
+        this.depthCues.dispose();
         
         // Dispose effects
         this.deactivateShieldEffect();
         this.deactivateDepthVision();
         
         // Dispose renderer
+        if (this.onContextLost) {
+            this.canvas.removeEventListener('webglcontextlost', this.onContextLost);
+            this.canvas.removeEventListener('webglcontextrestored', this.onContextRestored);
+        }
         this.renderer.dispose();
         
         console.log('Scene Manager: Disposed all resources');
@@ -864,4 +1570,6 @@ class SceneManager {
 }
 
 // Export globally
+window.SceneRenderers = SceneRenderers;
+window.NullRenderer = NullRenderer;
 window.SceneManager = SceneManager;
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * Stereoscopic Rendering for 3D Ceiling Pop
+ * Draws the scene once per eye and combines the two views for red/cyan
+ * glasses (anaglyph), 3D displays (side-by-side) or free viewing (cross-eye)
+ */
+
+// 'off' draws the usual single view
+const STEREO_MODES = ['off', 'anaglyph', 'sideBySide', 'crossEye'];
+
+// In world units. The camera sits 20 units in front of the focus plane, so
+// by default targets there appear at screen depth: nearer ones stand out of
+// it and farther ones sink in.
+const STEREO_LIMITS = {
+    eyeSeparation: { min: 0, max: 2, step: 0.1, initial: 0.6 },
+    convergence: { min: 5, max: 120, step: 5, initial: 20 }
+};
+
+const StereoShaders = {
+    // Ends with the renderer's output encoding, like the final post passes
+    composite: `
+        uniform sampler2D leftTexture;
+        uniform sampler2D rightTexture;
+        uniform mat3 leftMatrix;
+        uniform mat3 rightMatrix;
+        uniform bool sideBySide;
+        
+        varying vec2 vUv;
+        
+        void main() {
+            vec3 color;
+            if (sideBySide) {
+                // Each eye's view in its half of the screen
+                color = vUv.x < 0.5 ?
+                    texture2D(leftTexture, vec2(vUv.x * 2.0, vUv.y)).rgb :
+                    texture2D(rightTexture, vec2(vUv.x * 2.0 - 1.0, vUv.y)).rgb;
+            } else {
+                color = leftMatrix * texture2D(leftTexture, vUv).rgb + rightMatrix * texture2D(rightTexture, vUv).rgb;
+                color = clamp(color, 0.0, 1.0);
+            }
+            gl_FragColor = vec4(color, 1.0);
+            #include <encodings_fragment>
+        }
+    `
+};
+
+// Dubois' least-squares red/cyan matrices (column-major, linear RGB): they
+// keep more of the original colour and ghost less than splitting channels
+const ANAGLYPH_MATRICES = {
+    left: [0.456100, -0.0400822, -0.0152161, 0.500484, -0.0378246, -0.0205971, 0.176381, -0.0157589, -0.00546856],
+    right: [-0.0434706, 0.378476, -0.0721527, -0.0879388, 0.73364, -0.112961, -0.00155529, -0.0184503, 1.2264]
+};
+
+// Renders into the post processor's scene target (or the screen) in place
+// of the usual single view
+class StereoRenderer {
+    // settings: { mode, eyeSeparation, convergence }, shared with the game
+    constructor(processor, settings) {
+        this.processor = processor;
+        this.settings = settings;
+        this.stereoCamera = new THREE.StereoCamera();
+        
+        const targetOptions = { depthBuffer: true, type: processor.getTextureType() };
+        this.leftTarget = PostProcessor.createTarget(1, 1, targetOptions);
+        this.rightTarget = PostProcessor.createTarget(1, 1, targetOptions);
+        
+        this.material = PostPass.createMaterial(StereoShaders.composite, {
+            leftTexture: { value: null },
+            rightTexture: { value: null },
+            leftMatrix: { value: new THREE.Matrix3().fromArray(ANAGLYPH_MATRICES.left) },
+            rightMatrix: { value: new THREE.Matrix3().fromArray(ANAGLYPH_MATRICES.right) },
+            sideBySide: { value: false }
+        });
+    }
+    
+    isEnabled() {
+        return this.settings.mode !== 'off';
+    }
+    
+    // Side-by-side and cross-eye show one view per half of the screen
+    isSplit() {
+        return this.settings.mode === 'sideBySide' || this.settings.mode === 'crossEye';
+    }
+    
+    // Chromatic aberration shifts red against blue, which anaglyph glasses
+    // would hand to different eyes
+    suppressesEffect(name) {
+        return this.settings.mode === 'anaglyph' && name === 'chromatic';
+    }
+    
+    // target is a render target, or null for the screen
+    render(scene, camera, target) {
+        const renderer = this.processor.renderer;
+        const { eyeSeparation, convergence } = this.settings;
+        
+        // Split views are drawn at half the width
+        const { x: width, y: height } = this.processor.drawingBufferSize;
+        const eyeWidth = this.isSplit() ? Math.ceil(width / 2) : width;
+        if (this.leftTarget.width !== eyeWidth || this.leftTarget.height !== height) {
+            this.leftTarget.setSize(eyeWidth, height);
+            this.rightTarget.setSize(eyeWidth, height);
+        }
+        
+        // The eyes' views cross at the convergence distance
+        camera.focus = convergence;
+        camera.updateMatrixWorld();
+        this.stereoCamera.eyeSep = eyeSeparation;
+        
+        // Side-by-side keeps the full aspect ratio, squeezed (the usual "half
+        // side-by-side" format that 3D displays stretch back out). Cross-eye
+        // halves are viewed as they are, so each eye gets its half's shape.
+        this.stereoCamera.aspect = this.settings.mode === 'crossEye' ?
+            eyeWidth / height / camera.aspect : 1;
+        this.stereoCamera.update(camera);
+        
+        renderer.setRenderTarget(this.leftTarget);
+        renderer.render(scene, this.stereoCamera.cameraL);
+        renderer.setRenderTarget(this.rightTarget);
+        renderer.render(scene, this.stereoCamera.cameraR);
+        
+        // Cross-eyed viewers look at the left half with their right eye
+        const swap = this.settings.mode === 'crossEye';
+        const uniforms = this.material.uniforms;
+        uniforms.leftTexture.value = (swap ? this.rightTarget : this.leftTarget).texture;
+        uniforms.rightTexture.value = (swap ? this.leftTarget : this.rightTarget).texture;
+        uniforms.sideBySide.value = this.isSplit();
+        this.processor.renderQuad(this.material, target);
+    }
+    
+    dispose() {
+        this.leftTarget.dispose();
+        this.rightTarget.dispose();
+        this.material.dispose();
+    }
+}
+
+// Export globally
+window.STEREO_MODES = STEREO_MODES;
+window.STEREO_LIMITS = STEREO_LIMITS;
+window.StereoShaders = StereoShaders;
+window.StereoRenderer = StereoRenderer;
\ No newline at end of file
@@ -2,11 +2,90 @@
  * Utility functions and object pooling for performance optimization
  */
 
+// Seedable pseudo-random number generator (mulberry32)
+class SeededRandom {
+    constructor(seed = 1) {
+        this.setSeed(seed);
+    }
+    
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+    
+    // Returns a float in [0, 1), like Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    range(min, max) {
+        return this.next() * (max - min) + min;
+    }
+    
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+    
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+    
+    // Picks a key of weights ({ name: weight }) in proportion to its weight
+    weighted(weights) {
+        const entries = Object.entries(weights);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = this.next() * total;
+        
+        for (const [key, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) return key;
+        }
+        return entries[entries.length - 1][0];
+    }
+}
+
+// Seed helpers and the shared cosmetic stream. Gameplay randomness lives on
+// each game (GameController.random), so particles and other effects never
+// change the outcome of a seeded run and games on one page stay independent.
+const RandomUtils = {
+    seed: 0,
+    cosmetic: new SeededRandom(),
+    
+    generateSeed: () => Math.floor(Math.random() * 0x100000000) >>> 0,
+    
+    // Accepts a number or any string (e.g. a date for daily challenges)
+    toSeed: (value) => {
+        const number = Number(value);
+        if (value !== '' && Number.isFinite(number)) return number >>> 0;
+        
+        // FNV-1a hash for string seeds
+        let hash = 0x811C9DC5;
+        const text = String(value);
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    },
+    
+    // Reseed the cosmetic stream from a run seed; returns the numeric seed
+    setSeed: (seed) => {
+        RandomUtils.seed = RandomUtils.toSeed(seed);
+        RandomUtils.cosmetic.setSeed(RandomUtils.seed ^ 0x9E3779B9);
+        return RandomUtils.seed;
+    }
+};
+
 // Math utilities
 const MathUtils = {
-    random: (min, max) => Math.random() * (max - min) + min,
+    // Cosmetic stream by default; gameplay code draws from its game's random
+    random: (min, max, rng = RandomUtils.cosmetic) => rng.range(min, max),
     
-    randomInt: (min, max) => Math.floor(Math.random() * (max - min + 1)) + min,
+    randomInt: (min, max, rng = RandomUtils.cosmetic) => rng.int(min, max),
     
     clamp: (value, min, max) => Math.max(min, Math.min(max, value)),
     
@@ -34,6 +113,29 @@ const MathUtils = {
         return camera.position.clone().add(dir.multiplyScalar(targetDistance));
     },
     
+    // Earliest fraction (0 to 1) along start->end at which a point enters the
+    // sphere, or -1 if it never does; 0 if it starts inside
+    segmentSphereTime: (start, end, center, radius) => {
+        const mx = start.x - center.x;
+        const my = start.y - center.y;
+        const mz = start.z - center.z;
+        const c = mx * mx + my * my + mz * mz - radius * radius;
+        if (c <= 0) return 0;
+        
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const dz = end.z - start.z;
+        const a = dx * dx + dy * dy + dz * dz;
+        const b = mx * dx + my * dy + mz * dz;
+        if (a === 0 || b >= 0) return -1; // Not moving, or moving away
+        
+        const discriminant = b * b - a * c;
+        if (discriminant < 0) return -1;
+        
+        const t = (-b - Math.sqrt(discriminant)) / a;
+        return t <= 1 ? t : -1;
+    },
+    
     // Calculate depth bonus multiplier based on Z position
     getDepthBonus: (z, maxDepth = 200) => {
         const normalizedDepth = Math.abs(z) / maxDepth;
@@ -46,9 +148,10 @@ const ColorUtils = {
     // Generate random vibrant color (now more saturated and bright)
     randomVibrant: () => {
         // Pick a random hue, full saturation, high lightness
-        const h = Math.random();
-        const s = 0.9 + Math.random() * 0.1; // 0.9-1.0 for maximum saturation
-        const l = 0.6 + Math.random() * 0.3; // 0.6-0.9 for high brightness
+        const rng = RandomUtils.cosmetic;
+        const h = rng.next();
+        const s = 0.9 + rng.next() * 0.1; // 0.9-1.0 for maximum saturation
+        const l = 0.6 + rng.next() * 0.3; // 0.6-0.9 for high brightness
         // Convert HSL to RGB
         const rgb = hslToRgb(h, s, l);
         return { r: rgb[0] * 255, g: rgb[1] * 255, b: rgb[2] * 255 };
@@ -64,7 +167,7 @@ const ColorUtils = {
             { r: 255, g: 0, b: 0 },     // Red
             { r: 0, g: 0, b: 255 }      // Blue
         ];
-        return colors[Math.floor(Math.random() * colors.length)];
+        return RandomUtils.cosmetic.pick(colors);
     },
     
     // Convert color object to hex
@@ -167,6 +270,148 @@ class ObjectPool {
     }
 }
 
+// Uniform grid over 3D space for broadphase queries. Objects are inserted with
+// a bounding radius and stored in every cell it overlaps; queries return
+// candidates (each once) that the caller still has to test exactly.
+class SpatialHash {
+    constructor(cellSize = 10) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.activeCells = [];
+        this.seen = new Set();
+        this.count = 0;
+    }
+    
+    // Numeric key for a cell; each axis spans 1024 cells around the origin
+    getKey(ix, iy, iz) {
+        return ((ix + 512) * 1024 + (iy + 512)) * 1024 + (iz + 512);
+    }
+    
+    getCellIndex(value) {
+        return Math.floor(value / this.cellSize);
+    }
+    
+    // Empty every cell but keep the arrays for the next rebuild
+    clear() {
+        this.activeCells.forEach(cell => { cell.length = 0; });
+        this.activeCells.length = 0;
+        this.count = 0;
+    }
+    
+    insert(object, position, radius = 0) {
+        const minX = this.getCellIndex(position.x - radius);
+        const maxX = this.getCellIndex(position.x + radius);
+        const minY = this.getCellIndex(position.y - radius);
+        const maxY = this.getCellIndex(position.y + radius);
+        const minZ = this.getCellIndex(position.z - radius);
+        const maxZ = this.getCellIndex(position.z + radius);
+        
+        for (let ix = minX; ix <= maxX; ix++) {
+            for (let iy = minY; iy <= maxY; iy++) {
+                for (let iz = minZ; iz <= maxZ; iz++) {
+                    const key = this.getKey(ix, iy, iz);
+                    let cell = this.cells.get(key);
+                    if (!cell) {
+                        cell = [];
+                        this.cells.set(key, cell);
+                    }
+                    if (cell.length === 0) this.activeCells.push(cell);
+                    cell.push(object);
+                }
+            }
+        }
+        
+        this.count++;
+    }
+    
+    // Objects whose bounds may lie within radius of position; result is cleared first
+    queryRadius(position, radius, result = []) {
+        result.length = 0;
+        this.seen.clear();
+        this.collect(position.x, position.y, position.z, radius, result);
+        return result;
+    }
+    
+    // Objects whose bounds may lie within radius of the segment start-end
+    querySegment(start, end, radius, result = []) {
+        result.length = 0;
+        this.seen.clear();
+        
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const dz = end.z - start.z;
+        const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        
+        // Sample about once per cell; each sample covers half a step either side
+        const steps = Math.max(1, Math.ceil(length / this.cellSize));
+        const reach = radius + length / steps / 2;
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            this.collect(start.x + dx * t, start.y + dy * t, start.z + dz * t, reach, result);
+        }
+        
+        return result;
+    }
+    
+    collect(x, y, z, radius, result) {
+        const minX = this.getCellIndex(x - radius);
+        const maxX = this.getCellIndex(x + radius);
+        const minY = this.getCellIndex(y - radius);
+        const maxY = this.getCellIndex(y + radius);
+        const minZ = this.getCellIndex(z - radius);
+        const maxZ = this.getCellIndex(z + radius);
+        
+        for (let ix = minX; ix <= maxX; ix++) {
+            for (let iy = minY; iy <= maxY; iy++) {
+                for (let iz = minZ; iz <= maxZ; iz++) {
+                    const cell = this.cells.get(this.getKey(ix, iy, iz));
+                    if (!cell) continue;
+                    
+                    for (let i = 0; i < cell.length; i++) {
+                        const object = cell[i];
+                        if (!this.seen.has(object)) {
+                            this.seen.add(object);
+                            result.push(object);
+                        }
+                    }
+                }
+            }
+        }
+    }
+}
+
+// Visible half-extents of the world at each depth, from the camera frustum.
+// update() takes the camera's current aspect ratio and field of view.
+class WorldBounds {
+    // cameraZ is where the camera rests (shake and breathing aside)
+    constructor(camera, cameraZ) {
+        this.camera = camera;
+        this.cameraZ = cameraZ;
+        this.tanHalfFov = 1;
+        this.aspect = 1;
+        this.update();
+    }
+    
+    update() {
+        this.tanHalfFov = Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2);
+        this.aspect = this.camera.aspect;
+    }
+    
+    getHalfHeight(z) {
+        return Math.max(0, this.cameraZ - z) * this.tanHalfFov;
+    }
+    
+    getHalfWidth(z) {
+        return this.getHalfHeight(z) * this.aspect;
+    }
+    
+    // Whether position is on screen, allowing padding world units past the edges
+    contains(position, padding = 0) {
+        return Math.abs(position.x) <= this.getHalfWidth(position.z) + padding &&
+            Math.abs(position.y) <= this.getHalfHeight(position.z) + padding;
+    }
+}
+
 // Performance monitor
 class PerformanceMonitor {
     constructor() {
@@ -176,17 +421,33 @@ class PerformanceMonitor {
         this.fpsCounter = 0;
         this.fpsUpdateInterval = 30; // Update FPS display every 30 frames
         
+        // Smoothed time between frames, in milliseconds
+        this.lastFrameTime = null;
+        this.averageFrameTime = 1000 / 60;
+        this.frameTimeSmoothing = 0.05;
+        this.maxFrameTime = 250; // Longer gaps are stalls (e.g. a hidden tab), not slowness
+        
         this.metrics = {
             drawCalls: 0,
             triangles: 0,
             activeObjects: 0,
-            pooledObjects: 0
+            pooledObjects: 0,
+            pools: {}, // Per pool: { active, pooled }
+            qualityTier: null
         };
     }
     
     update(currentTime) {
         this.frameCount++;
         
+        if (this.lastFrameTime !== null) {
+            const frameTime = currentTime - this.lastFrameTime;
+            if (frameTime < this.maxFrameTime) {
+                this.averageFrameTime += (frameTime - this.averageFrameTime) * this.frameTimeSmoothing;
+            }
+        }
+        this.lastFrameTime = currentTime;
+        
         if (this.frameCount % this.fpsUpdateInterval === 0) {
             const deltaTime = currentTime - this.lastTime;
             this.fps = Math.round((this.fpsUpdateInterval * 1000) / deltaTime);
@@ -214,7 +475,7 @@ class PerformanceMonitor {
     }
     
     getAverageFrameTime() {
-        return 1000 / this.fps;
+        return this.averageFrameTime;
     }
 }
 
@@ -243,74 +504,154 @@ const DeviceUtils = {
         return null;
     },
     
-    // Get recommended quality settings based on device
-    getQualitySettings: () => {
-        const isMobile = DeviceUtils.isMobile();
-        const isHighDPI = DeviceUtils.isHighDPI();
+    // Highest quality tier (see QualityTiers) recommended for this device
+    getQualityTier: () => {
+        return DeviceUtils.isMobile() ? 'medium' : 'high';
+    }
+};
+
+// Reference-counted store of shared Three.js resources. Every get call takes
+// a reference; owners hand it back with release() instead of disposing, and
+// resources stay cached (for reuse) until trim() or dispose()
+class ResourceCache {
+    constructor(name) {
+        this.name = name;
+        this.cache = new Map(); // key -> { resource, refs }
+        this.keys = new Map(); // resource -> key
+    }
+    
+    acquire(key, create) {
+        let entry = this.cache.get(key);
+        if (!entry) {
+            entry = { resource: create(), refs: 0 };
+            this.cache.set(key, entry);
+            this.keys.set(entry.resource, key);
+        }
         
-        if (isMobile) {
-            return {
-                particleCount: 15,
-                starCount: 100,
-                shadowsEnabled: false,
-                antialiasing: false,
-                maxParticles: 200,
-                renderScale: isHighDPI ? 0.8 : 1.0
-            };
+        entry.refs++;
+        return entry.resource;
+    }
+    
+    // Returns false if the resource isn't cached here (the caller owns it)
+    release(resource) {
+        const key = this.keys.get(resource);
+        if (key === undefined) return false;
+        
+        const entry = this.cache.get(key);
+        if (entry.refs === 0) {
+            console.warn(`${this.name}: ${key} released more often than acquired`);
         } else {
-            return {
-                particleCount: 30,
-                starCount: 200,
-                shadowsEnabled: true,
-                antialiasing: true,
-                maxParticles: 500,
-                renderScale: 1.0
-            };
+            entry.refs--;
         }
+        return true;
     }
-};
+    
+    owns(resource) {
+        return this.keys.has(resource);
+    }
+    
+    getRefCount(resource) {
+        const key = this.keys.get(resource);
+        return key === undefined ? 0 : this.cache.get(key).refs;
+    }
+    
+    // Dispose resources nothing references any more
+    trim() {
+        let removed = 0;
+        this.cache.forEach((entry, key) => {
+            if (entry.refs > 0) return;
+            entry.resource.dispose();
+            this.keys.delete(entry.resource);
+            this.cache.delete(key);
+            removed++;
+        });
+        return removed;
+    }
+    
+    // held maps resources to how many owners currently hold them; references
+    // the cache counts but no owner holds are reported as leaked
+    getReport(held = new Map()) {
+        const report = { live: [], idle: [], leaked: [], overReleased: [] };
+        
+        this.cache.forEach((entry, key) => {
+            const owners = held.get(entry.resource) || 0;
+            if (entry.refs > 0) {
+                report.live.push({ key, refs: entry.refs });
+            } else {
+                report.idle.push(key);
+            }
+            
+            if (entry.refs > owners) {
+                report.leaked.push({ key, refs: entry.refs, held: owners });
+            } else if (entry.refs < owners) {
+                report.overReleased.push({ key, refs: entry.refs, held: owners });
+            }
+        });
+        
+        return report;
+    }
+    
+    dispose() {
+        this.cache.forEach(entry => entry.resource.dispose());
+        this.cache.clear();
+        this.keys.clear();
+    }
+}
 
 // Geometry cache for reusing common shapes
-class GeometryCache {
+class GeometryCache extends ResourceCache {
     constructor() {
-        this.cache = new Map();
+        super('Geometry Cache');
     }
     
     getSphere(radius = 1, widthSegments = 16, heightSegments = 12) {
-        const key = `sphere_${radius}_${widthSegments}_${heightSegments}`;
-        if (!this.cache.has(key)) {
-            this.cache.set(key, new THREE.SphereGeometry(radius, widthSegments, heightSegments));
-        }
-        return this.cache.get(key);
+        return this.acquire(
+            `sphere_${radius}_${widthSegments}_${heightSegments}`,
+            () => new THREE.SphereGeometry(radius, widthSegments, heightSegments)
+        );
     }
     
     getBox(width = 1, height = 1, depth = 1) {
-        const key = `box_${width}_${height}_${depth}`;
-        if (!this.cache.has(key)) {
-            this.cache.set(key, new THREE.BoxGeometry(width, height, depth));
-        }
-        return this.cache.get(key);
+        return this.acquire(
+            `box_${width}_${height}_${depth}`,
+            () => new THREE.BoxGeometry(width, height, depth)
+        );
     }
     
     getCylinder(radiusTop = 1, radiusBottom = 1, height = 1, radialSegments = 12) {
-        const key = `cylinder_${radiusTop}_${radiusBottom}_${height}_${radialSegments}`;
-        if (!this.cache.has(key)) {
-            this.cache.set(key, new THREE.CylinderGeometry(radiusTop, radiusBottom, height, radialSegments));
-        }
-        return this.cache.get(key);
+        return this.acquire(
+            `cylinder_${radiusTop}_${radiusBottom}_${height}_${radialSegments}`,
+            () => new THREE.CylinderGeometry(radiusTop, radiusBottom, height, radialSegments)
+        );
     }
     
     getPlane(width = 1, height = 1) {
-        const key = `plane_${width}_${height}`;
-        if (!this.cache.has(key)) {
-            this.cache.set(key, new THREE.PlaneGeometry(width, height));
-        }
-        return this.cache.get(key);
+        return this.acquire(
+            `plane_${width}_${height}`,
+            () => new THREE.PlaneGeometry(width, height)
+        );
+    }
+}
+
+// Shared materials for meshes that never change their material at runtime;
+// anything that flashes, fades or recolours needs a material of its own
+class MaterialCache extends ResourceCache {
+    constructor() {
+        super('Material Cache');
     }
     
-    dispose() {
-        this.cache.forEach(geometry => geometry.dispose());
-        this.cache.clear();
+    getPhong(parameters) {
+        return this.acquire(
+            `phong_${JSON.stringify(parameters)}`,
+            () => new THREE.MeshPhongMaterial(parameters)
+        );
+    }
+    
+    getBasic(parameters) {
+        return this.acquire(
+            `basic_${JSON.stringify(parameters)}`,
+            () => new THREE.MeshBasicMaterial(parameters)
+        );
     }
 }
 
@@ -333,10 +674,16 @@ const AnimationUtils = {
 };
 
 // Export utilities globally
+window.SeededRandom = SeededRandom;
+window.RandomUtils = RandomUtils;
 window.MathUtils = MathUtils;
 window.ColorUtils = ColorUtils;
 window.ObjectPool = ObjectPool;
+window.SpatialHash = SpatialHash;
+window.WorldBounds = WorldBounds;
 window.PerformanceMonitor = PerformanceMonitor;
 window.DeviceUtils = DeviceUtils;
+window.ResourceCache = ResourceCache;
 window.GeometryCache = GeometryCache;
+window.MaterialCache = MaterialCache;
 window.AnimationUtils = AnimationUtils;
\ No newline at end of file
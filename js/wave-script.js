@@ -0,0 +1,252 @@
+/**
+ * Wave Scripts for 3D Ceiling Pop
+ * Levels are JSON files that say what spawns in each wave, when, how many,
+ * along which path and with which modifiers, so they can be tuned without
+ * touching code. GameFlow runs them.
+ */
+
+// Level set layout (levels/index.json):
+// {
+//   version,
+//   levels: ['level-1.json', ...],          // played in order
+//   endless: { intervalScale, minIntervalScale }
+// }
+// Past the last level the last script repeats, its spawn intervals scaled
+// by intervalScale once more per extra level (never below minIntervalScale).
+//
+// Level script layout:
+// {
+//   version, name,
+//   modifiers: { speed, health, points },   // optional, for every group
+//   waves: [{
+//     duration,                             // ms; omitted on boss waves
+//     kills,                                // optional: enemies destroyed that end the wave early
+//     boss: { health, points, speed, size }, // optional; the wave lasts until the boss is defeated
+//     groups: [{
+//       entity,                             // a key of WaveScriptFormat.ENTITIES
+//       at,                                 // ms after the wave starts (default 0)
+//       count,                              // optional; otherwise spawns until the wave ends
+//       interval,                           // ms between spawns (needed unless count is 1)
+//       path,                               // a key of FlightPaths (default per entity; kamikazes take none)
+//       variants: { normal: 70, ... },      // balloons only: weights for each of BalloonTypes
+//       modifiers: { speed, health, points }
+//     }]
+//   }]
+// }
+const WaveScriptFormat = {
+    VERSION: 1,
+    
+    // What a group can spawn, with its default flight path (null for
+    // entities that steer themselves)
+    ENTITIES: {
+        balloon: { path: 'drift' },
+        drone: { path: 'weave' },
+        kamikaze: { path: null },
+        splitter: { path: 'drift' },
+        carrier: { path: 'straight' }
+    },
+    
+    // Multipliers on an entity's speed, health and points
+    MODIFIERS: ['speed', 'health', 'points'],
+    
+    BOSS_FIELDS: ['health', 'points', 'speed', 'size'],
+    
+    // Fetch and check the level set at baseUrl; throws if anything is wrong
+    load: async (baseUrl) => {
+        const fetchJson = async (file) => {
+            const response = await fetch(baseUrl + file);
+            if (!response.ok) {
+                throw new Error(`Wave script: couldn't load ${file} (${response.status})`);
+            }
+            return response.json();
+        };
+        
+        const manifest = await fetchJson('index.json');
+        const scripts = {};
+        const files = manifest && Array.isArray(manifest.levels) ? manifest.levels : [];
+        await Promise.all(files.map(async (file) => {
+            scripts[file] = await fetchJson(file);
+        }));
+        
+        return WaveScriptFormat.parseLevelSet(manifest, scripts);
+    },
+    
+    // manifest is the parsed index.json, scripts maps its file names to the
+    // parsed level scripts. Every problem is reported at once, in the
+    // thrown error's message and as its errors array.
+    parseLevelSet: (manifest, scripts) => {
+        const errors = WaveScriptFormat.validateManifest(manifest);
+        
+        const levels = [];
+        if (errors.length === 0) {
+            manifest.levels.forEach(file => {
+                if (!scripts[file]) {
+                    errors.push(`index.json: level ${file} is missing`);
+                    return;
+                }
+                WaveScriptFormat.validateLevel(scripts[file]).forEach(error => {
+                    errors.push(`${file}: ${error}`);
+                });
+                levels.push({ file, ...scripts[file] });
+            });
+        }
+        
+        if (errors.length > 0) {
+            const error = new Error(`Wave script: ${errors.length} problem(s)\n${errors.join('\n')}`);
+            error.errors = errors;
+            throw error;
+        }
+        
+        return {
+            levels,
+            endless: { intervalScale: 1, minIntervalScale: 1, ...manifest.endless }
+        };
+    },
+    
+    validateManifest: (manifest) => {
+        const errors = [];
+        const fail = (message) => errors.push(`index.json: ${message}`);
+        
+        if (!manifest || manifest.version !== WaveScriptFormat.VERSION) {
+            fail(`unsupported version ${manifest ? manifest.version : 'none'}`);
+            return errors;
+        }
+        if (!Array.isArray(manifest.levels) || manifest.levels.length === 0) {
+            fail('levels must list at least one level file');
+        }
+        
+        const endless = manifest.endless || {};
+        ['intervalScale', 'minIntervalScale'].forEach(name => {
+            if (endless[name] !== undefined && !WaveScriptFormat.isPositive(endless[name])) {
+                fail(`endless.${name} must be a positive number`);
+            }
+        });
+        return errors;
+    },
+    
+    // Returns a list of problems, each naming where it is ('waves[2].groups[0].interval ...')
+    validateLevel: (level) => {
+        const errors = [];
+        const check = (ok, path, message) => {
+            if (!ok) errors.push(`${path} ${message}`);
+            return ok;
+        };
+        
+        if (!check(level && level.version === WaveScriptFormat.VERSION, 'version',
+            `must be ${WaveScriptFormat.VERSION}`)) return errors;
+        
+        WaveScriptFormat.validateModifiers(level.modifiers, 'modifiers', check);
+        if (!check(Array.isArray(level.waves) && level.waves.length > 0, 'waves',
+            'must list at least one wave')) return errors;
+        
+        level.waves.forEach((wave, w) => {
+            const wavePath = `waves[${w}]`;
+            if (!check(WaveScriptFormat.isObject(wave), wavePath, 'must be an object')) return;
+            
+            if (wave.boss !== undefined) {
+                const boss = wave.boss;
+                if (check(WaveScriptFormat.isObject(boss), `${wavePath}.boss`, 'must be an object')) {
+                    Object.keys(boss).forEach(name => {
+                        if (check(WaveScriptFormat.BOSS_FIELDS.includes(name), `${wavePath}.boss.${name}`,
+                            `is not one of ${WaveScriptFormat.BOSS_FIELDS.join(', ')}`)) {
+                            check(WaveScriptFormat.isPositive(boss[name]), `${wavePath}.boss.${name}`,
+                                'must be a positive number');
+                        }
+                    });
+                }
+                check(wave.duration === undefined, `${wavePath}.duration`,
+                    'is not allowed on a boss wave (it lasts until the boss is gone)');
+            } else {
+                check(WaveScriptFormat.isPositive(wave.duration), `${wavePath}.duration`,
+                    'must be a positive number of milliseconds');
+            }
+            if (wave.kills !== undefined) {
+                check(Number.isInteger(wave.kills) && wave.kills > 0, `${wavePath}.kills`,
+                    'must be a positive whole number');
+            }
+            
+            if (!check(Array.isArray(wave.groups), `${wavePath}.groups`, 'must be a list')) return;
+            wave.groups.forEach((group, g) => {
+                WaveScriptFormat.validateGroup(group, `${wavePath}.groups[${g}]`, check);
+            });
+        });
+        
+        return errors;
+    },
+    
+    validateGroup: (group, path, check) => {
+        if (!check(WaveScriptFormat.isObject(group), path, 'must be an object')) return;
+        
+        const entities = Object.keys(WaveScriptFormat.ENTITIES);
+        check(entities.includes(group.entity), `${path}.entity`,
+            `must be one of ${entities.join(', ')} (got ${JSON.stringify(group.entity)})`);
+        
+        if (group.at !== undefined) {
+            check(Number.isFinite(group.at) && group.at >= 0, `${path}.at`,
+                'must be zero or more milliseconds');
+        }
+        if (group.count !== undefined) {
+            check(Number.isInteger(group.count) && group.count > 0, `${path}.count`,
+                'must be a positive whole number');
+        }
+        if (group.count !== 1 || group.interval !== undefined) {
+            check(WaveScriptFormat.isPositive(group.interval), `${path}.interval`,
+                'must be a positive number of milliseconds');
+        }
+        if (group.path !== undefined) {
+            const paths = Object.keys(FlightPaths);
+            const entity = WaveScriptFormat.ENTITIES[group.entity];
+            if (check(!entity || entity.path !== null, `${path}.path`,
+                `is not allowed on ${group.entity} groups (they steer themselves)`)) {
+                check(paths.includes(group.path), `${path}.path`,
+                    `must be one of ${paths.join(', ')} (got ${JSON.stringify(group.path)})`);
+            }
+        }
+        
+        if (group.variants !== undefined) {
+            const variantsPath = `${path}.variants`;
+            if (check(group.entity === 'balloon', variantsPath, 'only applies to balloons') &&
+                check(WaveScriptFormat.isObject(group.variants), variantsPath, 'must be an object')) {
+                const types = Object.keys(BalloonTypes);
+                Object.entries(group.variants).forEach(([type, weight]) => {
+                    check(types.includes(type), `${variantsPath}.${type}`,
+                        `is not a balloon type (${types.join(', ')})`);
+                    check(Number.isFinite(weight) && weight >= 0, `${variantsPath}.${type}`,
+                        'must be a weight of zero or more');
+                });
+                check(Object.values(group.variants).some(weight => weight > 0), variantsPath,
+                    'needs at least one weight above zero');
+            }
+        }
+        
+        WaveScriptFormat.validateModifiers(group.modifiers, `${path}.modifiers`, check);
+    },
+    
+    validateModifiers: (modifiers, path, check) => {
+        if (modifiers === undefined) return;
+        if (!check(WaveScriptFormat.isObject(modifiers), path, 'must be an object')) return;
+        
+        Object.entries(modifiers).forEach(([name, value]) => {
+            if (check(WaveScriptFormat.MODIFIERS.includes(name), `${path}.${name}`,
+                `is not one of ${WaveScriptFormat.MODIFIERS.join(', ')}`)) {
+                check(WaveScriptFormat.isPositive(value), `${path}.${name}`, 'must be a positive number');
+            }
+        });
+    },
+    
+    // Level modifiers and a group's own multiply together
+    combineModifiers: (...sets) => {
+        const combined = {};
+        WaveScriptFormat.MODIFIERS.forEach(name => {
+            combined[name] = sets.reduce((value, set) => value * (set && set[name] ? set[name] : 1), 1);
+        });
+        return combined;
+    },
+    
+    isObject: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+    
+    isPositive: (value) => Number.isFinite(value) && value > 0
+};
+
+// Export globally
+window.WaveScriptFormat = WaveScriptFormat;
\ No newline at end of file
@@ -5,11 +5,29 @@ const CACHE_URLS = [
   '/style.css',
   '/manifest.json',
   '/js/main.js',
+  '/js/wave-script.js',
   '/js/game-state.js',
+  '/js/hud.js',
   '/js/game-objects.js',
+  '/js/enemies.js',
+  '/js/boss.js',
+  '/js/particle-system.js',
+  '/js/post-processing.js',
+  '/js/stereo.js',
+  '/js/depth-cues.js',
+  '/js/canvas-renderer.js',
   '/js/scene-manager.js',
+  '/js/quality-manager.js',
+  '/js/profiler.js',
   '/js/audio-manager.js',
+  '/js/replay.js',
   '/js/utils.js',
+  '/js/game-time.js',
+  '/js/event-bus.js',
+  '/levels/index.json',
+  '/levels/level-1.json',
+  '/levels/level-2.json',
+  '/levels/level-3.json',
   '/icons/favicon.ico',
   '/icons/icon-192.png',
   '/icons/icon-512.png',
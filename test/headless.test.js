@@ -0,0 +1,141 @@
+/**
+ * Headless runner tests for 3D Ceiling Pop
+ * Whole seeded games simulated in Node, with no DOM, WebGL or audio.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createContext, createHeadlessGame, readLevels } = require('../js/headless');
+
+const quiet = { log: () => {}, warn: () => {}, error: console.error };
+
+// Start a game in a context of the caller's (like a page, which can hold several)
+async function startGame(context, seed, levels = readLevels()) {
+    const game = new context.GameController({ headless: true, seed, levels });
+    await game.ready;
+    await game.startGame();
+    return game;
+}
+
+// Step a game at 60 fps for up to maxTime seconds, tapping the nearest
+// balloon every fifth of a second (screens are the default 1280x720)
+function playAimed(game, maxTime) {
+    const sceneManager = game.sceneManager;
+    
+    for (let step = 1; step <= maxTime * 60 && game.gameRunning; step++) {
+        game.step(1 / 60);
+        if (step % 12 !== 0) continue;
+        
+        const target = sceneManager.getBalloons()
+            .filter(balloon => balloon.isAlive && balloon.position.z < sceneManager.camera.position.z - 5)
+            .sort((a, b) => b.position.z - a.position.z)[0];
+        if (!target) continue;
+        
+        const screen = target.position.clone().project(sceneManager.camera);
+        const pointer = { x: Math.round((screen.x + 1) * 640), y: Math.round((1 - screen.y) * 360) };
+        game.inputHandler.beginPointer(pointer);
+        game.inputHandler.endPointer(pointer);
+    }
+    
+    // Plain data, comparable across the game's context and this one
+    return JSON.parse(JSON.stringify({ ...game.player.getGameData(), ticks: game.clock.ticks }));
+}
+
+test('a game with no input runs until too many balloons are missed', async () => {
+    const game = await createHeadlessGame({ seed: 42, console: quiet });
+    
+    for (let time = 0; time < 600 && game.gameRunning; time += 1 / 60) {
+        game.step(1 / 60);
+    }
+    
+    assert.strictEqual(game.gameRunning, false);
+    assert.strictEqual(game.player.missed, game.player.MAX_MISSED);
+});
+
+test('the same seed and input play out the same game', async () => {
+    const first = playAimed(await createHeadlessGame({ seed: 42, console: quiet }), 120);
+    const second = playAimed(await createHeadlessGame({ seed: 42, console: quiet }), 120);
+    
+    assert.ok(first.score > 0, 'the aimed taps should score');
+    assert.deepStrictEqual(second, first);
+});
+
+test('games sharing a page do not share state', async () => {
+    const solo = playAimed(await createHeadlessGame({ seed: 42, console: quiet }), 30);
+    
+    // Two games in one context, like two on one page, stepped in turn
+    const context = createContext({ console: quiet });
+    const game = await startGame(context, 42);
+    const other = await startGame(context, 99);
+    const step = game.step.bind(game);
+    game.step = (dt) => {
+        step(dt);
+        if (other.gameRunning) other.step(dt);
+    };
+    
+    assert.ok(solo.score > 0, 'the aimed taps should score');
+    assert.deepStrictEqual(playAimed(game, 30), solo);
+});
+
+// Drones only, so every shot is at a part-tested target
+const DRONE_LEVELS = {
+    manifest: { version: 1, levels: ['drones.json'] },
+    scripts: { 'drones.json': { version: 1, waves: [{ duration: 120000, groups: [{ entity: 'drone', interval: 1500 }] }] } }
+};
+
+// Shoot at the nearest drone four times a second, leading it so the shot
+// meets it, with an optional hook run before each step
+async function shootDrones(seed, beforeStep = () => {}) {
+    const context = createContext({ console: quiet });
+    const game = await startGame(context, seed, DRONE_LEVELS);
+    const sceneManager = game.sceneManager;
+    let hits = 0;
+    game.events.on('enemyHit', () => hits++);
+    
+    for (let step = 1; step <= 60 * 60 && game.gameRunning; step++) {
+        beforeStep(game, step, context);
+        game.step(1 / 60);
+        if (step % 15 !== 0) continue;
+        
+        const drone = sceneManager.getEnemies().find(enemy => enemy.isAlive && enemy.position.z < 0);
+        if (!drone) continue;
+        
+        // Shots leave (0, 0, 15) at 30 units a second
+        const offset = drone.position.clone().sub(drone.position.clone().set(0, 0, 15));
+        const velocity = drone.velocity;
+        const a = velocity.dot(velocity) - 30 * 30;
+        const b = 2 * offset.dot(velocity);
+        const c = offset.dot(offset);
+        const time = (-b - Math.sqrt(b * b - 4 * a * c)) / (2 * a);
+        sceneManager.createPlayerProjectile({ targetPosition: drone.position.clone().addScaledVector(velocity, time) });
+    }
+    
+    return JSON.parse(JSON.stringify({ ...game.player.getGameData(), hits, ticks: game.clock.ticks }));
+}
+
+// The quality manager changing the star count mid-run draws from the
+// cosmetic stream; hits on drone parts must not depend on it
+test('cosmetic draws mid-game do not change where shots hit', async () => {
+    for (const seed of [4, 5]) {
+        const plain = await shootDrones(seed);
+        const perturbed = await shootDrones(seed, (game, step) => {
+            if (step === 300) game.sceneManager.setStarCount(game.sceneManager.stars.length + 50);
+        });
+        
+        assert.ok(plain.hits > 0, 'the shots should hit drones');
+        assert.deepStrictEqual(perturbed, plain, `seed ${seed}`);
+    }
+});
+
+// Replays only record the viewport a run started in
+test('resizing the window mid-game does not change the simulation', async () => {
+    const plain = await shootDrones(4);
+    const resized = await shootDrones(4, (game, step, context) => {
+        if (step !== 300) return;
+        context.innerWidth = 720;
+        context.innerHeight = 1280;
+        game.sceneManager.handleResize();
+    });
+    
+    assert.deepStrictEqual(resized, plain);
+});
\ No newline at end of file
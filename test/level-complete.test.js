@@ -0,0 +1,95 @@
+/**
+ * Level complete screen tests for 3D Ceiling Pop
+ * However a level ends and however the player pauses on its level complete
+ * screen, the screen must stay up and its button must still start the next
+ * level. A run that fails either is stranded.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame } = require('../js/headless');
+
+const quiet = { log: () => {}, warn: () => {}, error: console.error };
+const frameTime = 1 / 60;
+
+// Ways a player can pause on the level complete screen, each followed by
+// whatever would resume the game from that pause: ESC toggles, the others
+// put up the PAUSED screen, whose button resumes. visibilitychange listeners
+// call pause() directly.
+const INTERRUPTIONS = {
+    escape: (game) => game.inputHandler.handleEscape(),
+    blur: (game) => {
+        game.inputHandler.handleWindowBlur();
+        game.resume();
+    },
+    hidden: (game) => {
+        game.pause();
+        game.resume();
+    }
+};
+
+// Ways a level can end, each playing one from the start of a fresh game to
+// its level complete screen
+const ENDINGS = {
+    // The last wave runs out
+    waves: {
+        levels: {
+            manifest: { version: 1, levels: ['short.json'] },
+            scripts: { 'short.json': { version: 1, waves: [{ duration: 1000, groups: [] }] } }
+        },
+        play: () => {}
+    },
+    
+    // The boss is shot down; the level ends once its death throes do
+    boss: {
+        levels: {
+            manifest: { version: 1, levels: ['boss.json'] },
+            scripts: { 'boss.json': { version: 1, waves: [{ boss: { health: 1 }, groups: [] }] } }
+        },
+        play: (game, steps) => {
+            const boss = game.sceneManager.getBoss();
+            while (boss.state === 'intro' && game.gameRunning) steps(0.5);
+            boss.takeDamage(boss.health);
+        }
+    }
+};
+
+// Reach the level complete screen, pause and resume it twice (ESC toggles),
+// then press its button
+async function interruptLevelComplete({ levels, play }, interrupt) {
+    const game = await createHeadlessGame({ seed: 1, levels, autoContinue: false, console: quiet });
+    const steps = (seconds) => {
+        for (let time = 0; time < seconds && game.gameRunning; time += frameTime) {
+            game.step(frameTime);
+        }
+    };
+    
+    play(game, steps);
+    for (let time = 0; time < 60 && !game.gameFlow.levelFinished; time += frameTime) {
+        game.step(frameTime);
+    }
+    const reached = game.gameFlow.levelFinished;
+    
+    let held = true;
+    for (let i = 0; i < 2; i++) {
+        interrupt(game);
+        steps(5);
+        held = held && game.gameFlow.levelFinished && game.isPaused;
+    }
+    
+    game.continueToNextLevel();
+    steps(1);
+    const continued = game.gameRunning && !game.isPaused &&
+        !game.gameFlow.levelFinished && game.player.level === 2;
+    
+    return { reached, held, continued, stranded: !(reached && held && continued) };
+}
+
+for (const [ending, levelEnding] of Object.entries(ENDINGS)) {
+    for (const [interruption, interrupt] of Object.entries(INTERRUPTIONS)) {
+        test(`level complete after ${ending} survives ${interruption}`, async () => {
+            const result = await interruptLevelComplete(levelEnding, interrupt);
+            assert.strictEqual(result.stranded, false, JSON.stringify(result));
+        });
+    }
+}
\ No newline at end of file
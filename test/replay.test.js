@@ -0,0 +1,64 @@
+/**
+ * Replay tests for 3D Ceiling Pop
+ * A recorded run played back headless must reach the same score on the
+ * same tick, whatever frame times the recording was made at.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadlessGame, runReplay } = require('../js/headless');
+
+const quiet = { log: () => {}, warn: () => {}, error: console.error };
+
+// Play a seeded game to the end with pseudo-random pointer and key input at
+// uneven frame times, and return its replay
+async function recordGame(seed) {
+    const game = await createHeadlessGame({ seed, console: quiet });
+    const input = game.inputHandler;
+    
+    let state = 12345;
+    const next = () => (state = (state * 1103515245 + 12345) % 2147483648) / 2147483648;
+    
+    for (let time = 0; time < 600 && game.gameRunning;) {
+        const frameTime = 0.005 + next() * 0.04;
+        time += frameTime;
+        game.step(frameTime);
+        
+        const pointer = { x: Math.round(next() * 1280), y: Math.round(next() * 720) };
+        const roll = next();
+        if (roll < 0.05) input.beginPointer(pointer);
+        else if (roll < 0.1) input.endPointer(pointer);
+        else if (roll < 0.3) input.movePointer(pointer);
+        else if (roll < 0.31) input.pressKey(['A', 'L', 'D', 'V', ' '][Math.floor(next() * 5)]);
+        else if (roll < 0.32) input.releaseKey('L');
+    }
+    
+    assert.strictEqual(game.gameRunning, false, 'the recorded game should have ended');
+    return game.exportReplay();
+}
+
+test('a recorded game replays to the same score and tick', async () => {
+    const replay = await recordGame(5);
+    assert.ok(JSON.parse(replay).events.length > 0, 'the recording should hold input');
+    
+    const { result } = await runReplay(replay, { console: quiet });
+    
+    assert.strictEqual(result.matches, true, JSON.stringify(result));
+});
+
+test('a replay whose recorded result differs is reported as diverged', async () => {
+    const replay = JSON.parse(await recordGame(5));
+    replay.result.score += 1;
+    
+    const { result } = await runReplay(replay, { console: quiet });
+    
+    assert.strictEqual(result.matches, false);
+    assert.strictEqual(result.actual.score, replay.result.score - 1);
+});
+
+test('a replay of an unsupported version is rejected', async () => {
+    const replay = JSON.parse(await recordGame(5));
+    replay.version = 99;
+    
+    await assert.rejects(runReplay(replay, { console: quiet }), /Replay: unsupported version 99/);
+});
\ No newline at end of file
@@ -0,0 +1,85 @@
+/**
+ * Wave script validation tests for 3D Ceiling Pop
+ * A bad level set is refused before the game starts, with every problem
+ * named by file and path.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createContext, createHeadlessGame, readLevels } = require('../js/headless');
+
+const quiet = { log: () => {}, warn: () => {}, error: () => {} };
+const { WaveScriptFormat } = createContext({ console: quiet });
+
+// The problems parseLevelSet reports for a level set of one script
+function problemsWith(level, manifest = { version: 1, levels: ['level.json'] }) {
+    try {
+        WaveScriptFormat.parseLevelSet(manifest, { 'level.json': level });
+    } catch (error) {
+        return [...error.errors];
+    }
+    return [];
+}
+
+test('the shipped level set is valid', () => {
+    const { manifest, scripts } = readLevels();
+    const levelSet = WaveScriptFormat.parseLevelSet(manifest, scripts);
+    
+    assert.strictEqual(levelSet.levels.length, manifest.levels.length);
+});
+
+test('a bad manifest is reported', () => {
+    assert.deepStrictEqual(problemsWith({}, { version: 2, levels: [] }), [
+        'index.json: unsupported version 2'
+    ]);
+    assert.deepStrictEqual(problemsWith({}, { version: 1, levels: ['other.json'] }), [
+        'index.json: level other.json is missing'
+    ]);
+});
+
+test('every problem in a script is reported with its path', () => {
+    const problems = problemsWith({
+        version: 1,
+        waves: [
+            { duration: -5, groups: [{ entity: 'blimp', interval: 500 }] },
+            { boss: { health: 10, armor: 2 }, duration: 1000, groups: [] },
+            { duration: 1000, groups: [{ entity: 'kamikaze', path: 'drift', interval: 500 }] },
+            { duration: 1000, groups: [{ entity: 'drone', variants: { armored: 1 }, interval: 500 }] },
+            { duration: 1000, groups: [{ entity: 'balloon', count: 2, modifiers: { speed: 0 } }] }
+        ]
+    });
+    
+    assert.deepStrictEqual(problems, [
+        'level.json: waves[0].duration must be a positive number of milliseconds',
+        'level.json: waves[0].groups[0].entity must be one of balloon, drone, kamikaze, splitter, carrier (got "blimp")',
+        'level.json: waves[1].boss.armor is not one of health, points, speed, size',
+        'level.json: waves[1].duration is not allowed on a boss wave (it lasts until the boss is gone)',
+        'level.json: waves[2].groups[0].path is not allowed on kamikaze groups (they steer themselves)',
+        'level.json: waves[3].groups[0].variants only applies to balloons',
+        'level.json: waves[4].groups[0].interval must be a positive number of milliseconds',
+        'level.json: waves[4].groups[0].modifiers.speed must be a positive number'
+    ]);
+});
+
+test('balloon variants must name balloon types with a usable weight', () => {
+    const problems = problemsWith({
+        version: 1,
+        waves: [{ duration: 1000, groups: [{ entity: 'balloon', interval: 500, variants: { ghost: 0, bomb: -1 } }] }]
+    });
+    
+    assert.match(problems[0], /variants\.ghost is not a balloon type/);
+    assert.match(problems[1], /variants\.bomb must be a weight of zero or more/);
+    assert.match(problems[2], /variants needs at least one weight above zero/);
+});
+
+test('a game refuses to start with an invalid level set', async () => {
+    const levels = {
+        manifest: { version: 1, levels: ['level.json'] },
+        scripts: { 'level.json': { version: 1, waves: [] } }
+    };
+    
+    await assert.rejects(
+        createHeadlessGame({ levels, console: quiet }),
+        /Wave script: 1 problem\(s\)\nlevel\.json: waves must list at least one wave/
+    );
+});
\ No newline at end of file